@@ -0,0 +1,227 @@
+/*
+ * Parser de transacciones basado en reglas, sin IA. Se usa como primer intento para mensajes
+ * simples ("nafta 30000", "café 1500 y taxi 4200 pesos") y como respaldo cuando DeepSeek no responde.
+ * Devuelve el mismo formato que parseExpenseWithAI en index.js.
+ */
+
+const CURRENCY_WORDS = [
+    { currency: 'USD', pattern: /\b(?:d[oó]lar(?:es)?|usd|u\$s|us\$|verdes)(?=\s|$|[.,;!?])/i },
+    { currency: 'EUR', pattern: /(?:\beuros?\b|\beur\b|€)/i },
+    { currency: 'BRL', pattern: /\b(?:reales|brl)\b/i },
+    { currency: 'ARS', pattern: /(?:\bpesos?\b|\bars\b|\bmangos\b|\$)/i }
+];
+
+const MULTIPLIERS = {
+    k: 1000,
+    mil: 1000,
+    luca: 1000,
+    lucas: 1000,
+    luquitas: 1000,
+    palo: 1000000,
+    palos: 1000000,
+    millon: 1000000,
+    millones: 1000000
+};
+
+// Lunfardo que ya dice que el monto es en pesos ("50 lucas", "2 palos").
+const PESO_SLANG_MULTIPLIERS = ['luca', 'lucas', 'luquitas', 'palo', 'palos'];
+
+// Palabra clave -> categoría. Se busca sobre el texto sin tildes y en minúsculas.
+const EXPENSE_KEYWORDS = [
+    ['⛽ Combustible', ['nafta', 'combustible', 'gasoil', 'ypf', 'shell', 'axion', 'cargue']],
+    ['🅿️ Estacionamiento', ['estacionamiento', 'cochera', 'parking']],
+    ['🚌 Transporte', ['taxi', 'uber', 'cabify', 'didi', 'colectivo', 'bondi', 'subte', 'tren', 'sube', 'peaje', 'remis']],
+    ['🛒 Supermercado', ['super', 'supermercado', 'coto', 'carrefour', 'jumbo', 'disco', 'changomas', 'verduleria', 'carniceria', 'almacen', 'chino']],
+    ['🍽️ Comida', ['cafe', 'almuerzo', 'cena', 'desayuno', 'merienda', 'comida', 'pizza', 'empanadas', 'hamburguesa', 'restaurante', 'resto', 'delivery', 'rappi', 'pedidosya', 'helado', 'birra', 'cerveza', 'facturas', 'sushi']],
+    ['💊 Farmacia', ['farmacia', 'remedio', 'remedios', 'medicamento', 'medicamentos', 'ibuprofeno']],
+    ['🏥 Salud', ['medico', 'dentista', 'prepaga', 'osde', 'consulta', 'analisis', 'kinesiologo', 'psicologo']],
+    ['📱 Subscripciones', ['netflix', 'spotify', 'disney', 'hbo', 'max', 'youtube', 'prime', 'chatgpt', 'icloud', 'suscripcion']],
+    ['🚰 Servicios', ['luz', 'gas', 'agua', 'internet', 'celular', 'edenor', 'edesur', 'metrogas', 'aysa', 'telecentro', 'fibertel', 'abl']],
+    ['🏠 Vivienda', ['alquiler', 'expensas']],
+    ['🏋️ Gimnasio', ['gimnasio', 'gym', 'crossfit']],
+    ['👕 Ropa', ['ropa', 'zapatillas', 'remera', 'pantalon', 'campera', 'zapatos', 'buzo']],
+    ['🐶 Mascotas', ['veterinaria', 'veterinario', 'perro', 'gato', 'mascota']],
+    ['🎮 Entretenimiento', ['cine', 'teatro', 'recital', 'entradas', 'steam', 'juego', 'boliche']],
+    ['🔒 Seguros', ['seguro']],
+    ['🎁 Regalos', ['regalo', 'cumple']],
+    ['🚗 Auto', ['mecanico', 'taller', 'neumatico', 'gomeria', 'lavadero', 'patente', 'vtv']],
+    ['📚 Educación', ['colegio', 'curso', 'libro', 'libros', 'facultad', 'universidad', 'cuota escolar']],
+    ['🌴 Vacaciones', ['vacaciones', 'hotel', 'pasaje', 'pasajes', 'vuelo', 'airbnb']]
+];
+
+// Palabras clave que también son palabras comunes ("el resto de la cuota", "prime rib", "sube el precio"):
+// sirven para proponer una categoría, pero no alcanzan para saltearse la IA.
+const AMBIGUOUS_KEYWORDS = new Set(['super', 'disco', 'chino', 'resto', 'max', 'prime', 'sube']);
+
+const INCOME_KEYWORDS = [
+    ['💵 Sueldo', ['sueldo', 'salario', 'aguinaldo']],
+    ['💻 Freelance', ['freelance', 'honorarios', 'factura']],
+    ['🏠 Alquileres', ['alquiler']],
+    ['🛍️ Ventas', ['vendi', 'venta']],
+    ['💸 Reintegros', ['reintegro', 'devolucion', 'devolvieron', 'reembolso']],
+    ['📈 Inversiones', ['intereses', 'plazo fijo', 'dividendos', 'rendimiento']]
+];
+
+const INCOME_PATTERN = /\b(?:cobre|me pagaron|me depositaron|me transfirieron|me devolvieron|ingreso|sueldo|aguinaldo|vendi|reintegro)\b/;
+
+const DATE_PATTERN = /\b(?:hoy|ayer|anteayer|antes de ayer|(?:el |este )?(?:lunes|martes|miercoles|jueves|viernes|sabado|domingo)(?: pasado)?|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?|\d{1,2} de (?:enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|setiembre|octubre|noviembre|diciembre)(?: de \d{4})?)\b/;
+
+const AMOUNT_PATTERN = /(\d+(?:[.,]\d+)*)(\s*(?:k|mil|lucas?|luquitas|palos?|millones|mill[oó]n)\b)?/gi;
+
+const FILLER_WORDS = /\b(?:gaste|gastamos|pague|pagamos|compre|compramos|cobre|me pagaron|me depositaron|me transfirieron|me devolvieron|en|de|del|por|el|la|los|las|un|una|con|para|al)\b/g;
+
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Convierte un número escrito al estilo argentino ("1.500,50", "1.500", "45,5") o anglosajón ("1,500.50", "45.50").
+ * Si hay punto y coma, el último separador es el decimal. Un punto seguido de exactamente tres dígitos es de miles.
+ * @param {string} raw - El número como texto.
+ * @returns {number} - El valor, o NaN si no es un número.
+ */
+function parseArgentineNumber(raw) {
+    let value = String(raw).trim().replace(/\s/g, '');
+    const lastDot = value.lastIndexOf('.');
+    const lastComma = value.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        const decimalSeparator = lastComma > lastDot ? ',' : '.';
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        value = value.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+    } else if (lastComma !== -1) {
+        value = value.replace(/,/g, '.');
+        if ((value.match(/\./g) || []).length > 1) value = value.replace(/\./g, '');
+    } else if (lastDot !== -1 && /^\d{1,3}(\.\d{3})+$/.test(value)) {
+        value = value.replace(/\./g, '');
+    }
+
+    return /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : NaN;
+}
+
+function detectCurrency(text) {
+    const match = CURRENCY_WORDS.find(({ pattern }) => pattern.test(text));
+    return match ? match.currency : null;
+}
+
+/**
+ * Busca la categoría por palabras clave. Una coincidencia con una palabra no ambigua tiene prioridad.
+ * @returns {object} - { category, ambiguous }, con category null si ninguna palabra coincide.
+ */
+function findCategory(normalizedText, keywordTable) {
+    const matches = (keywords) => keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(normalizedText));
+    const strong = keywordTable.find(([, keywords]) => matches(keywords.filter(keyword => !AMBIGUOUS_KEYWORDS.has(keyword))));
+    if (strong) return { category: strong[0], ambiguous: false };
+    const weak = keywordTable.find(([, keywords]) => matches(keywords));
+    return { category: weak ? weak[0] : null, ambiguous: Boolean(weak) };
+}
+
+function cleanDescription(segment) {
+    let description = normalize(segment)
+        .replace(DATE_PATTERN, ' ')
+        .replace(AMOUNT_PATTERN, ' ');
+    CURRENCY_WORDS.forEach(({ pattern }) => { description = description.replace(new RegExp(pattern.source, 'gi'), ' '); });
+    description = description
+        .replace(FILLER_WORDS, ' ')
+        .replace(/[^a-z0-9ñ\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    // Recuperamos las tildes del texto original buscando la misma secuencia de palabras.
+    const originalWords = segment.split(/\s+/);
+    const words = description.split(' ').map(word => originalWords.find(original => normalize(original).replace(/[^a-z0-9ñ]/g, '') === word) || word);
+    const result = words.join(' ').replace(/[^\p{L}\p{N}\s]/gu, '');
+    return result.charAt(0).toUpperCase() + result.slice(1);
+}
+
+function parseSegment(segment) {
+    const normalized = normalize(segment);
+    const dateMatch = normalized.match(DATE_PATTERN);
+    const withoutDate = dateMatch ? normalized.replace(DATE_PATTERN, ' ') : normalized;
+
+    const amounts = [...withoutDate.matchAll(AMOUNT_PATTERN)];
+    if (amounts.length === 0) return { amountCount: 0 };
+
+    const [, rawNumber, rawMultiplier] = amounts[0];
+    const multiplierWord = rawMultiplier ? normalize(rawMultiplier.trim()) : null;
+    const multiplier = multiplierWord ? MULTIPLIERS[multiplierWord] || 1 : 1;
+    const amount = parseArgentineNumber(rawNumber) * multiplier;
+    const slangCurrency = PESO_SLANG_MULTIPLIERS.includes(multiplierWord) ? 'ARS' : null;
+
+    const type = INCOME_PATTERN.test(normalized) ? 'income' : 'expense';
+    const { category, ambiguous } = findCategory(normalized, type === 'income' ? INCOME_KEYWORDS : EXPENSE_KEYWORDS);
+
+    return {
+        amountCount: amounts.length,
+        ambiguousCategory: ambiguous,
+        transaction: {
+            type,
+            amount,
+            description: cleanDescription(segment),
+            currency: detectCurrency(segment) || slangCurrency,
+            category,
+            date_text: dateMatch ? dateMatch[0] : null
+        }
+    };
+}
+
+/**
+ * Interpreta un mensaje con reglas locales.
+ * El resultado es "confiable" cuando cada parte tiene un único monto, una descripción y una categoría reconocida
+ * por una palabra clave no ambigua; en ese caso no hace falta consultar a la IA.
+ * @param {string} text - El texto del usuario.
+ * @param {string} defaultCurrency - Moneda a usar si el mensaje no menciona ninguna.
+ * @returns {object} - { confident, transactions } con el mismo formato que parseExpenseWithAI.
+ */
+function parseTransactionLocally(text, defaultCurrency) {
+    // Separamos por comas, " y ", "+" o saltos de línea; los trozos sin monto se pegan al siguiente
+    // para no romper descripciones como "pan y leche 2000". Las comas decimales ("1,5k") no cortan.
+    const rawSegments = text.split(/\n|\s+y\s+|\s*\+\s*|,(?!\d)|;/i).map(s => s.trim()).filter(Boolean);
+    const segments = [];
+    let carry = '';
+    rawSegments.forEach(segment => {
+        const joined = carry ? `${carry} y ${segment}` : segment;
+        if (/\d/.test(segment)) {
+            segments.push(joined);
+            carry = '';
+        } else {
+            carry = joined;
+        }
+    });
+    if (carry && segments.length > 0) segments[segments.length - 1] += ` ${carry}`;
+
+    const parsed = segments.map(parseSegment);
+    const transactions = parsed.filter(p => p.transaction && isFinite(p.transaction.amount) && p.transaction.amount > 0).map(p => p.transaction);
+
+    // El contexto compartido (moneda y fecha) se aplica a las partes que no lo mencionan.
+    const sharedCurrency = (transactions.find(t => t.currency) || {}).currency || defaultCurrency;
+    const sharedDate = (transactions.find(t => t.date_text) || {}).date_text || null;
+    transactions.forEach(t => {
+        t.currency = t.currency || sharedCurrency;
+        t.date_text = t.date_text || sharedDate;
+    });
+
+    const confident = transactions.length > 0
+        && transactions.length === parsed.length
+        && parsed.every(p => p.amountCount === 1 && !p.ambiguousCategory)
+        && transactions.every(t => t.category && t.description);
+
+    transactions.forEach(t => {
+        t.category = t.category || '📦 Otros';
+        t.description = t.description || 'Sin descripción';
+    });
+
+    return { confident, transactions };
+}
+
+/**
+ * Busca una categoría para una descripción suelta (ej. una línea de un resumen de tarjeta) con las mismas palabras clave.
+ * @param {string} description - La descripción.
+ * @param {string} type - 'expense' o 'income'.
+ * @returns {string|null} - La categoría, o null si ninguna palabra clave coincide.
+ */
+function guessCategory(description, type) {
+    return findCategory(normalize(description), type === 'income' ? INCOME_KEYWORDS : EXPENSE_KEYWORDS).category;
+}
+
+module.exports = { parseTransactionLocally, parseArgentineNumber, guessCategory };
@@ -0,0 +1,192 @@
+const fetch = require('node-fetch');
+
+/*
+ * Cliente de la API de Gasti.pro (Supabase). Centraliza todas las llamadas HTTP: refresco de sesión,
+ * la RPC get_user_transactions_by_period y el alta, edición y borrado de transacciones.
+ *
+ * Los errores se distinguen por tipo para que cada llamador decida qué hacer:
+ *   - GastiAuthError:        el token fue rechazado (401/403, o refresh token inválido). Reintentar no sirve.
+ *   - GastiValidationError:  Gasti.pro rechazó los datos enviados (400, 409, 422...). Reintentar no sirve.
+ *   - GastiUnavailableError: error de red, timeout, 429 o 5xx. Ya se reintentó; conviene volver a probar más tarde.
+ *
+ * Un alta (POST) que se quedó sin respuesta por timeout o corte de red pudo haberse guardado igual, así que no
+ * se reintenta: el GastiUnavailableError sale con `maybeDelivered = true` para que el llamador verifique antes de
+ * volver a enviarla.
+ */
+
+class GastiApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+class GastiAuthError extends GastiApiError {}
+class GastiValidationError extends GastiApiError {}
+class GastiUnavailableError extends GastiApiError {}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errores de red en los que la petición nunca llegó a Gasti.pro; reintentarlos no puede duplicar nada.
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function errorForStatus(status, message) {
+    if (status === 401 || status === 403) return new GastiAuthError(message, status);
+    if (status === 429 || status >= 500) return new GastiUnavailableError(message, status);
+    return new GastiValidationError(message, status);
+}
+
+/**
+ * Crea el cliente de Gasti.pro.
+ * @param {object} options
+ * @param {string} options.apiUrl - URL base de la API REST (GASTI_API_URL).
+ * @param {string} options.authUrl - URL base de Supabase Auth (SUPABASE_URL).
+ * @param {string} options.apiKey - La API key pública de Supabase.
+ * @param {number} [options.timeoutMs] - Tiempo máximo por petición.
+ * @param {number} [options.retries] - Reintentos ante errores de red, 429 y 5xx.
+ * @returns {object} - El cliente.
+ */
+function createGastiClient({ apiUrl, authUrl, apiKey, timeoutMs = 15000, retries = 2 }) {
+
+    async function request(method, url, { accessToken, body, prefer, idempotent = method !== 'POST' } = {}) {
+        const headers = { 'apikey': apiKey, 'Content-Type': 'application/json' };
+        if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
+        if (prefer) headers['Prefer'] = prefer;
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers,
+                    body: body === undefined ? undefined : JSON.stringify(body),
+                    timeout: timeoutMs
+                });
+                if (response.ok) {
+                    const text = await response.text();
+                    return text ? JSON.parse(text) : null;
+                }
+                const errorBody = await response.text();
+                error = errorForStatus(response.status, `Gasti.pro respondió ${response.status} a ${method} ${url}: ${errorBody}`);
+            } catch (networkError) {
+                error = new GastiUnavailableError(`No se pudo contactar a Gasti.pro (${method} ${url}): ${networkError.message}`);
+                error.maybeDelivered = !idempotent && !NOT_SENT_ERROR_CODES.includes(networkError.code);
+            }
+
+            if (!(error instanceof GastiUnavailableError) || error.maybeDelivered || attempt >= retries) {
+                console.error(error.message);
+                throw error;
+            }
+            const delay = 1000 * 2 ** attempt;
+            console.warn(`Fallo transitorio de Gasti.pro, reintentando en ${delay} ms: ${error.message}`);
+            await sleep(delay);
+        }
+    }
+
+    /**
+     * Canjea un refresh token por un access token.
+     * @param {string} refreshToken - El refresh token del usuario.
+     * @returns {object} - { accessToken, newRefreshToken, expiresIn, user }.
+     * @throws {GastiAuthError} Si el refresh token es inválido o ya fue usado.
+     */
+    async function refreshSession(refreshToken) {
+        console.log('Solicitando un nuevo token de acceso para Gasti.pro...');
+        try {
+            const data = await request('POST', `${authUrl}/auth/v1/token?grant_type=refresh_token`, { body: { refresh_token: refreshToken } });
+            return {
+                accessToken: data.access_token,
+                newRefreshToken: data.refresh_token,
+                expiresIn: data.expires_in,
+                user: data.user
+            };
+        } catch (error) {
+            // Supabase Auth responde 400 (invalid_grant) cuando el refresh token no sirve.
+            if (error instanceof GastiValidationError) {
+                throw new GastiAuthError(`Gasti.pro rechazó el refresh token: ${error.message}`, error.status);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Llama a la RPC get_user_transactions_by_period.
+     * @param {string} accessToken - El token de acceso del usuario.
+     * @param {string} dateFrom - Inicio del período (ISO).
+     * @param {string} dateTo - Fin del período (ISO).
+     * @returns {object} - La respuesta de la RPC ({ transactions, summary }).
+     */
+    async function getTransactionsByPeriod(accessToken, dateFrom, dateTo) {
+        console.log(`Obteniendo transacciones de Gasti.pro entre ${dateFrom} y ${dateTo}`);
+        const data = await request('POST', `${apiUrl}/rest/v1/rpc/get_user_transactions_by_period`, {
+            accessToken,
+            body: { date_from: dateFrom, date_to: dateTo },
+            idempotent: true
+        });
+        return data || {};
+    }
+
+    /**
+     * Crea una transacción.
+     * @param {string} accessToken - El token de acceso del usuario.
+     * @param {object} payload - La fila a insertar.
+     * @returns {object} - La fila creada (con su `id`).
+     */
+    async function createTransaction(accessToken, payload) {
+        const rows = await request('POST', `${apiUrl}/rest/v1/transactions?select=*`, {
+            accessToken,
+            body: payload,
+            prefer: 'return=representation'
+        });
+        return Array.isArray(rows) ? rows[0] : rows;
+    }
+
+    /**
+     * Crea varias transacciones en una sola petición.
+     * @param {string} accessToken - El token de acceso del usuario.
+     * @param {Array<object>} payloads - Las filas a insertar.
+     * @returns {Array<object>} - Las filas creadas.
+     */
+    async function createTransactions(accessToken, payloads) {
+        const rows = await request('POST', `${apiUrl}/rest/v1/transactions?select=*`, {
+            accessToken,
+            body: payloads,
+            prefer: 'return=representation'
+        });
+        return rows || [];
+    }
+
+    /**
+     * Modifica una transacción existente.
+     * @param {string} accessToken - El token de acceso del usuario.
+     * @param {string|number} id - El ID de la transacción.
+     * @param {object} changes - Los campos a modificar.
+     */
+    async function updateTransaction(accessToken, id, changes) {
+        await request('PATCH', `${apiUrl}/rest/v1/transactions?id=eq.${encodeURIComponent(id)}`, { accessToken, body: changes });
+    }
+
+    /**
+     * Elimina una transacción.
+     * @param {string} accessToken - El token de acceso del usuario.
+     * @param {string|number} id - El ID de la transacción.
+     * @returns {boolean} - false si la transacción ya no existía (por ejemplo, se borró desde la web).
+     */
+    async function deleteTransaction(accessToken, id) {
+        const rows = await request('DELETE', `${apiUrl}/rest/v1/transactions?id=eq.${encodeURIComponent(id)}`, {
+            accessToken,
+            prefer: 'return=representation'
+        });
+        return Array.isArray(rows) && rows.length > 0;
+    }
+
+    return { refreshSession, getTransactionsByPeriod, createTransaction, createTransactions, updateTransaction, deleteTransaction };
+}
+
+module.exports = {
+    createGastiClient,
+    GastiApiError,
+    GastiAuthError,
+    GastiValidationError,
+    GastiUnavailableError
+};
@@ -0,0 +1,18 @@
+const fetch = require('node-fetch');
+
+/**
+ * Descarga un archivo de Telegram a memoria.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {string} fileId - El file_id de Telegram.
+ * @returns {Buffer} - El contenido del archivo.
+ */
+async function downloadTelegramFile(bot, fileId) {
+    const fileLink = await bot.getFileLink(fileId);
+    const response = await fetch(fileLink);
+    if (!response.ok) {
+        throw new Error(`No se pudo descargar el archivo de Telegram. Status: ${response.status}`);
+    }
+    return response.buffer();
+}
+
+module.exports = { downloadTelegramFile };
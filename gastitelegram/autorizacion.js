@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeMarkdown } = require('./markdown');
+
+async function readAccessList(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        const parsed = JSON.parse(data);
+        return { allowed: parsed.allowed || {}, pending: parsed.pending || {}, denied: parsed.denied || {} };
+    } catch (error) {
+        return { allowed: {}, pending: {}, denied: {} };
+    }
+}
+
+async function writeAccessList(filePath, accessList) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(accessList, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// Dos aprobaciones o solicitudes al mismo tiempo modifican el mismo archivo: encadenamos las escrituras.
+let pendingWrite = Promise.resolve();
+
+function updateAccessList(filePath, mutator) {
+    const result = pendingWrite.then(async () => {
+        const accessList = await readAccessList(filePath);
+        const outcome = mutator(accessList);
+        await writeAccessList(filePath, accessList);
+        return outcome;
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Convierte una lista de IDs separada por comas (como viene del .env) en un array de strings.
+ * @param {string} value - Ej. "12345,-100987".
+ * @returns {Array<string>}
+ */
+function parseIdList(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Indica si el usuario es administrador del bot.
+ * @param {number} userId - El ID del usuario de Telegram.
+ * @param {object} config - Configuración con ADMIN_IDS.
+ * @returns {boolean}
+ */
+function isAdmin(userId, config) {
+    return config.ADMIN_IDS.includes(String(userId));
+}
+
+/**
+ * Indica si un chat o usuario puede usar el bot. Se autoriza por ID de usuario o por ID de chat
+ * (para habilitar un grupo completo).
+ * @param {number} chatId - El ID del chat.
+ * @param {number} userId - El ID del usuario de Telegram.
+ * @param {object} config - Configuración con ADMIN_IDS, ALLOWED_IDS y ACCESS_FILE_PATH.
+ * @returns {boolean}
+ */
+async function isAuthorized(chatId, userId, config) {
+    const ids = [String(chatId), String(userId)];
+    if (ids.some(id => config.ADMIN_IDS.includes(id) || config.ALLOWED_IDS.includes(id))) {
+        return true;
+    }
+    const { allowed } = await readAccessList(config.ACCESS_FILE_PATH);
+    return ids.some(id => allowed[id]);
+}
+
+function describeChat(msg) {
+    const from = msg.from || {};
+    const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || 'Sin nombre';
+    const username = from.username ? ` (@${from.username})` : '';
+    return msg.chat.type === 'private' ? `${name}${username}` : `${msg.chat.title || 'Grupo'} — pedido por ${name}${username}`;
+}
+
+/**
+ * Rechaza amablemente a un chat no autorizado y reenvía la solicitud de acceso a los administradores.
+ * Se responde y se pide acceso una sola vez por chat: mientras la solicitud está pendiente, o si fue rechazada
+ * (el rechazo ya se avisa desde handleAuthCallback), el resto de los mensajes se ignora.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje del chat no autorizado.
+ * @param {object} config - Configuración con ADMIN_IDS y ACCESS_FILE_PATH.
+ */
+async function handleUnauthorized(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const label = describeChat(msg);
+    const isNewRequest = await updateAccessList(config.ACCESS_FILE_PATH, accessList => {
+        if (accessList.denied[chatId] || accessList.pending[chatId]) return false;
+        accessList.pending[chatId] = { name: label, requestedAt: new Date().toISOString() };
+        return true;
+    });
+    if (!isNewRequest) return;
+
+    await bot.sendMessage(chatId, "🙏 ¡Hola! Este bot es privado y todavía no tenés acceso. Ya le envié tu solicitud al administrador; te aviso cuando la apruebe.");
+
+    if (config.ADMIN_IDS.length === 0) {
+        console.warn(`[${chatId}] Solicitud de acceso sin administradores configurados (ADMIN_TELEGRAM_IDS).`);
+        return;
+    }
+
+    for (const adminId of config.ADMIN_IDS) {
+        await bot.sendMessage(adminId, `🔐 *Solicitud de acceso*\n\n${escapeMarkdown(label)}\nID: \`${chatId}\``, {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [[
+                    { text: '✅ Aprobar', callback_data: `auth:approve:${chatId}` },
+                    { text: '⛔ Rechazar', callback_data: `auth:deny:${chatId}` }
+                ]]
+            }
+        }).catch(error => console.error(`No se pudo avisar al admin ${adminId}:`, error.message));
+    }
+}
+
+function allowId(id, name, config) {
+    return updateAccessList(config.ACCESS_FILE_PATH, accessList => {
+        accessList.allowed[id] = { name: name || (accessList.pending[id] && accessList.pending[id].name) || null, addedAt: new Date().toISOString() };
+        delete accessList.pending[id];
+        delete accessList.denied[id];
+    });
+}
+
+function denyId(id, config) {
+    return updateAccessList(config.ACCESS_FILE_PATH, accessList => {
+        accessList.denied[id] = { name: accessList.pending[id] ? accessList.pending[id].name : null, deniedAt: new Date().toISOString() };
+        delete accessList.pending[id];
+    });
+}
+
+function revokeId(id, config) {
+    return updateAccessList(config.ACCESS_FILE_PATH, accessList => {
+        const existed = Boolean(accessList.allowed[id] || accessList.pending[id]);
+        delete accessList.allowed[id];
+        delete accessList.pending[id];
+        return existed;
+    });
+}
+
+/**
+ * Maneja los comandos de administración: /autorizar <id>, /revocar <id> y /usuarios.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con ADMIN_IDS, ALLOWED_IDS y ACCESS_FILE_PATH.
+ */
+async function handleAdminCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    if (!isAdmin(msg.from.id, config)) {
+        await bot.sendMessage(chatId, "⛔ Este comando es solo para administradores.");
+        return;
+    }
+
+    const [command, targetId] = msg.text.trim().split(/\s+/);
+
+    if (command.startsWith('/usuarios')) {
+        const { allowed, pending } = await readAccessList(config.ACCESS_FILE_PATH);
+        let message = "👥 *Usuarios autorizados*\n\n";
+        config.ADMIN_IDS.forEach(id => { message += `👑 \`${id}\` (admin)\n`; });
+        config.ALLOWED_IDS.forEach(id => { message += `⚙️ \`${id}\` (configuración)\n`; });
+        Object.entries(allowed).forEach(([id, info]) => { message += `✅ \`${id}\` ${escapeMarkdown(info.name || '')}\n`; });
+        const pendingEntries = Object.entries(pending);
+        if (pendingEntries.length > 0) {
+            message += "\n*Solicitudes pendientes:*\n";
+            pendingEntries.forEach(([id, info]) => { message += `⏳ \`${id}\` ${escapeMarkdown(info.name || '')}\n`; });
+        }
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (!targetId || !/^-?\d+$/.test(targetId)) {
+        await bot.sendMessage(chatId, `Uso: ${command} <id de usuario o chat>`);
+        return;
+    }
+
+    if (command.startsWith('/autorizar')) {
+        await allowId(targetId, null, config);
+        await bot.sendMessage(chatId, `✅ \`${targetId}\` ahora puede usar el bot.`, { parse_mode: 'Markdown' });
+        await bot.sendMessage(targetId, "🎉 ¡Tu acceso fue aprobado! Escribí /start para empezar.").catch(() => {});
+    } else if (command.startsWith('/revocar')) {
+        if (config.ALLOWED_IDS.includes(targetId) || config.ADMIN_IDS.includes(targetId)) {
+            await bot.sendMessage(chatId, "⚠️ Ese ID está autorizado desde la configuración del servidor; quitalo de las variables de entorno.");
+            return;
+        }
+        const existed = await revokeId(targetId, config);
+        await bot.sendMessage(chatId, existed ? `🚫 Acceso revocado para \`${targetId}\`.` : `\`${targetId}\` no estaba autorizado.`, { parse_mode: 'Markdown' });
+    }
+}
+
+/**
+ * Maneja los botones de aprobar/rechazar solicitudes (callback_data con prefijo "auth:").
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ * @param {object} config - Configuración con ADMIN_IDS y ACCESS_FILE_PATH.
+ */
+async function handleAuthCallback(bot, query, config) {
+    if (!isAdmin(query.from.id, config)) {
+        await bot.answerCallbackQuery(query.id, { text: 'Solo un administrador puede hacer esto.' });
+        return;
+    }
+
+    const [, action, targetId] = query.data.split(':');
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+
+    if (action === 'approve') {
+        await allowId(targetId, null, config);
+        await bot.answerCallbackQuery(query.id, { text: 'Acceso aprobado' });
+        await bot.editMessageText(`${query.message.text}\n\n✅ Aprobado`, { chat_id: chatId, message_id: messageId });
+        await bot.sendMessage(targetId, "🎉 ¡Tu acceso fue aprobado! Escribí /start para empezar.").catch(() => {});
+    } else if (action === 'deny') {
+        await denyId(targetId, config);
+        await bot.answerCallbackQuery(query.id, { text: 'Solicitud rechazada' });
+        await bot.editMessageText(`${query.message.text}\n\n⛔ Rechazado`, { chat_id: chatId, message_id: messageId });
+        await bot.sendMessage(targetId, "Lo siento, tu solicitud de acceso no fue aprobada.").catch(() => {});
+    } else {
+        await bot.answerCallbackQuery(query.id);
+    }
+}
+
+module.exports = { parseIdList, isAdmin, isAuthorized, handleUnauthorized, handleAdminCommand, handleAuthCallback };
@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { GastiUnavailableError } = require('./apiGasti');
+
+/*
+ * Bandeja de salida persistente para transacciones que no se pudieron guardar en Gasti.pro
+ * (caída del servicio, timeout, sin red). Se guardan en disco para sobrevivir reinicios y
+ * se reintentan en segundo plano con backoff exponencial.
+ */
+
+// Cada cuánto se revisa la bandeja.
+const OUTBOX_INTERVAL_MS = 60 * 1000;
+// Espera máxima entre reintentos de una misma transacción.
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+async function readOutbox(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+// Escritura atómica: temporal + rename, para no perder la bandeja si el proceso muere a mitad.
+async function writeOutbox(filePath, entries) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entries, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Crea la bandeja de salida.
+ * @param {object} options
+ * @param {string} options.filePath - Ruta del archivo de la bandeja.
+ * @param {function} options.deliver - (entry) => fila creada; lanza si Gasti.pro sigue fallando. Si `entry.maybeDelivered`,
+ *   un envío anterior quedó sin respuesta y hay que verificar que no se haya guardado antes de reenviarla.
+ * @param {function} [options.onDelivered] - (entry, created) => se llama cuando una transacción pendiente se guardó.
+ * @param {function} [options.onDropped] - (entry, error) => se llama cuando se descarta porque reintentar no la va a guardar
+ *   (Gasti.pro rechazó los datos o la sesión, o el usuario ya no tiene la cuenta vinculada).
+ * @returns {object} - { add(entry), processPending(), start() }.
+ */
+function createOutbox({ filePath, deliver, onDelivered, onDropped }) {
+    // Las modificaciones se encadenan para que una entrada nueva no se pierda mientras se procesa la bandeja.
+    let pendingWrite = Promise.resolve();
+    let processing = false;
+
+    function update(mutator) {
+        const result = pendingWrite.then(async () => {
+            const entries = await readOutbox(filePath);
+            const updated = mutator(entries);
+            await writeOutbox(filePath, updated);
+        });
+        pendingWrite = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Encola una transacción para reintentarla más tarde.
+     * @param {object} entry - { telegramUserId, chatId, transaction, maybeDelivered }.
+     */
+    async function add(entry) {
+        const queued = {
+            ...entry,
+            id: crypto.randomUUID(),
+            attempts: 0,
+            createdAt: new Date().toISOString(),
+            nextAttemptAt: Date.now() + OUTBOX_INTERVAL_MS
+        };
+        await update(entries => [...entries, queued]);
+        console.log(`[${entry.chatId}] Transacción "${entry.transaction.description}" encolada en la bandeja de salida.`);
+    }
+
+    /**
+     * Intenta enviar las transacciones cuyo próximo reintento ya venció.
+     */
+    async function processPending() {
+        if (processing) return;
+        processing = true;
+        try {
+            const due = (await readOutbox(filePath)).filter(entry => entry.nextAttemptAt <= Date.now());
+            for (const entry of due) {
+                try {
+                    const created = await deliver(entry);
+                    await update(entries => entries.filter(e => e.id !== entry.id));
+                    console.log(`[${entry.chatId}] Transacción pendiente "${entry.transaction.description}" guardada en Gasti.pro.`);
+                    if (onDelivered) await onDelivered(entry, created);
+                } catch (error) {
+                    if (!(error instanceof GastiUnavailableError)) {
+                        // Solo vale la pena reintentar si Gasti.pro no respondió: datos rechazados, sesión
+                        // revocada o cuenta desvinculada no se arreglan solos.
+                        await update(entries => entries.filter(e => e.id !== entry.id));
+                        console.error(`[${entry.chatId}] Transacción pendiente descartada:`, error.message);
+                        if (onDropped) await onDropped(entry, error);
+                        continue;
+                    }
+                    const attempts = entry.attempts + 1;
+                    const delay = Math.min(OUTBOX_INTERVAL_MS * 2 ** attempts, MAX_BACKOFF_MS);
+                    // Si el envío quedó sin respuesta pudo haberse guardado: el próximo intento lo verifica antes de reenviar.
+                    const maybeDelivered = Boolean(entry.maybeDelivered || error.maybeDelivered);
+                    await update(entries => entries.map(e => (e.id === entry.id
+                        ? { ...e, attempts, maybeDelivered, lastError: error.message, nextAttemptAt: Date.now() + delay }
+                        : e)));
+                    console.warn(`[${entry.chatId}] Reintento ${attempts} fallido; próximo en ${Math.round(delay / 1000)} s:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error("Error procesando la bandeja de salida:", error);
+        } finally {
+            processing = false;
+        }
+    }
+
+    /**
+     * Arranca el reintento periódico en segundo plano.
+     */
+    function start() {
+        setInterval(processPending, OUTBOX_INTERVAL_MS);
+        processPending();
+    }
+
+    return { add, processPending, start };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,318 @@
+const { getCategoriesForType, buildCategoryKeyboard } = require('./categorias');
+const { formatArgentinaDate } = require('./fechas');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { escapeMarkdown } = require('./markdown');
+
+const CURRENCY_OPTIONS = ['ARS', 'USD', 'EUR', 'BRL', 'CLP', 'UYU'];
+// Cuánto vive un borrador sin confirmar.
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Borradores pendientes de confirmación, indexados por "chatId:messageId" del mensaje de confirmación.
+// Cada borrador tiene `items` (las transacciones que se van a registrar juntas), `telegramUserId`, su autor
+// (en un grupo, solo él puede confirmarlo o corregirlo, y se guarda en su cuenta de Gasti.pro) y `expiresAt`.
+const drafts = {};
+// Usuarios que están escribiendo un nuevo monto: "chatId:telegramUserId" -> clave del borrador.
+const pendingAmountEdits = {};
+
+function draftKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+}
+
+function pendingKey(chatId, telegramUserId) {
+    return `${chatId}:${telegramUserId}`;
+}
+
+function purgeExpired() {
+    const now = Date.now();
+    Object.keys(drafts).forEach(key => { if (drafts[key].expiresAt < now) delete drafts[key]; });
+    Object.keys(pendingAmountEdits).forEach(key => { if (!drafts[pendingAmountEdits[key]]) delete pendingAmountEdits[key]; });
+}
+
+function formatItemLine(item) {
+    const icon = item.type === 'income' ? '🔼' : '🔻';
+    return `${icon} ${escapeMarkdown(item.description)}: *${item.amount} ${item.currency}* (${escapeMarkdown(item.category)})`;
+}
+
+/**
+ * Arma el texto de confirmación de un borrador.
+ * @param {object} draft - El borrador con sus transacciones pendientes de confirmar.
+ * @returns {string} - El mensaje formateado con Markdown.
+ */
+function formatDraft(draft) {
+    if (draft.items.length > 1) {
+        let message = `📝 *Revisá las ${draft.items.length} transacciones antes de guardar:*\n\n`;
+        draft.items.forEach((item, index) => {
+            message += `${index + 1}. ${formatItemLine(item)}\n`;
+            if (item.date) message += `   🗓️ ${formatArgentinaDate(item.date)}\n`;
+        });
+        return message.trim();
+    }
+
+    const [item] = draft.items;
+    const typeLabel = item.type === 'income' ? '🔼 Ingreso' : '🔻 Gasto';
+    let message = "📝 *Revisá los datos antes de guardar:*\n\n";
+    message += `📂 *Tipo:* ${typeLabel}\n`;
+    message += `📝 *Descripción:* ${escapeMarkdown(item.description)}\n`;
+    message += `💰 *Monto:* ${item.amount} ${item.currency}\n`;
+    message += `🏷️ *Categoría:* ${escapeMarkdown(item.category)}`;
+    if (item.date) {
+        message += `\n🗓️ *Fecha:* ${formatArgentinaDate(item.date)}`;
+    }
+    return message;
+}
+
+function buildDraftKeyboard(draft) {
+    if (draft.items.length > 1) {
+        // Con varios ítems solo se puede quitar alguno; para corregirlos en detalle conviene enviarlos por separado.
+        const removeButtons = draft.items.map((item, index) => ({ text: `🗑️ ${index + 1}`, callback_data: `draft:remove:${index}` }));
+        const rows = [[{ text: `✅ Confirmar ${draft.items.length}`, callback_data: 'draft:confirm' }]];
+        for (let i = 0; i < removeButtons.length; i += 5) {
+            rows.push(removeButtons.slice(i, i + 5));
+        }
+        rows.push([{ text: '❌ Cancelar', callback_data: 'draft:cancel' }]);
+        return { inline_keyboard: rows };
+    }
+
+    return {
+        inline_keyboard: [
+            [{ text: '✅ Confirmar', callback_data: 'draft:confirm' }],
+            [
+                { text: '🏷️ Cambiar categoría', callback_data: 'draft:category' },
+                { text: '💰 Cambiar monto', callback_data: 'draft:amount' }
+            ],
+            [
+                { text: '💱 Cambiar moneda', callback_data: 'draft:currency' },
+                { text: '❌ Cancelar', callback_data: 'draft:cancel' }
+            ]
+        ]
+    };
+}
+
+function buildCurrencyKeyboard() {
+    const rows = [];
+    for (let i = 0; i < CURRENCY_OPTIONS.length; i += 3) {
+        rows.push(CURRENCY_OPTIONS.slice(i, i + 3).map(currency => ({
+            text: currency,
+            callback_data: `draft:setcur:${currency}`
+        })));
+    }
+    rows.push([{ text: '⬅️ Volver', callback_data: 'draft:back' }]);
+    return { inline_keyboard: rows };
+}
+
+async function refreshDraftMessage(bot, chatId, messageId, draft) {
+    await bot.editMessageText(formatDraft(draft), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildDraftKeyboard(draft)
+    });
+}
+
+/**
+ * Muestra una o varias transacciones parseadas como borrador con botones para confirmarlas o corregirlas.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {number} chatId - El chat donde se muestra el borrador.
+ * @param {number} telegramUserId - El usuario que envió las transacciones.
+ * @param {Array<object>} items - Las transacciones parseadas (type, amount, description, currency, category y opcionalmente date).
+ * @param {string} defaultCurrency - Moneda para los ítems que no indican ninguna.
+ */
+async function presentDraft(bot, chatId, telegramUserId, items, defaultCurrency) {
+    purgeExpired();
+    const draft = {
+        telegramUserId,
+        items: items.map(item => ({ ...item, currency: (item.currency || defaultCurrency).toUpperCase() })),
+        expiresAt: Date.now() + DRAFT_TTL_MS
+    };
+    const sent = await bot.sendMessage(chatId, formatDraft(draft), {
+        parse_mode: 'Markdown',
+        reply_markup: buildDraftKeyboard(draft)
+    });
+    drafts[draftKey(chatId, sent.message_id)] = draft;
+}
+
+/**
+ * Indica si el usuario está por escribir un nuevo monto para un borrador en este chat.
+ * @param {number} chatId - El ID del chat.
+ * @param {number} telegramUserId - El usuario que escribe.
+ * @returns {boolean}
+ */
+function isAwaitingDraftAmount(chatId, telegramUserId) {
+    purgeExpired();
+    return Boolean(pendingAmountEdits[pendingKey(chatId, telegramUserId)]);
+}
+
+/**
+ * Procesa el mensaje con el nuevo monto de un borrador.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con el monto.
+ */
+async function handleDraftAmountReply(bot, msg) {
+    const chatId = msg.chat.id;
+    const editKey = pendingKey(chatId, msg.from.id);
+    const key = pendingAmountEdits[editKey];
+    const draft = drafts[key];
+    delete pendingAmountEdits[editKey];
+
+    if (!draft) {
+        await bot.sendMessage(chatId, "⌛ Ese borrador ya no está disponible. Enviame la transacción de nuevo.");
+        return;
+    }
+
+    const amount = parseArgentineNumber(msg.text);
+    if (!isFinite(amount) || amount <= 0) {
+        pendingAmountEdits[editKey] = key;
+        await bot.sendMessage(chatId, "😕 Ese monto no es válido. Escribí solo el número, por ejemplo: 15.000 o 45,50");
+        return;
+    }
+
+    draft.items[0].amount = amount;
+    const messageId = Number(key.split(':')[1]);
+    await refreshDraftMessage(bot, chatId, messageId, draft);
+    await bot.sendMessage(chatId, "✏️ Monto actualizado. Revisá el borrador y confirmalo cuando esté listo.");
+}
+
+/**
+ * Registra todas las transacciones del borrador y reporta el resultado de cada una.
+ * Las que fallan quedan en un borrador nuevo para poder reintentarlas.
+ */
+async function confirmDraft(bot, chatId, messageId, draft, config) {
+    const failed = [];
+    let queued = 0;
+    let report = '';
+
+    for (const item of draft.items) {
+        try {
+            const created = await config.registerTransaction(draft.telegramUserId, chatId, item);
+            if (created) {
+                report += `✅ ${formatItemLine(item)}\n`;
+            } else {
+                queued++;
+                report += `🕓 ${formatItemLine(item)}\n`;
+            }
+        } catch (error) {
+            console.error(`[${chatId}] No se pudo registrar "${item.description}":`, error.message);
+            failed.push(item);
+            report += `❌ ${formatItemLine(item)}\n`;
+        }
+    }
+
+    const saved = draft.items.length - failed.length - queued;
+    let header;
+    if (failed.length === 0 && queued === 0) {
+        header = draft.items.length === 1
+            ? (draft.items[0].type === 'income' ? "🎉 ¡Ingreso registrado con éxito!" : "🎉 ¡Gasto registrado con éxito!")
+            : `🎉 ¡Se registraron las ${saved} transacciones!`;
+    } else if (failed.length === 0) {
+        header = saved === 0
+            ? "🕓 Gasti.pro no responde. Lo dejé en cola y te aviso cuando se guarde."
+            : `🕓 Gasti.pro no responde. Se registraron ${saved} de ${draft.items.length}; el resto queda en cola y te aviso cuando se guarde.`;
+    } else {
+        header = `⚠️ Se registraron ${saved} de ${draft.items.length} transacciones.`;
+        if (queued > 0) header += ` ${queued} quedaron en cola para reintentar.`;
+    }
+
+    const options = { chat_id: chatId, message_id: messageId, parse_mode: 'Markdown' };
+    if (failed.length > 0) {
+        drafts[draftKey(chatId, messageId)] = { telegramUserId: draft.telegramUserId, items: failed, expiresAt: Date.now() + DRAFT_TTL_MS };
+        options.reply_markup = {
+            inline_keyboard: [[
+                { text: '🔁 Reintentar fallidas', callback_data: 'draft:confirm' },
+                { text: '❌ Descartar', callback_data: 'draft:cancel' }
+            ]]
+        };
+    }
+    await bot.editMessageText(`${header}\n\n${report.trim()}`, options);
+}
+
+/**
+ * Maneja los botones del borrador (callback_data con prefijo "draft:").
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ * @param {object} config - Configuración con `registerTransaction(telegramUserId, chatId, transaction)`, que guarda una
+ *   transacción en Gasti.pro y devuelve null si quedó encolada para reintentar.
+ */
+async function handleDraftCallback(bot, query, config) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const key = draftKey(chatId, messageId);
+    purgeExpired();
+    const draft = drafts[key];
+    const [, action, value] = query.data.split(':');
+
+    if (!draft) {
+        await bot.answerCallbackQuery(query.id, { text: 'Este borrador ya no está disponible.' });
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+        return;
+    }
+
+    if (draft.telegramUserId !== query.from.id) {
+        await bot.answerCallbackQuery(query.id, { text: 'Solo quien envió la transacción puede confirmarla o corregirla.' });
+        return;
+    }
+
+    // Las ediciones individuales solo se ofrecen cuando el borrador tiene un único ítem.
+    const [item] = draft.items;
+    const editKey = pendingKey(chatId, draft.telegramUserId);
+
+    switch (action) {
+        case 'confirm':
+            // Lo sacamos antes de guardar para evitar registros duplicados por doble click.
+            delete drafts[key];
+            await bot.answerCallbackQuery(query.id, { text: 'Guardando...' });
+            await bot.editMessageText(`${formatDraft(draft)}\n\n⏳ Guardando en Gasti.pro...`, {
+                chat_id: chatId, message_id: messageId, parse_mode: 'Markdown'
+            });
+            await confirmDraft(bot, chatId, messageId, draft, config);
+            break;
+        case 'cancel':
+            delete drafts[key];
+            if (pendingAmountEdits[editKey] === key) delete pendingAmountEdits[editKey];
+            await bot.answerCallbackQuery(query.id, { text: 'Cancelado' });
+            await bot.editMessageText("❌ Registro cancelado. No se guardó nada.", { chat_id: chatId, message_id: messageId });
+            break;
+        case 'remove':
+            draft.items.splice(Number(value), 1);
+            await bot.answerCallbackQuery(query.id, { text: 'Quitado' });
+            if (draft.items.length === 0) {
+                delete drafts[key];
+                await bot.editMessageText("❌ Registro cancelado. No se guardó nada.", { chat_id: chatId, message_id: messageId });
+            } else {
+                await refreshDraftMessage(bot, chatId, messageId, draft);
+            }
+            break;
+        case 'category':
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageReplyMarkup(buildCategoryKeyboard(item.type, 'draft:setcat:', 'draft:back'), { chat_id: chatId, message_id: messageId });
+            break;
+        case 'setcat': {
+            const category = getCategoriesForType(item.type)[Number(value)];
+            if (category) item.category = category;
+            await bot.answerCallbackQuery(query.id, { text: category ? `Categoría: ${category}` : undefined });
+            await refreshDraftMessage(bot, chatId, messageId, draft);
+            break;
+        }
+        case 'currency':
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageReplyMarkup(buildCurrencyKeyboard(), { chat_id: chatId, message_id: messageId });
+            break;
+        case 'setcur':
+            if (CURRENCY_OPTIONS.includes(value)) item.currency = value;
+            await bot.answerCallbackQuery(query.id, { text: `Moneda: ${item.currency}` });
+            await refreshDraftMessage(bot, chatId, messageId, draft);
+            break;
+        case 'amount':
+            pendingAmountEdits[editKey] = key;
+            await bot.answerCallbackQuery(query.id);
+            await bot.sendMessage(chatId, "💰 Escribí el nuevo monto (solo el número):");
+            break;
+        case 'back':
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageReplyMarkup(buildDraftKeyboard(draft), { chat_id: chatId, message_id: messageId });
+            break;
+        default:
+            await bot.answerCallbackQuery(query.id);
+    }
+}
+
+module.exports = { presentDraft, handleDraftCallback, isAwaitingDraftAmount, handleDraftAmountReply };
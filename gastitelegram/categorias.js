@@ -0,0 +1,77 @@
+/**
+ * Categorías de Gasti.pro compartidas entre el prompt de la IA y los menús del bot.
+ * Los nombres incluyen el emoji tal como se guardan en Gasti.pro.
+ */
+const EXPENSE_CATEGORIES = ["💰 Ahorros", "🚗 Auto", "⛽ Combustible", "🍽️ Comida", "🎨 Decoración", "⚽ Deportes", "🤝 Donaciones", "📚 Educación", "💼 Emprendimiento", "🎮 Entretenimiento", "🅿️ Estacionamiento", "💊 Farmacia", "🏋️ Gimnasio", "👼 Hijos", "🎨 Hobbies", "📈 Inversiones", "🔧 Mantenimiento", "🐶 Mascotas", "📦 Otros", "💑 Pareja", "🏦 Prestamos", "🔄 Reconciliación de cuenta", "🎁 Regalos", "👕 Ropa", "🏥 Salud", "🔒 Seguros", "🚰 Servicios", "📱 Subscripciones", "🛒 Supermercado", "💳 Tarjetas", "💼 Trabajo", "🚌 Transporte", "🌴 Vacaciones", "🏠 Vivienda"];
+const INCOME_CATEGORIES = ["💵 Sueldo", "💻 Freelance", "💼 Emprendimiento", "📈 Inversiones", "🏠 Alquileres", "🛍️ Ventas", "🎁 Regalos", "💸 Reintegros", "🏦 Prestamos", "📦 Otros"];
+
+/**
+ * Devuelve la lista de categorías correspondiente al tipo de transacción.
+ * @param {string} type - 'expense' o 'income'.
+ * @returns {Array<string>} - Las categorías permitidas para ese tipo.
+ */
+function getCategoriesForType(type) {
+    return type === 'income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
+}
+
+/**
+ * Arma un teclado inline con las categorías del tipo indicado, de a dos por fila.
+ * Se usa el índice en el callback_data porque Telegram lo limita a 64 bytes.
+ * @param {string} type - 'expense' o 'income'.
+ * @param {string} prefix - Prefijo del callback_data; cada botón envía `${prefix}<índice>`.
+ * @param {string} backData - callback_data del botón "Volver".
+ * @returns {object} - El reply_markup para Telegram.
+ */
+function buildCategoryKeyboard(type, prefix, backData) {
+    const categories = getCategoriesForType(type);
+    const rows = [];
+    for (let i = 0; i < categories.length; i += 2) {
+        rows.push(categories.slice(i, i + 2).map((category, offset) => ({
+            text: category,
+            callback_data: `${prefix}${i + offset}`
+        })));
+    }
+    rows.push([{ text: '⬅️ Volver', callback_data: backData }]);
+    return { inline_keyboard: rows };
+}
+
+// Deja solo letras sin tildes, para comparar "🍽️ Comida", "comida" o "Comída".
+function normalizeCategoryName(name) {
+    return name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9ñ ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Busca una categoría por nombre, con o sin emoji y sin importar mayúsculas ni tildes.
+ * @param {string} name - El nombre escrito por el usuario.
+ * @param {string} [type] - 'expense' o 'income' (por defecto, gastos).
+ * @returns {string|null} - La categoría tal como se guarda en Gasti.pro, o null si no existe.
+ */
+function findCategoryByName(name, type = 'expense') {
+    const wanted = normalizeCategoryName(name || '');
+    if (!wanted) return null;
+    return getCategoriesForType(type).find(category => normalizeCategoryName(category) === wanted) || null;
+}
+
+/**
+ * Busca el nombre de alguna categoría dentro de una frase ("cuánto gasté en comida este mes").
+ * Acepta singular y plural ("mascota", "subscripcion").
+ * @param {string} text - La frase.
+ * @returns {object|null} - { category, rest } con la categoría encontrada y la frase sin ella, o null.
+ */
+function findCategoryInText(text) {
+    // Solo minúsculas y sin tildes: el resto de la frase (fechas como "15/07") tiene que quedar intacto.
+    const normalized = (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const categories = [...new Set([...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES])]
+        .sort((a, b) => normalizeCategoryName(b).length - normalizeCategoryName(a).length);
+    for (const category of categories) {
+        const name = normalizeCategoryName(category);
+        const forms = [...new Set([name, name.replace(/s$/, ''), name.replace(/es$/, '')])];
+        const pattern = new RegExp(`\\b(?:${forms.join('|')})\\b`);
+        if (pattern.test(normalized)) {
+            return { category, rest: normalized.replace(pattern, ' ').replace(/\s+/g, ' ').trim() };
+        }
+    }
+    return null;
+}
+
+module.exports = { EXPENSE_CATEGORIES, INCOME_CATEGORIES, getCategoriesForType, buildCategoryKeyboard, findCategoryByName, findCategoryInText };
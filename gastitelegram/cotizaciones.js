@@ -0,0 +1,383 @@
+const fetch = require('node-fetch');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { getArgentinaDateString, resolveDateExpression, formatArgentinaDate } = require('./fechas');
+const { getCurrency, formatMoney } = require('./monedas');
+const { isAdmin } = require('./autorizacion');
+
+/*
+ * Cotizaciones para consolidar montos en distintas monedas.
+ *
+ * Una cotización es el precio en ARS de una unidad de otra moneda, para un tipo de cambio
+ * (oficial, MEP, blue...) y una fecha. Se guarda un historial diario en disco y cada transacción
+ * se convierte con la cotización vigente en su fecha, así que el total de un mes viejo no cambia
+ * cuando sube el dólar.
+ *
+ * Una fuente automática de cotizaciones es un objeto con:
+ *   - name: string
+ *   - fetchRates() => Promise<Array<{ currency, type, rate, date }>>
+ * Se eligen con EXCHANGE_RATE_SOURCES (separadas por comas). Sin fuentes, se cargan a mano con /cotizacion.
+ */
+
+const RATE_TYPES = {
+    oficial: 'oficial',
+    mep: 'MEP',
+    blue: 'blue',
+    ccl: 'contado con liqui',
+    tarjeta: 'tarjeta',
+    cripto: 'cripto',
+    mayorista: 'mayorista'
+};
+
+const RATE_TYPE_ALIASES = { bolsa: 'mep', contadoconliqui: 'ccl', paralelo: 'blue', informal: 'blue' };
+
+// Las monedas que no son el dólar suelen tener solo cotización oficial: es la que se usa si falta la elegida.
+const FALLBACK_RATE_TYPE = 'oficial';
+// Cada cuánto se consultan las fuentes automáticas.
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const USAGE = `💱 *Cotizaciones*
+
+• \`/cotizacion usar <tipo> [moneda]\` — elige la cotización y la moneda de los totales consolidados
+
+Solo administradores (las cotizaciones son las mismas para todos):
+• \`/cotizacion <tipo> <valor> [fecha]\` — carga el precio en ARS de 1 USD, ej. \`/cotizacion blue 1250\`
+• \`/cotizacion <moneda> <tipo> <valor> [fecha]\` — para otras monedas, ej. \`/cotizacion EUR oficial 1400\`
+• \`/cotizacion actualizar\` — consulta las fuentes automáticas configuradas
+
+Tipos: ${Object.keys(RATE_TYPES).join(', ')}.`;
+
+function normalizeRateType(text) {
+    const key = (text || '').toLowerCase();
+    const type = RATE_TYPE_ALIASES[key] || key;
+    return RATE_TYPES[type] ? type : null;
+}
+
+function formatAmount(amount) {
+    return amount.toLocaleString('es-AR', { maximumFractionDigits: 2 });
+}
+
+async function readRates(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return { rates: {}, preferences: {}, ...JSON.parse(data) };
+    } catch (error) {
+        return { rates: {}, preferences: {} };
+    }
+}
+
+async function writeRates(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Busca la cotización vigente en una fecha: la última cargada ese día o antes.
+ * Si la fecha es anterior a todo el historial se usa la más vieja que haya.
+ * @param {Array<object>} series - Historial [{ date, rate }] ordenado por fecha.
+ * @param {string} date - 'YYYY-MM-DD'.
+ * @returns {number|null}
+ */
+function findRateOn(series, date) {
+    if (!series || series.length === 0) return null;
+    let found = series[0];
+    for (const entry of series) {
+        if (entry.date > date) break;
+        found = entry;
+    }
+    return found.rate;
+}
+
+/**
+ * Fuente automática que usa dolarapi.com: todos los tipos de dólar y la cotización oficial de otras monedas.
+ * @param {object} [options] - { apiUrl }.
+ * @returns {object} - La fuente de cotizaciones.
+ */
+function createDolarApiFetcher({ apiUrl = 'https://dolarapi.com/v1' } = {}) {
+    const baseUrl = apiUrl.replace(/\/$/, '');
+    const CASAS = { oficial: 'oficial', blue: 'blue', bolsa: 'mep', contadoconliqui: 'ccl', tarjeta: 'tarjeta', cripto: 'cripto', mayorista: 'mayorista' };
+
+    async function getJSON(url) {
+        const response = await fetch(url, { timeout: 15000 });
+        if (!response.ok) {
+            throw new Error(`Error consultando ${url}. Status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'dolarapi',
+        async fetchRates() {
+            const [dolares, otras] = await Promise.all([getJSON(`${baseUrl}/dolares`), getJSON(`${baseUrl}/cotizaciones`)]);
+            const rates = [];
+            dolares.forEach(item => {
+                if (CASAS[item.casa] && item.venta) {
+                    rates.push({ currency: 'USD', type: CASAS[item.casa], rate: item.venta, date: getArgentinaDateString(new Date(item.fechaActualizacion)) });
+                }
+            });
+            otras.forEach(item => {
+                if (item.moneda && item.moneda !== 'USD' && item.venta) {
+                    rates.push({ currency: item.moneda, type: 'oficial', rate: item.venta, date: getArgentinaDateString(new Date(item.fechaActualizacion)) });
+                }
+            });
+            return rates;
+        }
+    };
+}
+
+/**
+ * Crea las fuentes automáticas configuradas en las variables de entorno.
+ * @param {object} env - Normalmente `process.env`.
+ * @returns {Array<object>} - Las fuentes (puede estar vacío).
+ */
+function createRateFetchers(env) {
+    return (env.EXCHANGE_RATE_SOURCES || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+            if (name === 'dolarapi') return createDolarApiFetcher({ apiUrl: env.DOLARAPI_URL });
+            console.warn(`Fuente de cotizaciones desconocida: "${name}". Se ignora.`);
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Crea el servicio de cotizaciones.
+ * @param {object} options
+ * @param {string} options.filePath - Archivo con el historial de cotizaciones y las preferencias de cada usuario.
+ * @param {Array<object>} [options.fetchers] - Fuentes automáticas (ver createRateFetchers).
+ * @param {string} [options.defaultType] - Tipo de cambio si el usuario no eligió ninguno.
+ * @param {string} [options.defaultReferenceCurrency] - Moneda de los totales consolidados si el usuario no eligió ninguna.
+ * @returns {object} - { setRate, getLatestRates, getPreference, setPreference, consolidate, refresh, start, fetchers }.
+ */
+function createExchangeRates({ filePath, fetchers = [], defaultType = FALLBACK_RATE_TYPE, defaultReferenceCurrency = 'USD' }) {
+    let pendingWrite = Promise.resolve();
+
+    function update(mutator) {
+        const result = pendingWrite.then(async () => {
+            const data = await readRates(filePath);
+            const outcome = mutator(data);
+            await writeRates(filePath, data);
+            return outcome;
+        });
+        pendingWrite = result.catch(() => {});
+        return result;
+    }
+
+    function storeRate(data, { currency, type, rate, date, source }) {
+        const byType = data.rates[currency] = data.rates[currency] || {};
+        const series = (byType[type] || []).filter(entry => entry.date !== date);
+        series.push({ date, rate, source, updatedAt: new Date().toISOString() });
+        byType[type] = series.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Precio en ARS de una unidad de `currency` en `date`, o null si no hay cotización.
+    function rateInARS(data, currency, type, date) {
+        if (currency === 'ARS') return 1;
+        const byType = data.rates[currency] || {};
+        return findRateOn(byType[type] || byType[FALLBACK_RATE_TYPE], date);
+    }
+
+    /**
+     * Guarda una cotización, reemplazando la de ese mismo día si ya había una.
+     * @param {object} rate - { currency, type, rate, date, source }.
+     */
+    async function setRate(rate) {
+        await update(data => storeRate(data, rate));
+    }
+
+    /**
+     * Devuelve la última cotización de cada moneda y tipo.
+     * @returns {Array<object>} - [{ currency, type, rate, date, source }].
+     */
+    async function getLatestRates() {
+        const data = await readRates(filePath);
+        const latest = [];
+        Object.entries(data.rates).forEach(([currency, byType]) => {
+            Object.entries(byType).forEach(([type, series]) => {
+                if (series.length > 0) latest.push({ currency, type, ...series[series.length - 1] });
+            });
+        });
+        return latest;
+    }
+
+    /**
+     * @param {number} telegramUserId
+     * @returns {object} - { type, referenceCurrency } elegidos por el usuario, o los valores por defecto.
+     */
+    async function getPreference(telegramUserId) {
+        const data = await readRates(filePath);
+        return { type: defaultType, referenceCurrency: defaultReferenceCurrency, ...data.preferences[telegramUserId] };
+    }
+
+    async function setPreference(telegramUserId, preference) {
+        await update(data => {
+            data.preferences[telegramUserId] = { ...data.preferences[telegramUserId], ...preference };
+        });
+    }
+
+    /**
+     * Suma transacciones de distintas monedas en la moneda de referencia del usuario,
+     * convirtiendo cada una con la cotización de su fecha.
+     * @param {Array<object>} transactions - Transacciones con amount (negativo = gasto), currency y date.
+     * @param {number} telegramUserId - El usuario, para usar su tipo de cambio y moneda de referencia.
+     * @returns {object} - { currency, type, expenses, income, balance, missing, mixed }. `missing` son las monedas
+     *   sin cotización (quedan fuera de los totales); `mixed` indica si hubo que convertir algo.
+     */
+    async function consolidate(transactions, telegramUserId) {
+        const data = await readRates(filePath);
+        const { type, referenceCurrency } = await getPreference(telegramUserId);
+        const result = { currency: referenceCurrency, type, expenses: 0, income: 0, balance: 0, missing: [], mixed: false };
+
+        transactions.forEach(tx => {
+            const currency = getCurrency(tx);
+            const amount = parseFloat(tx.amount) || 0;
+            let converted = amount;
+            // Lo que ya está en la moneda de referencia se suma tal cual, haya o no cotización cargada.
+            if (currency !== referenceCurrency) {
+                result.mixed = true;
+                const date = getArgentinaDateString(new Date(tx.date));
+                const from = rateInARS(data, currency, type, date);
+                const to = rateInARS(data, referenceCurrency, type, date);
+                if (from === null || to === null) {
+                    const missingCurrency = from === null ? currency : referenceCurrency;
+                    if (!result.missing.includes(missingCurrency)) result.missing.push(missingCurrency);
+                    return;
+                }
+                converted = amount * from / to;
+            }
+            if (converted < 0) result.expenses += Math.abs(converted);
+            else result.income += converted;
+        });
+
+        result.balance = result.income - result.expenses;
+        return result;
+    }
+
+    /**
+     * Consulta las fuentes automáticas y guarda lo que devuelvan.
+     * @returns {number} - Cantidad de cotizaciones guardadas.
+     */
+    async function refresh() {
+        let saved = 0;
+        for (const fetcher of fetchers) {
+            try {
+                const rates = await fetcher.fetchRates();
+                await update(data => rates.forEach(rate => storeRate(data, { ...rate, source: fetcher.name })));
+                saved += rates.length;
+            } catch (error) {
+                console.error(`No se pudieron obtener cotizaciones de ${fetcher.name}:`, error.message);
+            }
+        }
+        return saved;
+    }
+
+    /**
+     * Arranca la actualización periódica, si hay fuentes automáticas.
+     */
+    function start() {
+        if (fetchers.length === 0) return;
+        setInterval(refresh, REFRESH_INTERVAL_MS);
+        refresh();
+    }
+
+    return { setRate, getLatestRates, getPreference, setPreference, consolidate, refresh, start, fetchers };
+}
+
+/**
+ * Describe un total consolidado para mostrarlo en Telegram, ej. "1.234,50 USD (cotización blue)".
+ * @param {number} amount - El monto ya convertido.
+ * @param {object} consolidated - El resultado de `consolidate`.
+ * @returns {string}
+ */
+function formatConsolidatedAmount(amount, consolidated) {
+    let text = `${formatMoney(amount, consolidated.currency)} (cotización ${RATE_TYPES[consolidated.type] || consolidated.type})`;
+    if (consolidated.missing.length > 0) {
+        text += ` — sin cotización para ${consolidated.missing.join(', ')}, no incluido`;
+    }
+    return text;
+}
+
+/**
+ * Maneja el comando /cotizacion.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con `exchangeRates` y ADMIN_IDS.
+ */
+async function handleCotizacionCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const exchangeRates = config.exchangeRates;
+    const tokens = msg.text.replace(/^\/cotizacion(@\w+)?/, '').trim().split(/\s+/).filter(Boolean);
+
+    if (tokens.length === 0) {
+        const latest = await exchangeRates.getLatestRates();
+        const preference = await exchangeRates.getPreference(msg.from.id);
+        let message = USAGE;
+        if (latest.length > 0) {
+            message += "\n\n*Últimas cotizaciones:*\n";
+            latest.forEach(r => { message += `• ${r.currency} ${RATE_TYPES[r.type]}: ${formatAmount(r.rate)} ARS (${formatArgentinaDate(r.date)})\n`; });
+        }
+        message += `\n*Tus totales consolidados:* en ${preference.referenceCurrency}, con la cotización ${RATE_TYPES[preference.type]}.`;
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    const subcommand = tokens[0].toLowerCase();
+
+    if (subcommand !== 'usar' && !isAdmin(msg.from.id, config)) {
+        await bot.sendMessage(chatId, "⛔ Solo un administrador puede cargar o actualizar cotizaciones, porque las usan todos los usuarios. Podés elegir cuál usar con `/cotizacion usar <tipo>`.", { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (subcommand === 'actualizar') {
+        if (exchangeRates.fetchers.length === 0) {
+            await bot.sendMessage(chatId, "No hay fuentes automáticas configuradas (EXCHANGE_RATE_SOURCES). Cargá las cotizaciones a mano con /cotizacion.");
+            return;
+        }
+        const saved = await exchangeRates.refresh();
+        await bot.sendMessage(chatId, saved > 0 ? `✅ Actualicé ${saved} cotizaciones.` : "😕 No pude obtener cotizaciones de las fuentes configuradas.");
+        return;
+    }
+
+    if (subcommand === 'usar') {
+        const type = normalizeRateType(tokens[1]);
+        const referenceCurrency = tokens[2] ? tokens[2].toUpperCase() : undefined;
+        if (!type || (referenceCurrency && !/^[A-Z]{3}$/.test(referenceCurrency))) {
+            await bot.sendMessage(chatId, USAGE, { parse_mode: 'Markdown' });
+            return;
+        }
+        await exchangeRates.setPreference(msg.from.id, referenceCurrency ? { type, referenceCurrency } : { type });
+        const preference = await exchangeRates.getPreference(msg.from.id);
+        await bot.sendMessage(chatId, `✅ Tus totales consolidados van a estar en ${preference.referenceCurrency}, con la cotización ${RATE_TYPES[type]}.`);
+        return;
+    }
+
+    let currency = 'USD';
+    if (!normalizeRateType(tokens[0]) && /^[a-z]{3}$/i.test(tokens[0])) {
+        currency = tokens.shift().toUpperCase();
+    }
+    const type = normalizeRateType(tokens[0]);
+    const rate = parseArgentineNumber(tokens[1] || '');
+    const date = tokens.length > 2 ? resolveDateExpression(tokens.slice(2).join(' ')) : getArgentinaDateString();
+    if (currency === 'ARS' || !type || !isFinite(rate) || rate <= 0 || !date) {
+        await bot.sendMessage(chatId, USAGE, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    await exchangeRates.setRate({ currency, type, rate, date, source: 'manual' });
+    await bot.sendMessage(chatId, `✅ Cotización guardada: 1 ${currency} = ${formatAmount(rate)} ARS (${RATE_TYPES[type]}, ${formatArgentinaDate(date)}).`);
+}
+
+module.exports = {
+    RATE_TYPES,
+    createExchangeRates,
+    createRateFetchers,
+    createDolarApiFetcher,
+    formatConsolidatedAmount,
+    handleCotizacionCommand
+};
@@ -0,0 +1,22 @@
+/*
+ * CRC-32 (el de ZIP y PNG), sin dependencias.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Calcula el CRC-32 de un buffer.
+ * @param {Buffer} buffer
+ * @returns {number} - Entero sin signo de 32 bits.
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = { crc32 };
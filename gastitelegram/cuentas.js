@@ -0,0 +1,147 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { GastiAuthError } = require('./apiGasti');
+
+async function readAccounts(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Escribimos en un archivo temporal y lo renombramos: si el proceso muere a mitad de camino,
+// el archivo de cuentas nunca queda truncado ni con un refresh token a medio escribir.
+async function writeAccounts(filePath, accounts) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(accounts, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// Las modificaciones se encadenan para que dos escrituras simultáneas no se pisen entre sí.
+let pendingWrite = Promise.resolve();
+
+function serializeWrite(task) {
+    const result = pendingWrite.then(task);
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Devuelve la cuenta de Gasti.pro vinculada a un usuario de Telegram.
+ * @param {string} filePath - Ruta del archivo de cuentas.
+ * @param {number} telegramUserId - El ID del usuario de Telegram.
+ * @returns {object|null} - { refreshToken, email, userId } o null si no está vinculado.
+ */
+async function getAccount(filePath, telegramUserId) {
+    const accounts = await readAccounts(filePath);
+    return accounts[telegramUserId] || null;
+}
+
+/**
+ * Guarda (o reemplaza) la cuenta de Gasti.pro de un usuario de Telegram.
+ * @param {string} filePath - Ruta del archivo de cuentas.
+ * @param {number} telegramUserId - El ID del usuario de Telegram.
+ * @param {object} account - { refreshToken, email, userId }.
+ */
+async function saveAccount(filePath, telegramUserId, account) {
+    return serializeWrite(async () => {
+        const accounts = await readAccounts(filePath);
+        accounts[telegramUserId] = { ...accounts[telegramUserId], ...account, lastUpdated: new Date().toISOString() };
+        await writeAccounts(filePath, accounts);
+    });
+}
+
+/**
+ * Elimina la cuenta vinculada de un usuario de Telegram.
+ * @param {string} filePath - Ruta del archivo de cuentas.
+ * @param {number} telegramUserId - El ID del usuario de Telegram.
+ * @returns {boolean} - true si había una cuenta vinculada.
+ */
+async function removeAccount(filePath, telegramUserId) {
+    return serializeWrite(async () => {
+        const accounts = await readAccounts(filePath);
+        if (!accounts[telegramUserId]) return false;
+        delete accounts[telegramUserId];
+        await writeAccounts(filePath, accounts);
+        return true;
+    });
+}
+
+/**
+ * Maneja el comando /vincular: explica cómo obtener el refresh token de Gasti.pro.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ */
+async function handleVincularCommand(bot, msg) {
+    const chatId = msg.chat.id;
+    if (msg.chat.type !== 'private') {
+        await bot.sendMessage(chatId, "🔒 Por seguridad, vinculá tu cuenta escribiéndome /vincular por mensaje privado.");
+        return false;
+    }
+    await bot.sendMessage(chatId, `🔗 *Vincular tu cuenta de Gasti.pro*
+
+1. Iniciá sesión en Gasti.pro desde el navegador.
+2. Copiá tu *refresh token* de la sesión.
+3. Pegalo acá como respuesta a este mensaje.
+
+Voy a borrar tu mensaje apenas lo lea. Escribí /cancelar para salir.`, { parse_mode: 'Markdown' });
+    return true;
+}
+
+/**
+ * Procesa el refresh token enviado durante /vincular y guarda la cuenta del usuario.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con el refresh token.
+ * @param {function} refreshSession - Canjea el refresh token por una sesión (ver apiGasti.js).
+ * @param {object} config - Configuración con ACCOUNTS_FILE_PATH.
+ * @returns {boolean} - true si la cuenta quedó vinculada.
+ */
+async function handleVincularToken(bot, msg, refreshSession, config) {
+    const chatId = msg.chat.id;
+    const refreshToken = msg.text.trim();
+
+    // El token es una credencial: intentamos borrarlo del chat cuanto antes.
+    await bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+
+    let tokenData;
+    try {
+        tokenData = await refreshSession(refreshToken);
+    } catch (error) {
+        await bot.sendMessage(chatId, error instanceof GastiAuthError
+            ? "😕 Gasti.pro rechazó ese token. Revisá que lo hayas copiado completo y volvé a intentar con /vincular."
+            : "🔌 No pude contactar a Gasti.pro para validar el token. Probá de nuevo en unos minutos con /vincular.");
+        return false;
+    }
+    if (!tokenData.accessToken || !tokenData.user) {
+        await bot.sendMessage(chatId, "😕 Gasti.pro rechazó ese token. Revisá que lo hayas copiado completo y volvé a intentar con /vincular.");
+        return false;
+    }
+
+    await saveAccount(config.ACCOUNTS_FILE_PATH, msg.from.id, {
+        refreshToken: tokenData.newRefreshToken || refreshToken,
+        email: tokenData.user.email,
+        userId: tokenData.user.id,
+        linkedAt: new Date().toISOString()
+    });
+
+    await bot.sendMessage(chatId, `✅ ¡Listo! Tu Telegram quedó vinculado a la cuenta *${tokenData.user.email}*.\n\nYa podés registrar gastos y consultar tus datos.`, { parse_mode: 'Markdown' });
+    return true;
+}
+
+/**
+ * Maneja el comando /desvincular: borra las credenciales guardadas del usuario.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con ACCOUNTS_FILE_PATH.
+ */
+async function handleDesvincularCommand(bot, msg, config) {
+    const removed = await removeAccount(config.ACCOUNTS_FILE_PATH, msg.from.id);
+    await bot.sendMessage(msg.chat.id, removed
+        ? "🔓 Tu cuenta de Gasti.pro fue desvinculada. Usá /vincular para volver a conectarla."
+        : "No tenías ninguna cuenta vinculada.");
+}
+
+module.exports = { getAccount, saveAccount, removeAccount, handleVincularCommand, handleVincularToken, handleDesvincularCommand };
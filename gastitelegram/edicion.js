@@ -0,0 +1,277 @@
+const { getCategoriesForType, buildCategoryKeyboard } = require('./categorias');
+const { getRecentTransactions, updateRecordedTransaction, removeRecordedTransaction } = require('./historial');
+const { GastiValidationError } = require('./apiGasti');
+const { escapeMarkdown } = require('./markdown');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { ARGENTINA_TIMEZONE, resolveDateExpression, getArgentinaDateString, argentinaDateToISO, formatArgentinaDate } = require('./fechas');
+
+// Cantidad de transacciones que lista /editar.
+const EDIT_LIST_SIZE = 5;
+
+// Sesiones de edición abiertas, indexadas por "chatId:messageId" del mensaje con los botones.
+// Cada sesión guarda `telegramUserId`: solo quien abrió /editar puede usar sus botones.
+const editSessions = {};
+// Usuarios que están escribiendo un nuevo valor: "chatId:telegramUserId" -> { key, field }.
+const pendingValueEdits = {};
+
+const FIELD_LABELS = {
+    description: 'la nueva descripción',
+    amount: 'el nuevo monto (solo el número)',
+    date: 'la nueva fecha (DD/MM, DD/MM/AAAA o "ayer")'
+};
+
+function sessionKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+}
+
+function pendingKey(chatId, telegramUserId) {
+    return `${chatId}:${telegramUserId}`;
+}
+
+function formatTransactionLine(tx) {
+    const date = new Date(tx.date).toLocaleDateString('es-AR', { day: '2-digit', month: '2-digit', timeZone: ARGENTINA_TIMEZONE });
+    const amount = Math.abs(tx.amount).toLocaleString('es-AR');
+    return `${date} · ${tx.description} · ${amount} ${tx.currency}`;
+}
+
+function formatTransactionDetail(tx) {
+    const typeLabel = tx.type === 'income' ? '🔼 Ingreso' : '🔻 Gasto';
+    let message = "✏️ *¿Qué querés cambiar?*\n\n";
+    message += `📂 *Tipo:* ${typeLabel}\n`;
+    message += `📝 *Descripción:* ${escapeMarkdown(tx.description)}\n`;
+    message += `💰 *Monto:* ${Math.abs(tx.amount).toLocaleString('es-AR')} ${tx.currency}\n`;
+    message += `🏷️ *Categoría:* ${escapeMarkdown(tx.category)}\n`;
+    message += `🗓️ *Fecha:* ${formatArgentinaDate(tx.date)}`;
+    return message;
+}
+
+function buildListKeyboard(transactions) {
+    const rows = transactions.map((tx, index) => ([{ text: formatTransactionLine(tx), callback_data: `edit:sel:${index}` }]));
+    rows.push([{ text: '❌ Cerrar', callback_data: 'edit:close' }]);
+    return { inline_keyboard: rows };
+}
+
+function buildFieldKeyboard() {
+    return {
+        inline_keyboard: [
+            [
+                { text: '📝 Descripción', callback_data: 'edit:field:description' },
+                { text: '💰 Monto', callback_data: 'edit:field:amount' }
+            ],
+            [
+                { text: '🏷️ Categoría', callback_data: 'edit:field:category' },
+                { text: '🗓️ Fecha', callback_data: 'edit:field:date' }
+            ],
+            [{ text: '⬅️ Volver', callback_data: 'edit:list' }]
+        ]
+    };
+}
+
+/**
+ * Aplica un cambio a una transacción en Gasti.pro y en el historial local.
+ */
+async function applyChange(chatId, tx, changes, config) {
+    const accessToken = await config.getAccessToken();
+    await config.gasti.updateTransaction(accessToken, tx.id, changes);
+    Object.assign(tx, changes);
+    await updateRecordedTransaction(config.HISTORY_FILE_PATH, chatId, tx.id, changes);
+}
+
+/**
+ * Maneja el comando /deshacer: elimina la última transacción que el usuario registró desde este chat.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con getAccessToken, el cliente `gasti` y HISTORY_FILE_PATH.
+ */
+async function handleDeshacerCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const [last] = await getRecentTransactions(config.HISTORY_FILE_PATH, chatId, msg.from.id, 1);
+
+    if (!last) {
+        await bot.sendMessage(chatId, "🤷 No tengo transacciones recientes tuyas registradas desde este chat.");
+        return;
+    }
+
+    const accessToken = await config.getAccessToken();
+    let deleted;
+    try {
+        deleted = await config.gasti.deleteTransaction(accessToken, last.id);
+    } catch (error) {
+        // Si Gasti.pro rechaza el ID, reintentar no va a servir: la sacamos del historial igual.
+        if (!(error instanceof GastiValidationError)) throw error;
+        deleted = false;
+    }
+    await removeRecordedTransaction(config.HISTORY_FILE_PATH, chatId, last.id);
+
+    if (!deleted) {
+        await bot.sendMessage(chatId, `🤷 Esa transacción ya no estaba en Gasti.pro (¿la borraste desde la web?). La saqué del historial:\n\n${formatTransactionLine(last)}`);
+        return;
+    }
+    await bot.sendMessage(chatId, `↩️ Eliminé la última transacción:\n\n${formatTransactionLine(last)}`);
+}
+
+/**
+ * Maneja el comando /editar: lista las últimas transacciones que el usuario registró desde este chat, con botones para editarlas.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con HISTORY_FILE_PATH.
+ */
+async function handleEditarCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const transactions = await getRecentTransactions(config.HISTORY_FILE_PATH, chatId, msg.from.id, EDIT_LIST_SIZE);
+
+    if (transactions.length === 0) {
+        await bot.sendMessage(chatId, "🤷 No tengo transacciones recientes tuyas registradas desde este chat.");
+        return;
+    }
+
+    const sent = await bot.sendMessage(chatId, "✏️ Elegí la transacción que querés editar:", {
+        reply_markup: buildListKeyboard(transactions)
+    });
+    editSessions[sessionKey(chatId, sent.message_id)] = { telegramUserId: msg.from.id, transactions, selected: null };
+}
+
+/**
+ * Maneja los botones de /editar (callback_data con prefijo "edit:").
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ * @param {object} config - Configuración con getAccessToken, el cliente `gasti` y HISTORY_FILE_PATH.
+ */
+async function handleEditCallback(bot, query, config) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const key = sessionKey(chatId, messageId);
+    const session = editSessions[key];
+    const [, action, value] = query.data.split(':');
+
+    if (!session) {
+        await bot.answerCallbackQuery(query.id, { text: 'Esta edición ya no está disponible. Usá /editar de nuevo.' });
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+        return;
+    }
+
+    if (session.telegramUserId !== query.from.id) {
+        await bot.answerCallbackQuery(query.id, { text: 'Solo quien abrió /editar puede usar estos botones.' });
+        return;
+    }
+
+    const editKey = pendingKey(chatId, session.telegramUserId);
+    const tx = session.selected !== null ? session.transactions[session.selected] : null;
+
+    switch (action) {
+        case 'sel':
+            session.selected = Number(value);
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageText(formatTransactionDetail(session.transactions[session.selected]), {
+                chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: buildFieldKeyboard()
+            });
+            break;
+        case 'list':
+            session.selected = null;
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageText("✏️ Elegí la transacción que querés editar:", {
+                chat_id: chatId, message_id: messageId, reply_markup: buildListKeyboard(session.transactions)
+            });
+            break;
+        case 'field':
+            await bot.answerCallbackQuery(query.id);
+            if (value === 'category') {
+                await bot.editMessageReplyMarkup(buildCategoryKeyboard(tx.type, 'edit:setcat:', 'edit:back'), { chat_id: chatId, message_id: messageId });
+            } else {
+                pendingValueEdits[editKey] = { key, field: value };
+                await bot.sendMessage(chatId, `Escribí ${FIELD_LABELS[value]}:`);
+            }
+            break;
+        case 'setcat': {
+            const category = getCategoriesForType(tx.type)[Number(value)];
+            await bot.answerCallbackQuery(query.id, { text: 'Guardando...' });
+            if (category) await applyChange(chatId, tx, { category }, config);
+            await bot.editMessageText(formatTransactionDetail(tx), {
+                chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: buildFieldKeyboard()
+            });
+            break;
+        }
+        case 'back':
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageReplyMarkup(buildFieldKeyboard(), { chat_id: chatId, message_id: messageId });
+            break;
+        case 'close':
+            delete editSessions[key];
+            if (pendingValueEdits[editKey] && pendingValueEdits[editKey].key === key) delete pendingValueEdits[editKey];
+            await bot.answerCallbackQuery(query.id);
+            await bot.editMessageText("✅ Edición finalizada.", { chat_id: chatId, message_id: messageId });
+            break;
+        default:
+            await bot.answerCallbackQuery(query.id);
+    }
+}
+
+/**
+ * Indica si el usuario está por escribir un valor para /editar en este chat.
+ * @param {number} chatId - El ID del chat.
+ * @param {number} telegramUserId - El usuario que escribe.
+ * @returns {boolean}
+ */
+function isAwaitingEditValue(chatId, telegramUserId) {
+    return Boolean(pendingValueEdits[pendingKey(chatId, telegramUserId)]);
+}
+
+/**
+ * Procesa el mensaje con el nuevo valor de un campo en /editar.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con el valor.
+ * @param {object} config - Configuración con getAccessToken, el cliente `gasti`, HISTORY_FILE_PATH y ALLOW_FUTURE_DATES.
+ */
+async function handleEditValueReply(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const editKey = pendingKey(chatId, msg.from.id);
+    const { key, field } = pendingValueEdits[editKey];
+    const session = editSessions[key];
+    delete pendingValueEdits[editKey];
+
+    if (!session || session.selected === null) {
+        await bot.sendMessage(chatId, "⌛ Esa edición ya no está disponible. Usá /editar de nuevo.");
+        return;
+    }
+
+    const tx = session.transactions[session.selected];
+    const text = msg.text.trim();
+    let changes;
+
+    if (field === 'description') {
+        changes = { description: text };
+    } else if (field === 'amount') {
+        const amount = parseArgentineNumber(text);
+        if (!isFinite(amount) || amount <= 0) {
+            pendingValueEdits[editKey] = { key, field };
+            await bot.sendMessage(chatId, "😕 Ese monto no es válido. Escribí solo el número, por ejemplo: 15.000 o 45,50");
+            return;
+        }
+        changes = { amount: tx.type === 'income' ? amount : -amount };
+    } else if (field === 'date') {
+        const date = resolveDateExpression(text);
+        if (!date) {
+            pendingValueEdits[editKey] = { key, field };
+            await bot.sendMessage(chatId, "😕 No entendí la fecha. Usá el formato DD/MM o DD/MM/AAAA.");
+            return;
+        }
+        // Misma regla que al registrar: sin ALLOW_FUTURE_DATES no se aceptan fechas futuras.
+        if (date > getArgentinaDateString() && !config.ALLOW_FUTURE_DATES) {
+            pendingValueEdits[editKey] = { key, field };
+            await bot.sendMessage(chatId, `😕 La fecha ${formatArgentinaDate(date)} es futura. Escribí una fecha de hoy o anterior.`);
+            return;
+        }
+        changes = { date: argentinaDateToISO(date) };
+    } else {
+        return;
+    }
+
+    await applyChange(chatId, tx, changes, config);
+    const messageId = Number(key.split(':')[1]);
+    await bot.editMessageText(formatTransactionDetail(tx), {
+        chat_id: chatId, message_id: messageId, parse_mode: 'Markdown', reply_markup: buildFieldKeyboard()
+    });
+    await bot.sendMessage(chatId, "✅ Transacción actualizada en Gasti.pro.");
+}
+
+module.exports = { handleDeshacerCommand, handleEditarCommand, handleEditCallback, isAwaitingEditValue, handleEditValueReply };
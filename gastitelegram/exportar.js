@@ -0,0 +1,147 @@
+const { analyzeQuery, getFilteredTransactions, filterTransactions } = require('./info');
+const { getCurrency, getCurrencyDecimals } = require('./monedas');
+const { getArgentinaDateString, formatArgentinaDate } = require('./fechas');
+const { buildXlsx } = require('./xlsx');
+
+/*
+ * /exportar [período] [formato]: manda las transacciones de un período como archivo CSV, XLSX o JSON.
+ * El período se interpreta igual que en /info; sin período se exporta el mes en curso.
+ */
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', contentType: 'application/json' }
+};
+
+const FORMAT_ALIASES = { excel: 'xlsx', xls: 'xlsx' };
+
+const HEADERS = ['Fecha', 'Descripción', 'Categoría', 'Monto', 'Moneda', 'Tipo'];
+
+/**
+ * Separa el formato pedido del texto del período.
+ * @param {string} args - El texto después de /exportar.
+ * @returns {object} - { format, period }.
+ */
+function parseExportArgs(args) {
+    let format = 'csv';
+    const periodWords = [];
+    args.split(/\s+/).filter(Boolean).forEach(word => {
+        const key = word.toLowerCase().replace(/^\./, '');
+        const candidate = FORMAT_ALIASES[key] || key;
+        if (FORMATS[candidate]) format = candidate;
+        else periodWords.push(word);
+    });
+    return { format, period: periodWords.join(' ') };
+}
+
+/**
+ * Convierte las transacciones de la API en filas para exportar.
+ * @param {Array<object>} transactions - Transacciones con date, description, category, amount y currency.
+ * @returns {Array<object>} - [{ date, description, category, amount, currency, type }], ordenadas por fecha.
+ */
+function toExportRows(transactions) {
+    return [...transactions]
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(tx => {
+            const amount = parseFloat(tx.amount) || 0;
+            return {
+                date: getArgentinaDateString(new Date(tx.date)),
+                description: tx.description || '',
+                category: tx.category || '',
+                amount: Math.abs(amount),
+                currency: getCurrency(tx),
+                type: amount < 0 ? 'gasto' : 'ingreso'
+            };
+        });
+}
+
+function escapeCsvField(value) {
+    let text = String(value);
+    // Excel toma como fórmula lo que empieza con =, +, -, @ o un tabulador: descripciones importadas de un banco
+    // o devueltas por el LLM no deben poder ejecutarse al abrir el archivo.
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Arma un CSV pensado para abrirse en un Excel configurado en español:
+ * separador ";", coma decimal y BOM para que respete los acentos.
+ * @param {Array<object>} rows - Filas de toExportRows.
+ * @returns {Buffer}
+ */
+function buildCsv(rows) {
+    const lines = [HEADERS.join(';')];
+    rows.forEach(row => {
+        const amount = row.amount.toFixed(getCurrencyDecimals(row.currency)).replace('.', ',');
+        lines.push([row.date, row.description, row.category, amount, row.currency, row.type].map(escapeCsvField).join(';'));
+    });
+    return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf-8');
+}
+
+function buildJson(rows) {
+    return Buffer.from(JSON.stringify(rows, null, 2), 'utf-8');
+}
+
+function buildSpreadsheet(rows) {
+    return buildXlsx('Transacciones', [
+        HEADERS,
+        ...rows.map(row => [row.date, row.description, row.category, row.amount, row.currency, row.type])
+    ]);
+}
+
+/**
+ * Maneja el comando /exportar.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con getAccessToken, `gasti` y `llm`.
+ */
+async function handleExportarCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const { format, period } = parseExportArgs(msg.text.replace(/^\/exportar(@\w+)?/, '').trim());
+    const thinkingMessage = await bot.sendMessage(chatId, "📦 Preparando la exportación...");
+
+    try {
+        let queryParams;
+        if (period) {
+            queryParams = await analyzeQuery(period, config.llm);
+            if (queryParams.error) {
+                await bot.editMessageText(queryParams.error, { chat_id: chatId, message_id: thinkingMessage.message_id });
+                return;
+            }
+        } else {
+            const today = getArgentinaDateString();
+            queryParams = { date_from: `${today.slice(0, 7)}-01`, date_to: today, type: 'all', category: null };
+        }
+
+        const accessToken = await config.getAccessToken();
+        const transactions = filterTransactions(await getFilteredTransactions(queryParams, config.gasti, accessToken), queryParams);
+
+        if (transactions.length === 0) {
+            await bot.editMessageText("No encontré transacciones para exportar en ese período.", { chat_id: chatId, message_id: thinkingMessage.message_id });
+            return;
+        }
+
+        const rows = toExportRows(transactions);
+        const builders = { csv: buildCsv, xlsx: buildSpreadsheet, json: buildJson };
+        const file = builders[format](rows);
+        const filename = `transacciones_${queryParams.date_from}_${queryParams.date_to}.${FORMATS[format].extension}`;
+
+        await bot.sendDocument(chatId, file, { caption: `📎 ${rows.length} transacciones del ${formatArgentinaDate(queryParams.date_from)} al ${formatArgentinaDate(queryParams.date_to)}.` }, {
+            filename,
+            contentType: FORMATS[format].contentType
+        });
+        await bot.deleteMessage(chatId, thinkingMessage.message_id).catch(() => {});
+        console.log(`[${chatId}] Exportadas ${rows.length} transacciones en ${format}.`);
+
+    } catch (error) {
+        console.error("Error procesando el comando /exportar:", error.message);
+        await bot.editMessageText(
+            "🔥 ¡Ups! Hubo un error al generar la exportación. Revisa los logs del servidor.",
+            { chat_id: chatId, message_id: thinkingMessage.message_id }
+        );
+        throw error;
+    }
+}
+
+module.exports = { handleExportarCommand };
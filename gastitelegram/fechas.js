@@ -0,0 +1,343 @@
+/*
+ * Utilidades de fechas en la zona horaria de Argentina. El servidor corre en UTC, así que
+ * "hoy" y "ayer" siempre se calculan acá y nunca con `new Date()` a secas.
+ * Las fechas de calendario se manejan como strings 'YYYY-MM-DD'.
+ */
+
+const ARGENTINA_TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+/**
+ * Devuelve la fecha de calendario en Argentina para un instante dado.
+ * @param {Date} [date] - El instante (por defecto, ahora).
+ * @returns {string} - 'YYYY-MM-DD'.
+ */
+function getArgentinaDateString(date = new Date()) {
+    // en-CA formatea como YYYY-MM-DD.
+    return new Intl.DateTimeFormat('en-CA', { timeZone: ARGENTINA_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Devuelve la hora del día en Argentina para un instante dado.
+ * @param {Date} [date] - El instante (por defecto, ahora).
+ * @returns {string} - 'HH:MM' en formato de 24 horas.
+ */
+function getArgentinaTimeString(date = new Date()) {
+    return new Intl.DateTimeFormat('en-GB', { timeZone: ARGENTINA_TIMEZONE, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
+
+/**
+ * Convierte una fecha de calendario de Argentina a ISO, al mediodía para que no cambie de día en UTC.
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @returns {string} - La fecha en formato ISO.
+ */
+function argentinaDateToISO(dateString) {
+    return new Date(`${dateString}T12:00:00-03:00`).toISOString();
+}
+
+/**
+ * Devuelve el primer instante (00:00 en Argentina) de una fecha de calendario, en ISO.
+ * Se usa como límite inferior de los períodos que se piden a Gasti.pro.
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @returns {string} - La fecha en formato ISO.
+ */
+function argentinaDayStartISO(dateString) {
+    return new Date(`${dateString}T00:00:00-03:00`).toISOString();
+}
+
+/**
+ * Devuelve el último instante (23:59:59.999 en Argentina) de una fecha de calendario, en ISO.
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @returns {string} - La fecha en formato ISO.
+ */
+function argentinaDayEndISO(dateString) {
+    return new Date(`${dateString}T23:59:59.999-03:00`).toISOString();
+}
+
+function toDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseDateString(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Suma (o resta) días a una fecha de calendario.
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @param {number} days - Cantidad de días, puede ser negativa.
+ * @returns {string} - 'YYYY-MM-DD'.
+ */
+function addDays(dateString, days) {
+    const date = parseDateString(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Devuelve el día de la semana de una fecha de calendario (0 = domingo).
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @returns {number}
+ */
+function getWeekday(dateString) {
+    return parseDateString(dateString).getUTCDay();
+}
+
+function isValidDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Quita tildes y pasa a minúsculas para comparar palabras ("miércoles" -> "miercoles").
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * Resuelve una expresión de fecha en español a una fecha de calendario concreta.
+ * Entiende "hoy", "ayer", "anteayer", días de la semana ("el viernes", "el lunes pasado"),
+ * "15/07", "15/07/2025", "15 de julio", "15 de julio de 2025" y "2025-07-15".
+ * Sin año explícito, se elige la ocurrencia más reciente que no sea futura.
+ * @param {string} text - La expresión de fecha.
+ * @param {string} [today] - La fecha de referencia 'YYYY-MM-DD' (por defecto, hoy en Argentina).
+ * @returns {string|null} - 'YYYY-MM-DD' o null si no se entendió.
+ */
+function resolveDateExpression(text, today = getArgentinaDateString()) {
+    if (!text) return null;
+    const expression = normalize(text);
+    const [currentYear] = today.split('-').map(Number);
+
+    if (expression === 'hoy') return today;
+    if (expression === 'ayer') return addDays(today, -1);
+    if (expression === 'anteayer' || expression === 'antes de ayer' || expression === 'antier') return addDays(today, -2);
+
+    const weekdayMatch = expression.match(/^(?:el |este |esta )?(domingo|lunes|martes|miercoles|jueves|viernes|sabado)( pasado)?$/);
+    if (weekdayMatch) {
+        const target = WEEKDAYS.indexOf(weekdayMatch[1]);
+        let diff = (getWeekday(today) - target + 7) % 7;
+        // "el viernes" dicho un viernes se refiere al de la semana pasada; para hoy se dice "hoy".
+        if (diff === 0) diff = 7;
+        return addDays(today, -diff);
+    }
+
+    let year = null, month = null, day = null;
+    const isoMatch = expression.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const numericMatch = expression.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?$/);
+    const wordsMatch = expression.match(/^(?:el )?(\d{1,2}) de ([a-z]+)(?: de(?:l)? (\d{4}))?$/);
+
+    if (isoMatch) {
+        [year, month, day] = isoMatch.slice(1).map(Number);
+    } else if (numericMatch) {
+        day = Number(numericMatch[1]);
+        month = Number(numericMatch[2]);
+        if (numericMatch[3]) {
+            year = Number(numericMatch[3]);
+            if (year < 100) year += 2000;
+        }
+    } else if (wordsMatch && MONTHS.includes(wordsMatch[2])) {
+        day = Number(wordsMatch[1]);
+        month = MONTHS.indexOf(wordsMatch[2]) + 1;
+        if (wordsMatch[3]) year = Number(wordsMatch[3]);
+    } else {
+        return null;
+    }
+
+    if (year === null) {
+        year = currentYear;
+        // "28/12" dicho en enero se refiere al año pasado.
+        if (isValidDate(year, month, day) && toDateString(year, month, day) > today) year -= 1;
+    }
+    if (!isValidDate(year, month, day)) return null;
+    return toDateString(year, month, day);
+}
+
+// Números escritos con palabras que aparecen en "los últimos tres meses".
+const NUMBER_WORDS = {
+    un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+    once: 11, doce: 12, quince: 15, veinte: 20, treinta: 30, sesenta: 60, noventa: 90
+};
+
+const QUARTER_WORDS = {
+    primer: 1, primero: 1, '1er': 1, '1ro': 1, '1': 1,
+    segundo: 2, '2do': 2, '2': 2,
+    tercer: 3, tercero: 3, '3er': 3, '3ro': 3, '3': 3,
+    cuarto: 4, '4to': 4, '4': 4
+};
+
+function lastDayOfMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function monthRange(year, month) {
+    return { dateFrom: toDateString(year, month, 1), dateTo: toDateString(year, month, lastDayOfMonth(year, month)) };
+}
+
+function quarterRange(year, quarter) {
+    return { dateFrom: toDateString(year, quarter * 3 - 2, 1), dateTo: monthRange(year, quarter * 3).dateTo };
+}
+
+/**
+ * Resta meses a una fecha, recortando el día si el mes destino es más corto (31/3 menos un mes = 28/2).
+ */
+function addMonths(dateString, months) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const targetYear = target.getUTCFullYear();
+    const targetMonth = target.getUTCMonth() + 1;
+    return toDateString(targetYear, targetMonth, Math.min(day, lastDayOfMonth(targetYear, targetMonth)));
+}
+
+function parseMonthName(word) {
+    if (word === 'setiembre') return 9;
+    const index = MONTHS.indexOf(word);
+    return index === -1 ? null : index + 1;
+}
+
+// Año de la ocurrencia más reciente que ya empezó: "diciembre" dicho en enero es el del año pasado.
+function mostRecentYear(month, today) {
+    const [currentYear, currentMonth] = today.split('-').map(Number);
+    return month > currentMonth ? currentYear - 1 : currentYear;
+}
+
+/**
+ * Resuelve la parte de un período que no depende de otros (todo menos "desde", "del ... al" y "entre").
+ * @returns {object|null} - { dateFrom, dateTo } sin recortar a hoy.
+ */
+function resolveSimplePeriod(expression, today) {
+    const [currentYear, currentMonth] = today.split('-').map(Number);
+
+    if (/^(?:esta semana|la semana actual|semana actual)$/.test(expression)) {
+        return { dateFrom: addDays(today, -((getWeekday(today) + 6) % 7)), dateTo: today };
+    }
+    if (/^(?:la )?semana (?:pasada|anterior)$/.test(expression)) {
+        const monday = addDays(today, -((getWeekday(today) + 6) % 7) - 7);
+        return { dateFrom: monday, dateTo: addDays(monday, 6) };
+    }
+    if (/^(?:este mes|el mes actual|mes actual)$/.test(expression)) {
+        return monthRange(currentYear, currentMonth);
+    }
+    if (/^(?:el )?mes (?:pasado|anterior)$/.test(expression)) {
+        const previous = addMonths(`${today.slice(0, 7)}-01`, -1);
+        return monthRange(Number(previous.slice(0, 4)), Number(previous.slice(5, 7)));
+    }
+    if (/^(?:este ano|el ano actual|ano actual)$/.test(expression)) {
+        return { dateFrom: `${currentYear}-01-01`, dateTo: `${currentYear}-12-31` };
+    }
+    if (/^(?:el )?ano (?:pasado|anterior)$/.test(expression)) {
+        return { dateFrom: `${currentYear - 1}-01-01`, dateTo: `${currentYear - 1}-12-31` };
+    }
+    const yearMatch = expression.match(/^(?:el )?(?:ano )?(\d{4})$/);
+    if (yearMatch) {
+        return { dateFrom: `${yearMatch[1]}-01-01`, dateTo: `${yearMatch[1]}-12-31` };
+    }
+
+    // "últimos 7 días", "las últimas 2 semanas", "el último mes"
+    const lastMatch = expression.match(/^(?:los |las )?ultim[oa]s (\d+|[a-z]+) (dias|semanas|meses|anos)$/)
+        || expression.match(/^(?:el |la )?ultim[oa] ()(dia|semana|mes|ano)$/);
+    if (lastMatch) {
+        const amount = lastMatch[1] === '' ? 1 : (/^\d+$/.test(lastMatch[1]) ? Number(lastMatch[1]) : NUMBER_WORDS[lastMatch[1]]);
+        if (!amount) return null;
+        const unit = { dias: 'dia', semanas: 'semana', meses: 'mes', anos: 'ano' }[lastMatch[2]] || lastMatch[2];
+        if (unit === 'dia') return { dateFrom: addDays(today, -(amount - 1)), dateTo: today };
+        if (unit === 'semana') return { dateFrom: addDays(today, -(amount * 7 - 1)), dateTo: today };
+        if (unit === 'mes') return { dateFrom: addDays(addMonths(today, -amount), 1), dateTo: today };
+        return { dateFrom: addDays(addMonths(today, -amount * 12), 1), dateTo: today };
+    }
+
+    // Trimestres: "este trimestre", "el trimestre pasado", "el segundo trimestre", "Q3 2024", "trimestre 1 de 2025"
+    const currentQuarter = Math.ceil(currentMonth / 3);
+    if (/^(?:este trimestre|el trimestre actual|trimestre actual)$/.test(expression)) {
+        return quarterRange(currentYear, currentQuarter);
+    }
+    if (/^(?:el )?trimestre (?:pasado|anterior)$/.test(expression)) {
+        return currentQuarter === 1 ? quarterRange(currentYear - 1, 4) : quarterRange(currentYear, currentQuarter - 1);
+    }
+    const quarterMatch = expression.match(/^(?:el )?([a-z0-9]+) trimestre(?: (?:de |del )?(\d{4}))?$/)
+        || expression.match(/^(?:el )?trimestre ([1-4])(?: (?:de |del )?(\d{4}))?$/)
+        || expression.match(/^[qt]([1-4])(?: (?:de |del )?(\d{4}))?$/);
+    if (quarterMatch && QUARTER_WORDS[quarterMatch[1]]) {
+        const quarter = QUARTER_WORDS[quarterMatch[1]];
+        let year = quarterMatch[2] ? Number(quarterMatch[2]) : currentYear;
+        if (!quarterMatch[2] && quarter > currentQuarter) year -= 1;
+        return quarterRange(year, quarter);
+    }
+
+    // Meses: "julio", "julio 2024", "julio de 2024", "julio del 2024"
+    const monthMatch = expression.match(/^([a-z]+)(?: (?:de |del )?(\d{4}))?$/);
+    if (monthMatch && parseMonthName(monthMatch[1])) {
+        const month = parseMonthName(monthMatch[1]);
+        return monthRange(monthMatch[2] ? Number(monthMatch[2]) : mostRecentYear(month, today), month);
+    }
+
+    // Un día suelto: "hoy", "ayer", "el viernes", "15/07", "3 de mayo"
+    const day = resolveDateExpression(expression, today);
+    if (day) return { dateFrom: day, dateTo: day };
+    return null;
+}
+
+/**
+ * Resuelve una expresión de período en español a un rango de fechas de calendario en Argentina.
+ * Entiende "hoy", "ayer", "esta semana", "la semana pasada", "este mes", "el mes pasado", "este año",
+ * "el año pasado", "2024", meses con o sin año ("julio", "marzo de 2024"), "últimos N días/semanas/meses",
+ * trimestres ("el segundo trimestre", "Q1 2025", "el trimestre pasado"), días sueltos y rangos
+ * ("desde el 3 de mayo", "desde marzo hasta junio", "del 3 al 10 de mayo", "entre el 1/5 y el 15/5").
+ * Los períodos en curso terminan hoy.
+ * @param {string} text - La expresión.
+ * @param {string} [today] - La fecha de referencia 'YYYY-MM-DD' (por defecto, hoy en Argentina).
+ * @returns {object|null} - { dateFrom, dateTo } en 'YYYY-MM-DD', o null si no se entendió.
+ */
+function resolvePeriodExpression(text, today = getArgentinaDateString()) {
+    if (!text) return null;
+    const expression = normalize(text).replace(/[¿?¡!,.]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    let period = null;
+    const sinceMatch = expression.match(/^(?:a partir |desde )(?:del? |el |la )?(.+?)(?: hasta (?:el |la )?(.+))?$/);
+    const betweenMatch = expression.match(/^(?:del? |entre (?:el )?)(.+?) (?:al?|y(?: el)?) (.+)$/);
+    if (sinceMatch) {
+        const from = resolveSimplePeriod(sinceMatch[1], today);
+        const to = sinceMatch[2] ? resolveSimplePeriod(sinceMatch[2], today) : { dateTo: today };
+        if (from && to) period = { dateFrom: from.dateFrom, dateTo: to.dateTo };
+    } else if (betweenMatch) {
+        let [, fromText, toText] = betweenMatch;
+        const to = resolveSimplePeriod(toText, today);
+        // "del 3 al 10 de mayo": el primer día toma el mes y el año del segundo.
+        if (to && /^\d{1,2}$/.test(fromText)) fromText = `${fromText}/${to.dateFrom.slice(5, 7)}/${to.dateFrom.slice(0, 4)}`;
+        const from = resolveSimplePeriod(fromText, today);
+        if (from && to) period = { dateFrom: from.dateFrom, dateTo: to.dateTo };
+    } else {
+        period = resolveSimplePeriod(expression, today);
+    }
+
+    if (!period || period.dateFrom > period.dateTo) return null;
+    if (period.dateTo > today && period.dateFrom <= today) period.dateTo = today;
+    return period;
+}
+
+/**
+ * Formatea una fecha (ISO o 'YYYY-MM-DD') como la ve el usuario, en la zona horaria de Argentina.
+ * @param {string} date - La fecha.
+ * @returns {string} - Ej. "15/7/2025".
+ */
+function formatArgentinaDate(date) {
+    const instant = /^\d{4}-\d{2}-\d{2}$/.test(date) ? argentinaDateToISO(date) : date;
+    return new Date(instant).toLocaleDateString('es-AR', { timeZone: ARGENTINA_TIMEZONE });
+}
+
+module.exports = {
+    ARGENTINA_TIMEZONE,
+    WEEKDAYS,
+    MONTHS,
+    getArgentinaDateString,
+    getArgentinaTimeString,
+    argentinaDateToISO,
+    argentinaDayStartISO,
+    argentinaDayEndISO,
+    addDays,
+    getWeekday,
+    resolveDateExpression,
+    resolvePeriodExpression,
+    formatArgentinaDate
+};
@@ -1,137 +1,153 @@
-const fetch = require('node-fetch');
+const { formatConsolidatedAmount } = require('./cotizaciones');
+const { getCurrency, formatMoney, groupByCurrency } = require('./monedas');
+const { escapeMarkdown } = require('./markdown');
+const { showPaginated } = require('./paginacion');
+const { parseQueryLocally, getFilteredTransactions, filterTransactions } = require('./info');
+const { ARGENTINA_TIMEZONE, MONTHS, getArgentinaDateString, addDays, formatArgentinaDate } = require('./fechas');
+
+// Palabras sueltas que se entienden como el período en curso ("/gastos semana").
+const CURRENT_PERIOD_WORDS = { semana: 'esta semana', mes: 'este mes', ano: 'este año', trimestre: 'este trimestre' };
+// Palabras que, antes o después de las anteriores, ya indican de qué período se habla ("la semana pasada").
+const PERIOD_QUALIFIERS = new Set(['este', 'esta', 'el', 'la', 'ultimo', 'ultima', 'ultimos', 'ultimas', 'pasado', 'pasada', 'por', 'cada']);
+// Categorías que se detallan por moneda en el resumen; el resto se suma junto.
+const MAX_SUBTOTAL_CATEGORIES = 8;
+
+function normalizeWord(word) {
+    return (word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
 
 /**
- * Formatea la respuesta de la API en un mensaje legible para Telegram.
- * @param {object} apiResponse - La respuesta completa de la API de Gasti.pro.
- * @returns {string} - El mensaje formateado con Markdown.
+ * Interpreta los argumentos de /gastos sin usar el LLM: período ("semana", "julio", "el mes pasado"),
+ * categoría ("comida") y moneda ("usd"). Sin período, es el mes en curso. Cualquier otra cosa se rechaza
+ * con una sugerencia de usar /info, en vez de buscarla en las descripciones.
+ * @param {string} args - El texto después de /gastos.
+ * @param {string} [today] - La fecha de referencia 'YYYY-MM-DD'.
+ * @returns {object} - Los parámetros de la consulta (ver info.js), o { error }.
  */
-function formatApiResponse(apiResponse) {
-    if (!apiResponse || !apiResponse.transactions || apiResponse.transactions.length === 0) {
-        return "No se encontraron gastos recientes.";
-    }
-
-    const { transactions, summary } = apiResponse;
-    let message = "📊 *Resumen de Gastos del Mes*\n\n";
+function parseGastosArgs(args, today = getArgentinaDateString()) {
+    const words = args.split(/\s+/).filter(Boolean);
+    const expanded = words.map((word, i) => {
+        const alias = CURRENT_PERIOD_WORDS[normalizeWord(word)];
+        const qualified = PERIOD_QUALIFIERS.has(normalizeWord(words[i - 1])) || PERIOD_QUALIFIERS.has(normalizeWord(words[i + 1]));
+        return alias && !qualified ? alias : word;
+    });
 
-    if (summary && summary.length > 0) {
-        summary.forEach(s => {
-            const expenses = parseFloat(s.expenses).toLocaleString('es-AR');
-            message += `*${s.currency}:* ${expenses}\n`;
-        });
-        message += "\n";
+    const params = parseQueryLocally(`gastos ${expanded.join(' ')}`, today);
+    if (!params || params.search) {
+        return { error: `No entendí "${args}". Probá con un período, una categoría o una moneda, por ejemplo: /gastos semana, /gastos julio, /gastos comida o /gastos usd. Para buscar por descripción u otras consultas usá /info.` };
     }
+    if (params.compare_date_from) {
+        return { error: "Para comparar períodos usá /info." };
+    }
+    return { ...params, type: 'expense' };
+}
 
-    message += "*Últimos gastos registrados:*\n\n";
-
-    const sortedTransactions = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
+/**
+ * Describe el período consultado: "julio 2025" si es un mes calendario (o lo que va de él), si no "del 1/7/2025 al 15/7/2025".
+ */
+function describePeriod(dateFrom, dateTo) {
+    const isMonthStart = dateFrom.slice(8) === '01';
+    const sameMonth = dateFrom.slice(0, 7) === dateTo.slice(0, 7);
+    const isMonthEnd = addDays(dateTo, 1).slice(8) === '01' || dateTo === getArgentinaDateString();
+    if (isMonthStart && sameMonth && isMonthEnd) {
+        return `${MONTHS[Number(dateFrom.slice(5, 7)) - 1]} ${dateFrom.slice(0, 4)}`;
+    }
+    if (dateFrom === dateTo) return `del ${formatArgentinaDate(dateFrom)}`;
+    return `del ${formatArgentinaDate(dateFrom)} al ${formatArgentinaDate(dateTo)}`;
+}
 
-    sortedTransactions.slice(0, 10).forEach(tx => {
-        const date = new Date(tx.date).toLocaleDateString('es-AR', { day: '2-digit', month: '2-digit' });
-        const amount = Math.abs(tx.amount).toLocaleString('es-AR');
-        const currency = tx.currency;
-        const description = tx.description;
+/**
+ * Arma los subtotales por categoría de una moneda, de mayor a menor.
+ * @returns {string} - Las líneas en Markdown.
+ */
+function formatCategorySubtotals(transactions, currency, total) {
+    const byCategory = {};
+    transactions.forEach(tx => {
         const category = tx.category || 'Sin categoría';
-
-        message += `🗓️ *${date}* - ${category}\n`;
-        message += `   └ ${description}: *${amount} ${currency}*\n\n`;
+        byCategory[category] = (byCategory[category] || 0) + Math.abs(parseFloat(tx.amount) || 0);
     });
-
-    if (transactions.length > 10) {
-        message += `_... y ${transactions.length - 10} más._`;
+    const rows = Object.entries(byCategory).sort((a, b) => b[1] - a[1]);
+    const shown = rows.slice(0, MAX_SUBTOTAL_CATEGORIES);
+    if (rows.length > shown.length) {
+        shown.push(['Resto', rows.slice(MAX_SUBTOTAL_CATEGORIES).reduce((sum, [, amount]) => sum + amount, 0)]);
     }
-
-    return message;
+    return shown.map(([category, amount]) => {
+        const percent = total > 0 ? Math.round((amount / total) * 100) : 0;
+        return `• ${escapeMarkdown(category)}: ${formatMoney(amount, currency)} (${percent}%)\n`;
+    }).join('');
 }
 
 /**
- * Obtiene el resumen de gastos mensuales desde la API de Gasti.pro.
- * @param {string} accessToken - El token de acceso de Supabase.
- * @param {string} apiUrl - La URL base de la API de Gasti.
- * @param {string} apiKey - La API key de Supabase.
- * @returns {object} - La respuesta de la API.
- * @throws {Error} Si la petición a la API falla.
+ * Formatea los gastos del período en un mensaje legible para Telegram.
+ * @param {Array<object>} transactions - Los gastos ya filtrados (ver filterTransactions).
+ * @param {object} queryParams - Los parámetros de la consulta (ver parseGastosArgs).
+ * @param {object} [consolidated] - Totales en la moneda de referencia (ver cotizaciones.js).
+ * @returns {object} - { header, items, footer } en Markdown, para mostrar con showPaginated.
  */
-async function getMonthlyExpenses(accessToken, apiUrl, apiKey) {
-    const rpcUrl = `${apiUrl}/rest/v1/rpc/get_user_transactions_by_period`;
-    console.log(`Obteniendo resumen de gastos desde: ${rpcUrl}`);
-
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    const hours = String(today.getHours()).padStart(2, '0');
-    const minutes = String(today.getMinutes()).padStart(2, '0');
-    const seconds = String(today.getSeconds()).padStart(2, '0');
-
-    const dateTo = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
-    const dateFrom = `2025-01-01T00:00:00Z`;
-
-    const requestBody = {
-        date_from: dateFrom,
-        date_to: dateTo
-    };
-
-    const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-            'apikey': apiKey,
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    });
+function formatExpenses(transactions, queryParams, consolidated) {
+    let header = `📊 *Gastos ${describePeriod(queryParams.date_from, queryParams.date_to)}*\n`;
+    if (queryParams.category) header += `*Categoría:* ${escapeMarkdown(queryParams.category)}\n`;
+    if (queryParams.currency) header += `*Moneda:* ${queryParams.currency}\n`;
+    header += "\n";
+
+    if (transactions.length === 0) {
+        return { header, items: [], footer: "No se encontraron gastos en ese período." };
+    }
 
-    if (!response.ok) {
-        const errorBody = await response.text();
-        const detailedError = `Error al llamar a la RPC de Gasti.pro. Status: ${response.status}. Body: ${errorBody}`;
-        console.error(detailedError);
-        throw new Error(detailedError);
+    groupByCurrency(transactions).forEach(([currency, transactionsInCurrency]) => {
+        const total = transactionsInCurrency.reduce((sum, tx) => sum + Math.abs(parseFloat(tx.amount) || 0), 0);
+        header += `*Total en ${currency}:* ${formatMoney(total, currency)}\n`;
+        if (!queryParams.category) header += formatCategorySubtotals(transactionsInCurrency, currency, total);
+        header += "\n";
+    });
+    if (consolidated && consolidated.mixed) {
+        header += `*Total consolidado:* ${formatConsolidatedAmount(consolidated.expenses, consolidated)}\n\n`;
     }
 
-    const data = await response.json();
-    console.log("Resumen de gastos obtenido con éxito.");
-    return data;
+    header += "*Gastos registrados:*\n\n";
+
+    const sortedTransactions = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    const items = sortedTransactions.map(tx => {
+        const date = new Date(tx.date).toLocaleDateString('es-AR', { day: '2-digit', month: '2-digit', timeZone: ARGENTINA_TIMEZONE });
+        const currency = getCurrency(tx);
+        const amount = formatMoney(Math.abs(tx.amount), currency);
+        const description = escapeMarkdown(tx.description);
+        const category = escapeMarkdown(tx.category || 'Sin categoría');
+
+        return `🗓️ *${date}* - ${category}\n   └ ${description}: *${amount}*\n\n`;
+    });
+
+    return { header, items, footer: `_${transactions.length} ${transactions.length === 1 ? 'gasto' : 'gastos'} en total._` };
 }
 
 /**
- * Maneja el comando /gastos del bot.
+ * Maneja el comando /gastos del bot: "/gastos", "/gastos semana", "/gastos julio", "/gastos comida", "/gastos usd".
  * @param {TelegramBot} bot - La instancia del bot.
  * @param {object} msg - El objeto del mensaje de Telegram.
- * @param {function} getNewAccessToken - La función para obtener un nuevo token de acceso.
  * @param {object} config - Un objeto con la configuración necesaria (tokens, URLs, etc.).
  */
-async function handleGastosCommand(bot, msg, getNewAccessToken, config) {
+async function handleGastosCommand(bot, msg, config) {
     const chatId = msg.chat.id;
+    const queryParams = parseGastosArgs(msg.text.replace(/^\/gastos(@\w+)?/, '').trim());
+    if (queryParams.error) {
+        await bot.sendMessage(chatId, queryParams.error);
+        return;
+    }
+
     const thinkingMessage = await bot.sendMessage(chatId, "Buscando tus gastos en Gasti.pro...");
 
     try {
-        const currentRefreshToken = await config.readRefreshToken();
-        const tokenData = await getNewAccessToken(currentRefreshToken);
+        const accessToken = await config.getAccessToken();
 
-        if (!tokenData || !tokenData.accessToken) {
-            throw new Error("Fallo al obtener token de Gasti.pro para ver los gastos.");
-        }
-
-        if (tokenData.newRefreshToken && tokenData.newRefreshToken !== currentRefreshToken) {
-            await config.writeRefreshToken(tokenData.newRefreshToken);
-        }
-
-        const apiResponse = await getMonthlyExpenses(
-            tokenData.accessToken,
-            config.GASTI_API_URL,
-            config.SUPABASE_APIKEY
-        );
+        const transactions = filterTransactions(await getFilteredTransactions(queryParams, config.gasti, accessToken), queryParams);
+        console.log(`[${chatId}] /gastos: ${transactions.length} gastos entre ${queryParams.date_from} y ${queryParams.date_to}.`);
 
-        const message = formatApiResponse(apiResponse);
+        const consolidated = await config.exchangeRates.consolidate(transactions, msg.from.id);
 
-        await bot.editMessageText(message, {
-            chat_id: chatId,
-            message_id: thinkingMessage.message_id,
-            parse_mode: 'Markdown'
-        });
+        await showPaginated(bot, chatId, thinkingMessage.message_id, formatExpenses(transactions, queryParams, consolidated));
 
     } catch (error) {
-        // Este catch ahora recibirá errores más detallados desde getMonthlyExpenses
         console.error("Error procesando el comando /gastos:", error.message);
         await bot.editMessageText(
             "🔥 ¡Ups! Hubo un error y no pude obtener tus gastos. Revisa los logs del servidor.",
@@ -142,4 +158,4 @@ async function handleGastosCommand(bot, msg, getNewAccessToken, config) {
     }
 }
 
-module.exports = { handleGastosCommand };
\ No newline at end of file
+module.exports = { handleGastosCommand };
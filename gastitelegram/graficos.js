@@ -0,0 +1,378 @@
+const { analyzeQuery, getFilteredTransactions, filterTransactions } = require('./info');
+const { sumarGastosPorCategoria } = require('./resumen');
+const { formatMoney, groupByCurrency } = require('./monedas');
+const { MONTHS, getArgentinaDateString, addDays, formatArgentinaDate } = require('./fechas');
+const { createCanvas, measureText } = require('./lienzo');
+
+/*
+ * /grafico [período] [tipo]: gráficos como imagen PNG, dibujados en el servidor (ver lienzo.js).
+ *   - categorias: dona de gastos (o ingresos) por categoría.
+ *   - barras: gasto por día o por mes.
+ *   - evolucion: ingresos y gastos acumulados a lo largo del período.
+ * Se manda un gráfico por moneda, porque los montos en distintas monedas no se pueden sumar.
+ */
+
+const CHART_TYPES = {
+    categorias: { emoji: '🍩' },
+    barras: { emoji: '📊' },
+    evolucion: { emoji: '📈' }
+};
+
+// Palabras que eligen el tipo de gráfico y, para barras, si se agrupa por día o por mes.
+const CHART_TYPE_ALIASES = {
+    categorias: ['categorias', 'categoria', 'torta', 'dona', 'pie'],
+    barras: ['barras', 'barra', 'diario', 'mensual'],
+    evolucion: ['evolucion', 'linea', 'lineas', 'tendencia']
+};
+
+const WIDTH = 800;
+const HEIGHT = 480;
+// Más días que esto se agrupan por mes.
+const MAX_DAILY_BUCKETS = 62;
+// Gráficos por pedido: uno por moneda, empezando por la que tiene más movimientos.
+const MAX_CHARTS = 4;
+// Porciones de la dona; el resto se junta en "Resto".
+const MAX_SLICES = 7;
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#9c755f', '#bab0ac'];
+const EXPENSE_COLOR = '#e15759';
+const INCOME_COLOR = '#59a14f';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#888888';
+const GRID_COLOR = '#e6e6e6';
+
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Separa el tipo de gráfico del texto del período.
+ * @param {string} args - El texto después de /grafico.
+ * @returns {object} - { chartType, granularity: 'day' | 'month' | null, period }.
+ */
+function parseChartArgs(args) {
+    let chartType = 'categorias';
+    let granularity = null;
+    const periodWords = [];
+    args.split(/\s+/).filter(Boolean).forEach(word => {
+        const key = normalize(word);
+        const match = Object.keys(CHART_TYPE_ALIASES).find(type => CHART_TYPE_ALIASES[type].includes(key));
+        if (!match) {
+            periodWords.push(word);
+            return;
+        }
+        chartType = match;
+        if (key === 'diario') granularity = 'day';
+        if (key === 'mensual') granularity = 'month';
+    });
+    return { chartType, granularity, period: periodWords.join(' ') };
+}
+
+/**
+ * Arma los intervalos del eje X entre dos fechas.
+ * @param {string} dateFrom - 'YYYY-MM-DD'.
+ * @param {string} dateTo - 'YYYY-MM-DD'.
+ * @param {string|null} granularity - 'day', 'month' o null para elegir según el largo del período.
+ * @returns {Array<object>} - [{ key, label }]; `key` es 'YYYY-MM-DD' para días y 'YYYY-MM' para meses.
+ */
+function buildBuckets(dateFrom, dateTo, granularity) {
+    const buckets = [];
+    let daily = granularity === 'day';
+    if (!granularity) {
+        let days = 0;
+        for (let date = dateFrom; date <= dateTo && days <= MAX_DAILY_BUCKETS; date = addDays(date, 1)) days++;
+        daily = days <= MAX_DAILY_BUCKETS;
+    }
+    if (daily) {
+        for (let date = dateFrom; date <= dateTo; date = addDays(date, 1)) {
+            buckets.push({ key: date, label: date.slice(8, 10) === '01' || buckets.length === 0 ? `${Number(date.slice(8, 10))}/${Number(date.slice(5, 7))}` : String(Number(date.slice(8, 10))) });
+        }
+        return buckets;
+    }
+    let [year, month] = dateFrom.split('-').map(Number);
+    const [lastYear, lastMonth] = dateTo.split('-').map(Number);
+    while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+        buckets.push({ key: `${year}-${String(month).padStart(2, '0')}`, label: `${MONTHS[month - 1].slice(0, 3)} ${String(year).slice(2)}` });
+        month++;
+        if (month > 12) { month = 1; year++; }
+    }
+    return buckets;
+}
+
+/**
+ * Suma montos por intervalo.
+ * @param {Array<object>} rows - [{ date: 'YYYY-MM-DD', amount }].
+ * @param {Array<object>} buckets - Los intervalos de buildBuckets.
+ * @returns {Array<number>} - Un total por intervalo.
+ */
+function sumByBucket(rows, buckets) {
+    const keyLength = buckets.length > 0 ? buckets[0].key.length : 10;
+    const totals = {};
+    rows.forEach(row => {
+        const key = row.date.slice(0, keyLength);
+        totals[key] = (totals[key] || 0) + row.amount;
+    });
+    return buckets.map(bucket => totals[bucket.key] || 0);
+}
+
+// Convierte totales por intervalo en totales acumulados.
+function accumulate(values) {
+    let running = 0;
+    return values.map(value => (running += value));
+}
+
+/**
+ * Devuelve un paso "redondo" para el eje Y (1, 2, 2.5 o 5 por una potencia de 10).
+ */
+function niceStep(maxValue, ticks = 5) {
+    const rough = maxValue / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    return [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(candidate => candidate >= rough);
+}
+
+// Montos cortos para los ejes: "850", "12,5k", "1,2M".
+function formatCompact(value) {
+    const units = [[1e6, 'M'], [1e3, 'k']];
+    const unit = units.find(([size]) => Math.abs(value) >= size);
+    if (!unit) return value.toLocaleString('es-AR', { maximumFractionDigits: value < 10 ? 2 : 0 });
+    return `${(value / unit[0]).toLocaleString('es-AR', { maximumFractionDigits: 1 })}${unit[1]}`;
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 2)}..` : text;
+}
+
+function drawTitle(canvas, title, subtitle) {
+    canvas.drawText(title, 30, 20, { size: 3, color: TEXT_COLOR });
+    if (subtitle) canvas.drawText(subtitle, 30, 50, { size: 2, color: MUTED_COLOR });
+}
+
+/**
+ * Dibuja la grilla, el eje Y y las etiquetas del eje X.
+ * @returns {function} - Convierte un monto en la coordenada Y del área de dibujo.
+ */
+function drawAxes(canvas, plot, maxValue, labels) {
+    const step = niceStep(maxValue > 0 ? maxValue : 1);
+    const top = Math.ceil((maxValue > 0 ? maxValue : 1) / step) * step;
+    const toY = value => plot.bottom - (value / top) * (plot.bottom - plot.top);
+
+    for (let value = 0; value <= top + step / 2; value += step) {
+        const y = Math.round(toY(value));
+        canvas.fillRect(plot.left, y, plot.right - plot.left, 1, value === 0 ? MUTED_COLOR : GRID_COLOR);
+        canvas.drawText(formatCompact(value), plot.left - 10, y - 7, { size: 2, align: 'right', color: MUTED_COLOR });
+    }
+
+    // Salteamos etiquetas para que no se pisen.
+    const slotWidth = (plot.right - plot.left) / labels.length;
+    const widest = Math.max(...labels.map(label => measureText(label, 2)));
+    const every = Math.max(1, Math.ceil((widest + 12) / slotWidth));
+    labels.forEach((label, index) => {
+        if (index % every !== 0) return;
+        canvas.drawText(label, plot.left + slotWidth * (index + 0.5), plot.bottom + 10, { size: 2, align: 'center', color: MUTED_COLOR });
+    });
+    return toY;
+}
+
+/**
+ * Gráfico de dona por categoría.
+ * @param {object} chart - { title, subtitle, currency, slices: [[categoría, monto]] ordenadas de mayor a menor }.
+ * @returns {Buffer} - PNG.
+ */
+function renderCategoryChart({ title, subtitle, currency, slices }) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    drawTitle(canvas, title, subtitle);
+
+    const shown = slices.slice(0, MAX_SLICES);
+    const rest = slices.slice(MAX_SLICES).reduce((sum, [, amount]) => sum + amount, 0);
+    if (rest > 0) shown.push(['Resto', rest]);
+    const total = shown.reduce((sum, [, amount]) => sum + amount, 0);
+
+    const center = { x: 220, y: 280 };
+    let angle = 0;
+    shown.forEach(([, amount], index) => {
+        const sweep = (amount / total) * 2 * Math.PI;
+        canvas.fillWedge(center.x, center.y, 170, 95, angle, index === shown.length - 1 ? 2 * Math.PI : angle + sweep, PALETTE[index % PALETTE.length]);
+        angle += sweep;
+    });
+    canvas.drawText('Total', center.x, center.y - 22, { size: 2, align: 'center', color: MUTED_COLOR });
+    canvas.drawText(`${formatCompact(total)} ${currency}`, center.x, center.y + 2, { size: 3, align: 'center', color: TEXT_COLOR });
+
+    shown.forEach(([category, amount], index) => {
+        const y = 110 + index * 42;
+        canvas.fillRect(440, y, 18, 18, PALETTE[index % PALETTE.length]);
+        canvas.drawText(truncate(category.replace(/^\P{L}+/u, ''), 24), 470, y, { size: 2, color: TEXT_COLOR });
+        canvas.drawText(`${formatMoney(amount, currency)}  (${Math.round((amount / total) * 100)}%)`, 470, y + 20, { size: 1, color: MUTED_COLOR });
+    });
+    return canvas.toPNG();
+}
+
+/**
+ * Gráfico de barras.
+ * @param {object} chart - { title, subtitle, labels, values, color }.
+ * @returns {Buffer} - PNG.
+ */
+function renderBarChart({ title, subtitle, labels, values, color }) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    drawTitle(canvas, title, subtitle);
+    const plot = { left: 90, right: WIDTH - 30, top: 90, bottom: HEIGHT - 50 };
+    const toY = drawAxes(canvas, plot, Math.max(...values), labels);
+
+    const slotWidth = (plot.right - plot.left) / values.length;
+    const barWidth = Math.max(1, slotWidth * 0.7);
+    values.forEach((value, index) => {
+        if (value <= 0) return;
+        const y = toY(value);
+        canvas.fillRect(plot.left + slotWidth * index + (slotWidth - barWidth) / 2, y, barWidth, plot.bottom - y, color);
+    });
+    return canvas.toPNG();
+}
+
+/**
+ * Gráfico de líneas con una o más series.
+ * @param {object} chart - { title, subtitle, labels, series: [{ name, color, values }] }.
+ * @returns {Buffer} - PNG.
+ */
+function renderLineChart({ title, subtitle, labels, series }) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    drawTitle(canvas, title, subtitle);
+    const plot = { left: 90, right: WIDTH - 30, top: 90, bottom: HEIGHT - 50 };
+    const toY = drawAxes(canvas, plot, Math.max(...series.flatMap(s => s.values)), labels);
+    const slotWidth = (plot.right - plot.left) / labels.length;
+    const toX = index => plot.left + slotWidth * (index + 0.5);
+
+    let legendX = plot.right;
+    [...series].reverse().forEach(({ name, color }) => {
+        legendX -= measureText(name, 2);
+        canvas.drawText(name, legendX, 50, { size: 2, color: TEXT_COLOR });
+        legendX -= 24;
+        canvas.fillRect(legendX, 50, 14, 14, color);
+        legendX -= 20;
+    });
+
+    series.forEach(({ color, values }) => {
+        values.forEach((value, index) => {
+            if (index > 0) canvas.drawLine(toX(index - 1), toY(values[index - 1]), toX(index), toY(value), color, 3);
+            if (values.length <= 31) canvas.fillCircle(toX(index), toY(value), 4, color);
+        });
+    });
+    return canvas.toPNG();
+}
+
+/**
+ * Arma los gráficos pedidos, uno por moneda.
+ * @param {Array<object>} transactions - Las transacciones de la API.
+ * @param {object} options - { chartType, granularity, queryParams }.
+ * @returns {Array<object>} - [{ image, caption }].
+ */
+function buildCharts(transactions, { chartType, granularity, queryParams }) {
+    const periodText = `del ${formatArgentinaDate(queryParams.date_from)} al ${formatArgentinaDate(queryParams.date_to)}`;
+    const rows = transactions.map(tx => {
+        const amount = parseFloat(tx.amount) || 0;
+        return {
+            date: getArgentinaDateString(new Date(tx.date)),
+            category: tx.category,
+            amount: Math.abs(amount),
+            currency: tx.currency,
+            type: amount < 0 ? 'expense' : 'income'
+        };
+    });
+    // El eje llega hasta hoy, o hasta la última transacción si hay fechas futuras (ALLOW_FUTURE_DATES); nunca
+    // antes del inicio del período, porque toda transacción del período es de esa fecha o posterior.
+    const lastDate = rows.reduce((last, row) => (row.date > last ? row.date : last), getArgentinaDateString());
+    const dateTo = queryParams.date_to < lastDate ? queryParams.date_to : lastDate;
+    // En la dona se muestran ingresos solo si la consulta pidió ingresos.
+    const donutType = queryParams.type === 'income' ? 'income' : 'expense';
+    const relevant = chartType === 'evolucion' ? rows : rows.filter(row => row.type === (chartType === 'categorias' ? donutType : 'expense'));
+
+    return groupByCurrency(relevant).slice(0, MAX_CHARTS).map(([currency, rowsInCurrency]) => {
+        const expenses = rowsInCurrency.filter(row => row.type === 'expense');
+        const income = rowsInCurrency.filter(row => row.type === 'income');
+        const sum = list => list.reduce((total, row) => total + row.amount, 0);
+
+        if (chartType === 'categorias') {
+            const label = donutType === 'income' ? 'Ingresos' : 'Gastos';
+            const slices = Object.entries(sumarGastosPorCategoria(rowsInCurrency)).sort((a, b) => b[1] - a[1]);
+            return {
+                image: renderCategoryChart({ title: `${label} por categoria - ${currency}`, subtitle: periodText, currency, slices }),
+                caption: `${CHART_TYPES.categorias.emoji} ${label} por categoría en ${currency}, ${periodText}. Total: ${formatMoney(sum(rowsInCurrency), currency)}.`
+            };
+        }
+
+        const buckets = buildBuckets(queryParams.date_from, dateTo, granularity);
+        const labels = buckets.map(bucket => bucket.label);
+        const byDay = buckets[0].key.length === 10;
+
+        if (chartType === 'barras') {
+            return {
+                image: renderBarChart({ title: `Gastos por ${byDay ? 'dia' : 'mes'} - ${currency}`, subtitle: periodText, labels, values: sumByBucket(expenses, buckets), color: PALETTE[0] }),
+                caption: `${CHART_TYPES.barras.emoji} Gastos por ${byDay ? 'día' : 'mes'} en ${currency}, ${periodText}. Total: ${formatMoney(sum(expenses), currency)}.`
+            };
+        }
+
+        return {
+            image: renderLineChart({
+                title: `Ingresos vs. gastos - ${currency}`,
+                subtitle: `Acumulado ${periodText}`,
+                labels,
+                series: [
+                    { name: 'Ingresos', color: INCOME_COLOR, values: accumulate(sumByBucket(income, buckets)) },
+                    { name: 'Gastos', color: EXPENSE_COLOR, values: accumulate(sumByBucket(expenses, buckets)) }
+                ]
+            }),
+            caption: `${CHART_TYPES.evolucion.emoji} Ingresos y gastos acumulados en ${currency}, ${periodText}. Balance: ${formatMoney(sum(income) - sum(expenses), currency)}.`
+        };
+    });
+}
+
+/**
+ * Maneja el comando /grafico.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con getAccessToken, `gasti` y `llm`.
+ */
+async function handleGraficoCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const { chartType, granularity, period } = parseChartArgs(msg.text.replace(/^\/grafico(@\w+)?/, '').trim());
+    const thinkingMessage = await bot.sendMessage(chatId, "🎨 Dibujando el gráfico...");
+
+    try {
+        let queryParams;
+        if (period) {
+            queryParams = await analyzeQuery(period, config.llm);
+            if (queryParams.error) {
+                await bot.editMessageText(queryParams.error, { chat_id: chatId, message_id: thinkingMessage.message_id });
+                return;
+            }
+        } else {
+            const today = getArgentinaDateString();
+            queryParams = { date_from: `${today.slice(0, 7)}-01`, date_to: today, type: 'all', category: null };
+        }
+        // La evolución compara ingresos y gastos, así que necesita los dos aunque la consulta pida uno.
+        if (chartType === 'evolucion') queryParams = { ...queryParams, type: 'all' };
+
+        const accessToken = await config.getAccessToken();
+        const transactions = filterTransactions(await getFilteredTransactions(queryParams, config.gasti, accessToken), queryParams);
+        const charts = buildCharts(transactions, { chartType, granularity, queryParams });
+
+        if (charts.length === 0) {
+            await bot.editMessageText("No encontré movimientos para graficar en ese período.", { chat_id: chatId, message_id: thinkingMessage.message_id });
+            return;
+        }
+
+        for (const { image, caption } of charts) {
+            await bot.sendPhoto(chatId, image, { caption }, { filename: 'grafico.png', contentType: 'image/png' });
+        }
+        await bot.deleteMessage(chatId, thinkingMessage.message_id).catch(() => {});
+        console.log(`[${chatId}] Enviados ${charts.length} gráficos de ${chartType}.`);
+
+    } catch (error) {
+        console.error("Error procesando el comando /grafico:", error.message);
+        await bot.editMessageText(
+            "🔥 ¡Ups! Hubo un error al generar el gráfico. Revisa los logs del servidor.",
+            { chat_id: chatId, message_id: thinkingMessage.message_id }
+        );
+        throw error;
+    }
+}
+
+module.exports = { handleGraficoCommand };
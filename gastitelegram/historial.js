@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Cantidad máxima de transacciones recordadas por chat.
+const MAX_HISTORY_PER_CHAT = 20;
+
+async function readHistory(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Las entradas anteriores a guardar el autor solo se reconocen en chats privados, donde el chat es el usuario.
+function isOwnedBy(entry, chatId, telegramUserId) {
+    if (entry.telegramUserId === undefined) return String(chatId) === String(telegramUserId);
+    return entry.telegramUserId === telegramUserId;
+}
+
+async function writeHistory(filePath, history) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(history, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// Los borradores, la bandeja de salida y las recurrentes anotan en el mismo archivo: encadenamos las escrituras.
+let pendingWrite = Promise.resolve();
+
+function updateHistory(filePath, mutator) {
+    const result = pendingWrite.then(async () => {
+        const history = await readHistory(filePath);
+        mutator(history);
+        await writeHistory(filePath, history);
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Guarda una transacción creada por el bot en el historial del chat.
+ * @param {string} filePath - Ruta del archivo de historial.
+ * @param {number} chatId - El chat que creó la transacción.
+ * @param {number} telegramUserId - El usuario dueño de la transacción (en cuya cuenta de Gasti.pro se guardó).
+ * @param {object} transaction - La fila devuelta por Gasti.pro (debe incluir `id`).
+ */
+async function recordTransaction(filePath, chatId, telegramUserId, transaction) {
+    if (!transaction || transaction.id === undefined) return;
+    await updateHistory(filePath, history => {
+        const entries = history[chatId] || [];
+        entries.push({
+            id: transaction.id,
+            telegramUserId,
+            description: transaction.description,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            category: transaction.category,
+            type: transaction.type,
+            date: transaction.date
+        });
+        history[chatId] = entries.slice(-MAX_HISTORY_PER_CHAT);
+    });
+}
+
+/**
+ * Devuelve las últimas transacciones de un usuario creadas desde un chat, de la más reciente a la más antigua.
+ * En un grupo, cada miembro solo ve (y puede deshacer o editar) las suyas.
+ * @param {string} filePath - Ruta del archivo de historial.
+ * @param {number} chatId - El ID del chat.
+ * @param {number} telegramUserId - El usuario que las pide.
+ * @param {number} limit - Cantidad máxima a devolver.
+ * @returns {Array<object>}
+ */
+async function getRecentTransactions(filePath, chatId, telegramUserId, limit) {
+    const history = await readHistory(filePath);
+    return (history[chatId] || []).filter(entry => isOwnedBy(entry, chatId, telegramUserId)).slice(-limit).reverse();
+}
+
+/**
+ * Actualiza los datos guardados de una transacción del historial.
+ * @param {string} filePath - Ruta del archivo de historial.
+ * @param {number} chatId - El ID del chat.
+ * @param {string|number} id - El ID de la transacción en Gasti.pro.
+ * @param {object} changes - Los campos modificados.
+ */
+async function updateRecordedTransaction(filePath, chatId, id, changes) {
+    await updateHistory(filePath, history => {
+        const entry = (history[chatId] || []).find(t => String(t.id) === String(id));
+        if (entry) Object.assign(entry, changes);
+    });
+}
+
+/**
+ * Quita una transacción del historial del chat.
+ * @param {string} filePath - Ruta del archivo de historial.
+ * @param {number} chatId - El ID del chat.
+ * @param {string|number} id - El ID de la transacción en Gasti.pro.
+ */
+async function removeRecordedTransaction(filePath, chatId, id) {
+    await updateHistory(filePath, history => {
+        history[chatId] = (history[chatId] || []).filter(t => String(t.id) !== String(id));
+    });
+}
+
+module.exports = { recordTransaction, getRecentTransactions, updateRecordedTransaction, removeRecordedTransaction };
@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const { EXPENSE_CATEGORIES, getCategoriesForType, findCategoryByName } = require('./categorias');
+const { parseArgentineNumber, guessCategory } = require('./analizadorLocal');
+const { downloadTelegramFile } = require('./archivos');
+const { GastiUnavailableError } = require('./apiGasti');
+const { MONTHS, getArgentinaDateString, argentinaDateToISO, argentinaDayStartISO, argentinaDayEndISO, resolveDateExpression } = require('./fechas');
+const { formatMoney, groupByCurrency } = require('./monedas');
+const { escapeMarkdown } = require('./markdown');
+
+/*
+ * /importar: carga masiva desde un CSV (resumen de tarjeta, actividad de Mercado Pago, movimientos del banco).
+ *
+ * Flujo: /importar [formato] -> el usuario sube el CSV -> se interpretan las filas, se categorizan
+ * (palabras clave y, para las que quedan, el LLM) y se descartan las que ya están en Gasti.pro ->
+ * vista previa con un botón para confirmar -> inserción en lotes.
+ */
+
+// Cuánto espera el bot el archivo después de /importar, y cuánto vive una vista previa sin confirmar.
+const IMPORT_TTL_MS = 30 * 60 * 1000;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+// Descripciones por consulta al LLM y filas por inserción en Gasti.pro.
+const LLM_BATCH_SIZE = 50;
+const INSERT_BATCH_SIZE = 100;
+const PREVIEW_ROWS = 10;
+// Filas en las que se busca el encabezado: muchos bancos ponen unas líneas de datos de la cuenta antes.
+const HEADER_SEARCH_ROWS = 20;
+
+// Encabezados que reconocemos para cada dato, sin tildes y en minúsculas.
+const COLUMN_ALIASES = {
+    date: ['fecha', 'fecha de operacion', 'fecha operacion', 'fecha de compra', 'fecha origen', 'fecha movimiento', 'release_date', 'date'],
+    description: ['descripcion', 'detalle', 'concepto', 'movimiento', 'establecimiento', 'comercio', 'transaction_type', 'description'],
+    amount: ['monto', 'importe', 'valor', 'transaction_net_amount', 'amount'],
+    amountARS: ['pesos', 'importe en pesos', 'monto en pesos', 'importe $', 'monto $', 'importe ars'],
+    amountUSD: ['dolares', 'importe en dolares', 'monto en dolares', 'importe u$s', 'monto u$s', 'importe usd'],
+    debit: ['debito', 'debitos', 'debe', 'egreso', 'egresos'],
+    credit: ['credito', 'creditos', 'haber', 'ingreso', 'ingresos'],
+    currency: ['moneda', 'currency'],
+    type: ['tipo', 'type'],
+    category: ['categoria', 'category']
+};
+
+/**
+ * Formatos conocidos. Todos usan COLUMN_ALIASES para encontrar las columnas; cambia cómo se interpreta
+ * el signo del monto, la moneda por defecto y qué filas se ignoran.
+ *   - chargesArePositive: en los resúmenes de tarjeta los consumos vienen positivos y los pagos/reintegros negativos.
+ *   - skip: descripciones que no son gastos ni ingresos (el pago de la tarjeta, saldos).
+ *   - detect: (encabezados) => true si el archivo parece de este formato.
+ */
+const PRESETS = {
+    tarjeta: {
+        label: 'Resumen de tarjeta (Visa, Mastercard, Amex)',
+        aliases: ['visa', 'master', 'mastercard', 'amex'],
+        currency: 'ARS',
+        chargesArePositive: true,
+        skip: /\b(?:su pago|pago recibido|pago minimo|saldo anterior|saldo actual)\b/i,
+        detect: columns => columns.amountARS !== undefined || columns.amountUSD !== undefined
+    },
+    mercadopago: {
+        label: 'Actividad de Mercado Pago',
+        aliases: ['mp', 'mercado'],
+        currency: 'ARS',
+        chargesArePositive: false,
+        skip: null,
+        detect: (columns, headers) => headers.includes('release_date') || headers.includes('transaction_net_amount')
+    },
+    banco: {
+        label: 'Movimientos de cuenta bancaria',
+        aliases: ['cuenta', 'bancario'],
+        currency: 'ARS',
+        chargesArePositive: false,
+        skip: /\bsaldo (?:inicial|anterior|final)\b/i,
+        detect: columns => columns.debit !== undefined || columns.credit !== undefined
+    },
+    generico: {
+        label: 'Genérico: Fecha, Descripción, Monto [, Moneda, Tipo, Categoría]',
+        aliases: ['gasti', 'csv'],
+        currency: null,
+        chargesArePositive: false,
+        skip: null,
+        detect: () => true
+    }
+};
+
+const SYSTEM_PROMPT_CATEGORIZE = `
+Eres una API que clasifica movimientos de resúmenes bancarios y de tarjetas de Argentina.
+Recibirás una lista numerada; cada línea dice si es un gasto o un ingreso y su descripción tal como figura en el resumen.
+Tu respuesta DEBE SER ÚNICAMENTE un objeto JSON: {"categories": ["<categoría de la línea 1>", "<categoría de la línea 2>", ...]}, en el mismo orden y con un elemento por línea.
+Categorías de GASTO permitidas: ${EXPENSE_CATEGORIES.map(c => `"${c}"`).join(', ')}.
+Categorías de INGRESO permitidas: ${getCategoriesForType('income').map(c => `"${c}"`).join(', ')}.
+Usa exactamente uno de esos nombres, con su emoji. Si ninguno encaja, usa "📦 Otros".
+`;
+
+const CATEGORIZE_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: { categories: { type: 'array', items: { type: 'string' } } },
+    required: ['categories']
+};
+
+// Chats que están por subir un archivo: chatId -> { userId, preset, expiresAt }.
+const awaitingFiles = {};
+// Vistas previas pendientes de confirmar: id -> { chatId, userId, rows, imported, expiresAt }.
+const pendingImports = {};
+
+function normalizeHeader(text) {
+    return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function purgeExpired() {
+    const now = Date.now();
+    Object.keys(awaitingFiles).forEach(chatId => { if (awaitingFiles[chatId].expiresAt < now) delete awaitingFiles[chatId]; });
+    Object.keys(pendingImports).forEach(id => { if (pendingImports[id].expiresAt < now) delete pendingImports[id]; });
+}
+
+function findPreset(name) {
+    const key = normalizeHeader(name || '');
+    if (!key) return null;
+    return Object.keys(PRESETS).find(presetKey => presetKey === key || PRESETS[presetKey].aliases.includes(key)) || null;
+}
+
+/**
+ * Decodifica el archivo: la mayoría de los bancos exporta en Windows-1252, no en UTF-8.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeFile(buffer) {
+    const utf8 = buffer.toString('utf-8');
+    const text = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+    return text.replace(/^\uFEFF/, '');
+}
+
+function detectDelimiter(text) {
+    const firstLines = text.split(/\r?\n/).slice(0, HEADER_SEARCH_ROWS).join('\n');
+    const counts = [';', ',', '\t'].map(delimiter => [delimiter, firstLines.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parsea un CSV respetando comillas (campos con separadores, comillas dobles escapadas y saltos de línea).
+ * @param {string} text - El contenido.
+ * @param {string} delimiter - ';', ',' o tab.
+ * @returns {Array<Array<string>>} - Las filas no vacías.
+ */
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Busca la fila de encabezados y la columna de cada dato.
+ * @param {Array<Array<string>>} rows - Las filas del CSV.
+ * @returns {object|null} - { headerIndex, headers, columns } o null si no hay fecha y monto reconocibles.
+ */
+function findColumns(rows) {
+    for (let headerIndex = 0; headerIndex < Math.min(rows.length, HEADER_SEARCH_ROWS); headerIndex++) {
+        const headers = rows[headerIndex].map(normalizeHeader);
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const index = headers.findIndex(header => aliases.includes(header));
+            if (index !== -1) columns[field] = index;
+        });
+        const hasAmount = ['amount', 'amountARS', 'amountUSD', 'debit', 'credit'].some(field => columns[field] !== undefined);
+        if (columns.date !== undefined && hasAmount) {
+            return { headerIndex, headers, columns };
+        }
+    }
+    return null;
+}
+
+/**
+ * Convierte un importe de un resumen en número: "1.234,56", "$ -1.234,56", "(1.234,56)" o "1.234,56-".
+ * @param {string} raw
+ * @returns {number|null} - null si la celda está vacía o no es un número.
+ */
+function parseStatementAmount(raw) {
+    let text = String(raw || '').trim();
+    if (!text) return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) { negative = true; text = text.slice(1, -1); }
+    if (/-$/.test(text)) { negative = true; text = text.slice(0, -1); }
+    text = text.replace(/[^\d.,-]/g, '');
+    if (text.startsWith('-')) { negative = !negative; text = text.slice(1); }
+    const value = parseArgentineNumber(text);
+    if (!isFinite(value)) return null;
+    return negative ? -value : value;
+}
+
+/**
+ * Interpreta las fechas de los resúmenes: "05/10/2024", "05-10-24", "2024-10-05T12:00:00-03:00" o "05-oct-24".
+ * @param {string} raw
+ * @returns {string|null} - 'YYYY-MM-DD' o null.
+ */
+function parseStatementDate(raw) {
+    const text = normalizeHeader(raw);
+    const iso = text.match(/^(\d{4}-\d{2}-\d{2})/);
+    if (iso) return resolveDateExpression(iso[1]);
+    const abbreviated = text.match(/^(\d{1,2})[-\s/.]([a-z]{3})[a-z]*\.?[-\s/.](\d{2,4})$/);
+    if (abbreviated) {
+        const month = MONTHS.findIndex(name => name.startsWith(abbreviated[2]) || (abbreviated[2] === 'set' && name === 'septiembre'));
+        if (month === -1) return null;
+        return resolveDateExpression(`${abbreviated[1]}/${month + 1}/${abbreviated[3]}`);
+    }
+    return resolveDateExpression(text.replace(/\./g, '/'));
+}
+
+function parseCurrencyCell(raw) {
+    const text = normalizeHeader(raw);
+    if (!text) return null;
+    if (['$', 'pesos', 'ars'].includes(text)) return 'ARS';
+    if (['u$s', 'us$', 'usd', 'dolares', 'u$d'].includes(text)) return 'USD';
+    return /^[a-z]{3}$/.test(text) ? text.toUpperCase() : null;
+}
+
+function parseTypeCell(raw) {
+    const text = normalizeHeader(raw);
+    if (/^(?:gasto|expense|egreso|debito)/.test(text)) return 'expense';
+    if (/^(?:ingreso|income|credito)/.test(text)) return 'income';
+    return null;
+}
+
+/**
+ * Convierte una fila del CSV en transacciones (una por cada columna de importe con valor).
+ * @returns {object} - { transactions } o { skipped: motivo }.
+ */
+function rowToTransactions(row, columns, preset, defaultCurrency, today) {
+    const cell = field => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+    const description = cell('description').replace(/\s+/g, ' ') || 'Sin descripción';
+    if (preset.skip && preset.skip.test(normalizeHeader(description))) return { skipped: 'por ser pagos de tarjeta o saldos' };
+
+    const date = parseStatementDate(cell('date'));
+    if (!date) return { skipped: 'sin fecha válida' };
+    if (date > today) return { skipped: 'con fecha futura (cuotas por venir)' };
+
+    // [monto con signo según el archivo, moneda]
+    const amounts = [];
+    const baseCurrency = parseCurrencyCell(cell('currency')) || preset.currency || defaultCurrency;
+    if (columns.amountARS !== undefined || columns.amountUSD !== undefined) {
+        [['amountARS', 'ARS'], ['amountUSD', 'USD']].forEach(([field, currency]) => {
+            const value = parseStatementAmount(cell(field));
+            if (value) amounts.push([value, currency]);
+        });
+    } else if (columns.debit !== undefined || columns.credit !== undefined) {
+        const debit = parseStatementAmount(cell('debit'));
+        const credit = parseStatementAmount(cell('credit'));
+        if (debit) amounts.push([-Math.abs(debit), baseCurrency]);
+        if (credit) amounts.push([Math.abs(credit), baseCurrency]);
+    } else {
+        const value = parseStatementAmount(cell('amount'));
+        if (value) amounts.push([value, baseCurrency]);
+    }
+    if (amounts.length === 0) return { skipped: 'sin monto' };
+
+    const explicitType = parseTypeCell(cell('type'));
+    const categoryCell = cell('category');
+    const transactions = amounts.map(([value, currency]) => {
+        let type = explicitType;
+        if (!type) {
+            const isCharge = preset.chargesArePositive ? value > 0 : value < 0;
+            type = isCharge ? 'expense' : 'income';
+        }
+        const category = (categoryCell && findCategoryByName(categoryCell, type)) || guessCategory(description, type);
+        return { date, description, amount: Math.abs(value), currency, type, category };
+    });
+    return { transactions };
+}
+
+/**
+ * Completa con el LLM las categorías que no salieron por palabras clave. Si el LLM falla, quedan en "📦 Otros".
+ * @param {Array<object>} rows - Transacciones; se modifican en el lugar.
+ * @param {object} llm - El cliente de LLM (ver llm.js).
+ */
+async function categorizeWithAI(rows, llm) {
+    const pending = rows.filter(row => !row.category);
+    for (let i = 0; i < pending.length; i += LLM_BATCH_SIZE) {
+        const batch = pending.slice(i, i + LLM_BATCH_SIZE);
+        try {
+            const { categories } = await llm.completeJSON({
+                task: 'parse',
+                system: SYSTEM_PROMPT_CATEGORIZE,
+                user: batch.map((row, index) => `${index + 1}. [${row.type === 'income' ? 'ingreso' : 'gasto'}] ${row.description}`).join('\n'),
+                schema: CATEGORIZE_RESPONSE_SCHEMA
+            });
+            batch.forEach((row, index) => {
+                const suggested = categories[index];
+                if (suggested && getCategoriesForType(row.type).includes(suggested)) row.category = suggested;
+            });
+        } catch (error) {
+            console.error("No se pudieron categorizar las filas importadas con el LLM:", error.message);
+        }
+    }
+    rows.forEach(row => { row.category = row.category || '📦 Otros'; });
+}
+
+function duplicateKey(date, currency, amount, type) {
+    return `${date}|${currency}|${Math.abs(amount).toFixed(2)}|${type}`;
+}
+
+/**
+ * Separa las filas que ya están en Gasti.pro (misma fecha, moneda, monto y tipo).
+ * Cada transacción existente descarta una sola fila, así dos cafés iguales del mismo día no se pierden.
+ * @returns {object} - { fresh, duplicates }.
+ */
+async function splitDuplicates(rows, config) {
+    const dates = rows.map(row => row.date).sort();
+    const accessToken = await config.getAccessToken();
+    const data = await config.gasti.getTransactionsByPeriod(accessToken, argentinaDayStartISO(dates[0]), argentinaDayEndISO(dates[dates.length - 1]));
+
+    const existing = {};
+    (data.transactions || []).forEach(tx => {
+        const amount = parseFloat(tx.amount) || 0;
+        const key = duplicateKey(getArgentinaDateString(new Date(tx.date)), (tx.currency || '').toUpperCase(), amount, amount < 0 ? 'expense' : 'income');
+        existing[key] = (existing[key] || 0) + 1;
+    });
+
+    const fresh = [];
+    let duplicates = 0;
+    rows.forEach(row => {
+        const key = duplicateKey(row.date, row.currency, row.amount, row.type);
+        if (existing[key] > 0) {
+            existing[key]--;
+            duplicates++;
+        } else {
+            fresh.push(row);
+        }
+    });
+    return { fresh, duplicates };
+}
+
+function formatPreview(pending, stats) {
+    const { rows } = pending;
+    const expenses = rows.filter(row => row.type === 'expense').length;
+    let message = `📥 *Importación lista para revisar*\n_${stats.presetLabel}_\n\n`;
+    message += `• Filas leídas: ${stats.read}\n`;
+    message += `• Para importar: ${rows.length} (${expenses} gastos, ${rows.length - expenses} ingresos)\n`;
+    if (stats.duplicates > 0) message += `• Ya estaban en Gasti.pro: ${stats.duplicates}\n`;
+    Object.entries(stats.skipped).forEach(([reason, count]) => { message += `• Ignoradas ${reason}: ${count}\n`; });
+
+    if (rows.length === 0) return message.trim();
+
+    message += "\n*Totales a importar:*\n";
+    groupByCurrency(rows).forEach(([currency, rowsInCurrency]) => {
+        const total = type => rowsInCurrency.filter(row => row.type === type).reduce((sum, row) => sum + row.amount, 0);
+        const parts = [['gastos', total('expense')], ['ingresos', total('income')]].filter(([, amount]) => amount > 0);
+        message += `• ${currency}: ${parts.map(([label, amount]) => `${label} ${formatMoney(amount, currency)}`).join(', ')}\n`;
+    });
+
+    message += "\n*Primeras filas:*\n";
+    rows.slice(0, PREVIEW_ROWS).forEach(row => {
+        const icon = row.type === 'income' ? '🔼' : '🔻';
+        message += `${icon} ${row.date.slice(8, 10)}/${row.date.slice(5, 7)} ${escapeMarkdown(row.description)}: ${formatMoney(row.amount, row.currency)} (${row.category})\n`;
+    });
+    if (rows.length > PREVIEW_ROWS) message += `_... y ${rows.length - PREVIEW_ROWS} más._`;
+    return message.trim();
+}
+
+function buildImportKeyboard(id, count, retry = false) {
+    return {
+        inline_keyboard: [[
+            { text: retry ? `🔁 Reintentar (${count})` : `✅ Importar ${count}`, callback_data: `imp:confirm:${id}` },
+            { text: '❌ Cancelar', callback_data: `imp:cancel:${id}` }
+        ]]
+    };
+}
+
+function formatUsage(chatPreset) {
+    let message = "📥 *Importar un resumen*\n\nMandame el archivo CSV como documento. Reconozco estos formatos:\n";
+    Object.entries(PRESETS).forEach(([key, preset]) => { message += `• \`${key}\` — ${preset.label}\n`; });
+    message += "\nSi no me decís cuál es, lo detecto por los encabezados. Podés indicarlo con `/importar visa` o en el texto del archivo.";
+    message += "\nLas filas que ya están en Gasti.pro (misma fecha, monto y moneda) se saltean.";
+    if (chatPreset) message += `\n\nFormato elegido: *${PRESETS[chatPreset].label}*.`;
+    return message;
+}
+
+/**
+ * Maneja el comando /importar: deja al chat esperando el archivo.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ */
+async function handleImportarCommand(bot, msg) {
+    const chatId = msg.chat.id;
+    purgeExpired();
+    const requested = msg.text.replace(/^\/importar(@\w+)?/, '').trim();
+    const preset = findPreset(requested);
+    if (requested && !preset) {
+        await bot.sendMessage(chatId, `😕 No conozco el formato "${requested}".\n\n${formatUsage(null)}`, { parse_mode: 'Markdown' });
+        return;
+    }
+    awaitingFiles[chatId] = { userId: msg.from.id, preset, expiresAt: Date.now() + IMPORT_TTL_MS };
+    await bot.sendMessage(chatId, formatUsage(preset), { parse_mode: 'Markdown' });
+}
+
+/**
+ * Indica si el usuario usó /importar en este chat y el bot está esperando su archivo.
+ * @param {number} chatId - El ID del chat.
+ * @param {number} telegramUserId - El usuario que envía el documento.
+ * @returns {boolean}
+ */
+function isAwaitingImportFile(chatId, telegramUserId) {
+    purgeExpired();
+    const waiting = awaitingFiles[chatId];
+    return Boolean(waiting) && waiting.userId === telegramUserId;
+}
+
+/**
+ * Procesa el documento que se subió después de /importar: lo interpreta y muestra la vista previa para confirmar.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con el documento.
+ * @param {object} config - Configuración con getAccessToken, `gasti`, `llm` y DEFAULT_CURRENCY.
+ */
+async function handleImportFile(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const document = msg.document;
+    const waiting = awaitingFiles[chatId];
+
+    const isCsv = /\.(csv|txt)$/i.test(document.file_name || '') || /csv|text\/plain/.test(document.mime_type || '');
+    if (!isCsv) {
+        await bot.sendMessage(chatId, "📄 Por ahora solo puedo importar archivos CSV. Exportá el resumen en ese formato y mandámelo de nuevo. Usá /importar para ver los formatos.");
+        return;
+    }
+    if (document.file_size > MAX_FILE_BYTES) {
+        await bot.sendMessage(chatId, "📄 El archivo es demasiado grande. Probá partiéndolo por mes.");
+        return;
+    }
+    delete awaitingFiles[chatId];
+
+    const thinkingMessage = await bot.sendMessage(chatId, "📥 Leyendo el archivo...");
+    try {
+        const text = decodeFile(await downloadTelegramFile(bot, document.file_id));
+        const csvRows = parseCsv(text, detectDelimiter(text));
+        const found = findColumns(csvRows);
+        if (!found) {
+            await bot.editMessageText("😕 No encontré columnas de fecha y monto en el archivo. Usá /importar para ver los formatos que reconozco.", { chat_id: chatId, message_id: thinkingMessage.message_id });
+            return;
+        }
+
+        const { headerIndex, headers, columns } = found;
+        const presetKey = waiting.preset
+            || findPreset(msg.caption)
+            || Object.keys(PRESETS).find(key => PRESETS[key].detect(columns, headers));
+        const preset = PRESETS[presetKey];
+
+        const dataRows = csvRows.slice(headerIndex + 1, headerIndex + 1 + MAX_IMPORT_ROWS);
+        const today = getArgentinaDateString();
+        const skipped = {};
+        let rows = [];
+        dataRows.forEach(row => {
+            const result = rowToTransactions(row, columns, preset, config.DEFAULT_CURRENCY, today);
+            if (result.skipped) skipped[result.skipped] = (skipped[result.skipped] || 0) + 1;
+            else rows.push(...result.transactions);
+        });
+        if (csvRows.length - headerIndex - 1 > MAX_IMPORT_ROWS) {
+            skipped[`por superar el máximo de ${MAX_IMPORT_ROWS} filas`] = csvRows.length - headerIndex - 1 - MAX_IMPORT_ROWS;
+        }
+
+        let duplicates = 0;
+        if (rows.length > 0) {
+            await bot.editMessageText("🔎 Buscando duplicados en Gasti.pro...", { chat_id: chatId, message_id: thinkingMessage.message_id });
+            ({ fresh: rows, duplicates } = await splitDuplicates(rows, config));
+        }
+        if (rows.some(row => !row.category)) {
+            await bot.editMessageText("🏷️ Categorizando movimientos...", { chat_id: chatId, message_id: thinkingMessage.message_id });
+            await categorizeWithAI(rows, config.llm);
+        }
+
+        const id = crypto.randomBytes(4).toString('hex');
+        const pending = { chatId, userId: msg.from.id, rows, imported: 0, expiresAt: Date.now() + IMPORT_TTL_MS };
+        const preview = formatPreview(pending, { presetLabel: preset.label, read: dataRows.length, duplicates, skipped });
+        if (rows.length === 0) {
+            await bot.editMessageText(`${preview}\n\nNo queda nada nuevo para importar.`, { chat_id: chatId, message_id: thinkingMessage.message_id, parse_mode: 'Markdown' });
+            return;
+        }
+
+        pendingImports[id] = pending;
+        await bot.editMessageText(preview, {
+            chat_id: chatId,
+            message_id: thinkingMessage.message_id,
+            parse_mode: 'Markdown',
+            reply_markup: buildImportKeyboard(id, rows.length)
+        });
+        console.log(`[${chatId}] Vista previa de importación ${id}: ${rows.length} filas (${presetKey}).`);
+
+    } catch (error) {
+        console.error("Error procesando el archivo a importar:", error.message);
+        await bot.editMessageText(
+            "🔥 ¡Ups! Hubo un error al leer el archivo. Revisa los logs del servidor.",
+            { chat_id: chatId, message_id: thinkingMessage.message_id }
+        );
+        throw error;
+    }
+}
+
+/**
+ * Maneja los botones de la vista previa de importación.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ * @param {object} config - Configuración con importTransactions(transacciones) => filas creadas, getAccessToken y el
+ *   cliente `gasti` (para verificar un lote que quedó sin respuesta antes de reenviarlo).
+ */
+async function handleImportCallback(bot, query, config) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const [, action, id] = query.data.split(':');
+    const pending = pendingImports[id];
+
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete pendingImports[id];
+        await bot.answerCallbackQuery(query.id, { text: 'Esta importación expiró. Mandá el archivo de nuevo.' });
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+        return;
+    }
+    if (pending.userId !== query.from.id) {
+        await bot.answerCallbackQuery(query.id, { text: 'Solo quien subió el archivo puede confirmarlo.' });
+        return;
+    }
+    // Un segundo toque mientras se importa mandaría otra vez los mismos lotes.
+    if (pending.running) {
+        await bot.answerCallbackQuery(query.id, { text: 'La importación ya está en curso.' });
+        return;
+    }
+
+    if (action === 'cancel') {
+        delete pendingImports[id];
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(pending.imported > 0 ? `❌ Importación cancelada. Ya se habían guardado ${pending.imported}.` : "❌ Importación cancelada.", { chat_id: chatId, message_id: messageId });
+        return;
+    }
+
+    pending.running = true;
+    try {
+        await bot.answerCallbackQuery(query.id, { text: 'Importando...' });
+        await runImport(bot, chatId, messageId, id, pending, config);
+    } finally {
+        pending.running = false;
+    }
+}
+
+/**
+ * Guarda las filas pendientes de una importación en lotes y muestra el resultado.
+ * Si Gasti.pro se cae a mitad de camino, deja la importación lista para reintentar desde el lote que faltaba.
+ */
+async function runImport(bot, chatId, messageId, id, pending, config) {
+    await bot.editMessageText(`⏳ Importando ${pending.rows.length} transacciones...`, { chat_id: chatId, message_id: messageId });
+
+    try {
+        // El último lote quedó sin respuesta: si ya está entero en Gasti.pro, se guardó y no hay que reenviarlo.
+        if (pending.uncertainBatch) {
+            const batch = pending.rows.slice(0, pending.uncertainBatch);
+            const { duplicates } = await splitDuplicates(batch, config);
+            if (duplicates === batch.length) {
+                pending.rows.splice(0, batch.length);
+                pending.imported += batch.length;
+            }
+            pending.uncertainBatch = 0;
+        }
+
+        while (pending.rows.length > 0) {
+            const batch = pending.rows.slice(0, INSERT_BATCH_SIZE);
+            try {
+                await config.importTransactions(batch.map(row => ({ ...row, date: argentinaDateToISO(row.date) })));
+            } catch (error) {
+                if (error.maybeDelivered) pending.uncertainBatch = batch.length;
+                throw error;
+            }
+            // Sacamos el lote recién guardado para que un reintento siga desde donde quedó.
+            pending.rows.splice(0, batch.length);
+            pending.imported += batch.length;
+        }
+        delete pendingImports[id];
+        await bot.editMessageText(`✅ Listo: importé ${pending.imported} transacciones en Gasti.pro.`, { chat_id: chatId, message_id: messageId });
+        console.log(`[${chatId}] Importación ${id} terminada: ${pending.imported} transacciones.`);
+
+    } catch (error) {
+        const progress = pending.imported > 0 ? `Se guardaron ${pending.imported}; faltan ${pending.rows.length}.` : `No se guardó ninguna.`;
+        if (error instanceof GastiUnavailableError) {
+            pending.expiresAt = Date.now() + IMPORT_TTL_MS;
+            await bot.editMessageText(`🕓 Gasti.pro no responde. ${progress} Probá de nuevo en un rato.`, {
+                chat_id: chatId,
+                message_id: messageId,
+                reply_markup: buildImportKeyboard(id, pending.rows.length, true)
+            });
+            return;
+        }
+        delete pendingImports[id];
+        await bot.editMessageText(`🔥 Gasti.pro rechazó la importación. ${progress} Revisá los logs del servidor.`, { chat_id: chatId, message_id: messageId });
+        throw error;
+    }
+}
+
+module.exports = { handleImportarCommand, isAwaitingImportFile, handleImportFile, handleImportCallback };
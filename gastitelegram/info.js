@@ -1,12 +1,19 @@
-const fetch = require('node-fetch');
-
-const SYSTEM_PROMPT_ANALYZE_QUERY = `
+const { formatConsolidatedAmount } = require('./cotizaciones');
+const { getCurrency, formatMoney, groupByCurrency } = require('./monedas');
+const { escapeMarkdown } = require('./markdown');
+const { showPaginated } = require('./paginacion');
+const { findCategoryInText } = require('./categorias');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { WEEKDAYS, MONTHS, getArgentinaDateString, getWeekday, addDays, argentinaDayStartISO, argentinaDayEndISO, resolvePeriodExpression, formatArgentinaDate } = require('./fechas');
+
+function buildAnalyzeQueryPrompt(today) {
+    return `
 Eres una API experta en análisis de lenguaje natural para consultas financieras. Tu única tarea es analizar la consulta de un usuario y convertirla en un objeto JSON que pueda ser usado para filtrar transacciones.
 
 **Instrucciones:**
 1.  **Analiza el Periodo de Tiempo:**
     *   Interpreta frases como "hoy", "ayer", "esta semana", "la semana pasada", "este mes", "el mes pasado", "este año", "el año pasado".
-    *   Interpreta meses específicos como "en enero", "de julio", etc. Asume el año actual (2025) si no se especifica.
+    *   Interpreta meses específicos como "en enero", "de julio", etc. Asume el año de la fecha de referencia si no se especifica.
     *   Calcula las fechas 'date_from' y 'date_to' en formato 'YYYY-MM-DD'.
     *   Si no se especifica un periodo, asume "este mes".
 
@@ -19,118 +26,387 @@ Eres una API experta en análisis de lenguaje natural para consultas financieras
     *   Si el usuario menciona una categoría (ej. "en comida", "de la categoría transporte"), extráela.
     *   La categoría debe coincidir con las usadas en el sistema. No incluyas el emoji.
 
-4.  **Genera el JSON de Salida:**
+4.  **Búsqueda por Texto:**
+    *   Si el usuario menciona un comercio o una palabra de la descripción que no es una categoría (ej. "en Uber", "Netflix", "que digan farmacia"), ponla en 'search'. Si no, null.
+
+5.  **Montos y Moneda:**
+    *   "más de 50000" → 'min_amount': 50000; "menos de 1000" → 'max_amount': 1000; "entre 100 y 500" → ambos. Siempre positivos; si no se mencionan, null.
+    *   Si se menciona una moneda ("en dólares", "pesos", "USD"), pon su código ISO de 3 letras en 'currency'. Si no, null.
+
+6.  **Agrupación, Orden y Límite:**
+    *   "por categoría", "por día", "por semana", "por mes" → 'group_by': 'category' | 'day' | 'week' | 'month'. Si no, null.
+    *   "top 5", "los 3 gastos más grandes" → 'sort_by': 'amount', 'sort_order': 'desc', 'limit': 5. "los más chicos" usa 'sort_order': 'asc'.
+    *   Por defecto: 'sort_by': 'date', 'sort_order': 'asc', 'limit': null.
+
+7.  **Comparación de Períodos:**
+    *   Si pide comparar dos períodos ("compará junio con julio", "este mes vs el mes pasado"), pon el más reciente en 'date_from'/'date_to' y el anterior en 'compare_date_from'/'compare_date_to'. Si no, ambos null.
+
+8.  **Genera el JSON de Salida:**
     *   Tu respuesta DEBE SER ÚNICAMENTE el objeto JSON.
     *   La estructura debe ser:
       {
         "date_from": "YYYY-MM-DD",
         "date_to": "YYYY-MM-DD",
         "type": "'expense' | 'income' | 'all'",
-        "category": "<nombre_de_categoria> | null"
+        "category": "<nombre_de_categoria> | null",
+        "search": "<texto> | null",
+        "min_amount": "<número> | null",
+        "max_amount": "<número> | null",
+        "currency": "<código ISO> | null",
+        "group_by": "'category' | 'day' | 'week' | 'month' | null",
+        "sort_by": "'date' | 'amount'",
+        "sort_order": "'asc' | 'desc'",
+        "limit": "<número> | null",
+        "compare_date_from": "YYYY-MM-DD | null",
+        "compare_date_to": "YYYY-MM-DD | null"
       }
     *   Si no puedes entender la consulta, devuelve: {"error": "No entendí la consulta. Por favor, sé más específico."}
 
-**Fecha de Referencia para cálculos:** 2025-07-23
+**Fecha de Referencia para cálculos:** ${today} (${WEEKDAYS[getWeekday(today)]})
 `;
+}
+
+// Formato esperado de la respuesta del LLM para una consulta.
+const QUERY_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        date_from: { type: 'string' },
+        date_to: { type: 'string' },
+        type: { type: 'string', enum: ['expense', 'income', 'all'] },
+        category: { type: ['string', 'null'] },
+        search: { type: ['string', 'null'] },
+        min_amount: { type: ['number', 'string', 'null'] },
+        max_amount: { type: ['number', 'string', 'null'] },
+        currency: { type: ['string', 'null'] },
+        group_by: { type: ['string', 'null'], enum: ['category', 'day', 'week', 'month', null] },
+        sort_by: { type: 'string', enum: ['date', 'amount'] },
+        sort_order: { type: 'string', enum: ['asc', 'desc'] },
+        limit: { type: ['number', 'null'] },
+        compare_date_from: { type: ['string', 'null'] },
+        compare_date_to: { type: ['string', 'null'] },
+        error: { type: 'string' }
+    }
+};
+
+const GROUP_LABELS = { category: 'categoría', day: 'día', week: 'semana', month: 'mes' };
+const TYPE_LABELS = { expense: 'Gastos', income: 'Ingresos', all: 'Todos' };
+
+// Palabras que indican el tipo de transacción que se pide.
+const EXPENSE_WORDS = /\b(?:gastos?|gaste|gastado|gastamos|egresos?|salidas?|pague|pagos|compras?|compre)\b/;
+const INCOME_WORDS = /\b(?:ingresos?|entradas?|ganancias?|gane|ganado|cobre|cobrado|cobros|recibi)\b/;
+
+// Monedas que se pueden nombrar en una consulta ("en dólares", "de más de 50000 pesos").
+const CURRENCY_WORDS = {
+    peso: 'ARS', pesos: 'ARS', ars: 'ARS',
+    dolar: 'USD', dolares: 'USD', usd: 'USD', 'u$s': 'USD', 'us$': 'USD',
+    euro: 'EUR', euros: 'EUR', eur: 'EUR',
+    real: 'BRL', reales: 'BRL', brl: 'BRL'
+};
+
+// Unidades de agrupación ("por categoría", "por cada semana").
+const GROUP_WORDS = {
+    categoria: 'category', categorias: 'category', rubro: 'category', rubros: 'category',
+    dia: 'day', dias: 'day', semana: 'week', semanas: 'week', mes: 'month', meses: 'month'
+};
+
+// Palabras que no cambian el sentido de la consulta ("cuánto gasté en comida el mes pasado").
+const FILLER_WORDS = new Set([
+    'a', 'al', 'y', 'o', 'de', 'del', 'el', 'la', 'los', 'las', 'lo', 'en', 'por', 'para', 'con', 'durante', 'un', 'una',
+    'mi', 'mis', 'me', 'que', 'cual', 'cuales', 'cuanto', 'cuanta', 'cuantos', 'cuantas', 'fue', 'fueron', 'son', 'hay', 'hubo',
+    'tengo', 'tuve', 'hice', 'todo', 'todos', 'toda', 'todas', 'transacciones', 'transaccion', 'movimientos', 'movimiento',
+    'categoria', 'rubro', 'total', 'totales', 'mostrame', 'muestrame', 'dame', 'decime', 'ver', 'quiero', 'saber', 'listado',
+    'lista', 'resumen', 'registrados', 'registradas', 'periodo', 'plata', 'dinero', 'cada', 'mas',
+    'diga', 'digan', 'dice', 'dicen', 'contenga', 'contengan'
+]);
+
+// Palabras que hablan de un período. Si sobran después de interpretar la consulta, es un período que
+// resolvePeriodExpression no entiende ("la última quincena", "hace tres días") y se lo dejamos al LLM.
+const PERIOD_WORDS = new Set([
+    'hoy', 'ayer', 'anteayer', 'manana', 'dia', 'dias', 'semana', 'semanas', 'quincena', 'quincenas', 'mes', 'meses',
+    'ano', 'anos', 'trimestre', 'trimestres', 'semestre', 'semestres', 'finde', 'hace', 'atras', 'pasado', 'pasada',
+    'pasados', 'pasadas', 'ultimo', 'ultima', 'ultimos', 'ultimas', 'proximo', 'proxima', 'anterior', 'desde', 'hasta', 'entre',
+    'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez', 'quince', 'veinte', 'treinta',
+    ...MONTHS, ...WEEKDAYS.map(day => day.normalize('NFD').replace(/[\u0300-\u036f]/g, ''))
+]);
+
+// Más palabras que esto ya no es una consulta corta; se la dejamos al LLM.
+const MAX_LOCAL_QUERY_WORDS = 25;
+// Palabras que se toman como búsqueda en la descripción cuando van después de "en" ("cuánto gasté en Uber").
+const MAX_SEARCH_WORDS = 3;
+
+const AMOUNT_PATTERN = '\\$?\\s?(\\d[\\d.,]*)\\s?(mil|k|lucas?|millon(?:es)?)?';
+const MIN_AMOUNT_PATTERN = new RegExp(`\\b(?:de |por )?(?:mas de|mayor(?:es)? (?:a|que|de)|arriba de|superior(?:es)? a|encima de) ${AMOUNT_PATTERN}`);
+const MAX_AMOUNT_PATTERN = new RegExp(`\\b(?:de |por )?(?:menos de|menor(?:es)? (?:a|que|de)|debajo de|inferior(?:es)? a) ${AMOUNT_PATTERN}`);
+
+function parseQueryAmount(number, multiplier) {
+    const value = parseArgentineNumber(number);
+    if (!multiplier) return value;
+    return value * (multiplier.startsWith('millon') ? 1e6 : 1e3);
+}
+
+// Quita una parte ya interpretada de la consulta.
+function removeMatch(text, match) {
+    return text.replace(match[0], ' ').replace(/\s+/g, ' ').trim();
+}
 
 /**
- * Llama a la IA para analizar la consulta en lenguaje natural del usuario.
+ * Interpreta una parte de la consulta: tipo, moneda, montos, orden, agrupación, categoría, período y búsqueda.
+ * @returns {object|null} - Los parámetros encontrados (el período en `period`), o null si sobra algo que no se entiende.
+ */
+function parseClause(clause, today) {
+    let text = clause;
+    const params = {};
+
+    const wantsExpenses = EXPENSE_WORDS.test(text);
+    const wantsIncome = INCOME_WORDS.test(text);
+    params.type = wantsExpenses === wantsIncome ? 'all' : (wantsExpenses ? 'expense' : 'income');
+    text = text.replace(new RegExp(EXPENSE_WORDS.source, 'g'), ' ').replace(new RegExp(INCOME_WORDS.source, 'g'), ' ').replace(/\s+/g, ' ').trim();
+
+    let match = text.match(MIN_AMOUNT_PATTERN);
+    if (match) {
+        params.min_amount = parseQueryAmount(match[1], match[2]);
+        text = removeMatch(text, match);
+    }
+    match = text.match(MAX_AMOUNT_PATTERN);
+    if (match) {
+        params.max_amount = parseQueryAmount(match[1], match[2]);
+        text = removeMatch(text, match);
+    }
+
+    const currencyWord = text.split(' ').find(word => CURRENCY_WORDS[word]);
+    if (currencyWord) {
+        params.currency = CURRENCY_WORDS[currencyWord];
+        text = text.split(' ').filter(word => word !== currencyWord).join(' ');
+    }
+
+    // "top 5", "los 3 más grandes", "los 10 más baratos", "el más caro"
+    if ((match = text.match(/\btop ?(\d+)\b/)) || (match = text.match(/\b(\d+) (?:mas (?:grandes|caros|caras|altos|altas|importantes)|mayores)\b/))) {
+        Object.assign(params, { sort_by: 'amount', sort_order: 'desc', limit: Number(match[1]) });
+        text = removeMatch(text, match);
+    } else if ((match = text.match(/\b(\d+) (?:mas (?:chicos|chicas|baratos|baratas|bajos|bajas|pequenos|pequenas)|menores)\b/))) {
+        Object.assign(params, { sort_by: 'amount', sort_order: 'asc', limit: Number(match[1]) });
+        text = removeMatch(text, match);
+    } else if ((match = text.match(/\b(?:el|la) (?:mayor|mas grande|mas caro|mas cara)\b/))) {
+        Object.assign(params, { sort_by: 'amount', sort_order: 'desc', limit: 1 });
+        text = removeMatch(text, match);
+    }
+    if ((match = text.match(/\b(?:ordenad[oa]s? )?por (monto|importe|fecha)\b/))) {
+        params.sort_by = match[1] === 'fecha' ? 'date' : 'amount';
+        text = removeMatch(text, match);
+    }
+
+    if ((match = text.match(/\b(?:agrupad[oa]s? )?por (?:cada )?(categorias?|rubros?|dias?|semanas?|mes(?:es)?)\b/))) {
+        params.group_by = GROUP_WORDS[match[1]];
+        text = removeMatch(text, match);
+    }
+
+    const categoryMatch = findCategoryInText(text);
+    if (categoryMatch) {
+        // Con más de una categoría ("comida y transporte") el filtro local no alcanza: que la resuelva el LLM.
+        if (findCategoryInText(categoryMatch.rest)) return null;
+        params.category = categoryMatch.category.replace(/^\P{L}+/u, '');
+        text = categoryMatch.rest;
+    }
+
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length > MAX_LOCAL_QUERY_WORDS) return null;
+
+    // El período es el tramo de palabras más largo que se entiende como fecha.
+    let best = null;
+    for (let length = words.length; length > 0 && !best; length--) {
+        for (let start = 0; start + length <= words.length && !best; start++) {
+            const period = resolvePeriodExpression(words.slice(start, start + length).join(' '), today);
+            if (period) best = { start, end: start + length, period };
+        }
+    }
+    if (best) params.period = best.period;
+
+    // Lo que queda tiene que ser relleno, salvo un tramo corto después de "en" que se toma como búsqueda ("en Uber").
+    // Números o palabras de período sueltas son un período que no entendimos: mejor que lo resuelva el LLM.
+    const leftover = best ? [...words.slice(0, best.start), null, ...words.slice(best.end)] : words;
+    const runs = [];
+    let current = null;
+    leftover.forEach((word, i) => {
+        if (word && !FILLER_WORDS.has(word)) {
+            if (!current) runs.push(current = { words: [], afterEn: leftover[i - 1] === 'en' });
+            current.words.push(word);
+        } else {
+            current = null;
+        }
+    });
+    if (runs.some(run => run.words.some(word => /\d/.test(word) || PERIOD_WORDS.has(word)))) return null;
+    if (runs.length > 1 || (runs.length === 1 && (!runs[0].afterEn || runs[0].words.length > MAX_SEARCH_WORDS))) return null;
+    if (runs.length === 1) params.search = runs[0].words.join(' ');
+
+    return params;
+}
+
+/**
+ * Interpreta una consulta sin LLM: tipo ("gastos", "ingresos"), categoría por nombre, montos ("más de 50000"),
+ * moneda, orden ("top 5"), agrupación ("por categoría"), un período que entienda resolvePeriodExpression,
+ * comparaciones ("junio vs julio") y una búsqueda corta en la descripción. Si no puede interpretar todo, devuelve null.
  * @param {string} query - La consulta del usuario.
- * @param {string} deepseekApiKey - La API key de DeepSeek.
- * @returns {object} - El objeto JSON con los parámetros de la consulta.
+ * @param {string} [today] - La fecha de referencia 'YYYY-MM-DD' (por defecto, hoy en Argentina).
+ * @returns {object|null} - Los parámetros de la consulta (ver normalizeQueryParams), o null.
  */
-async function analyzeQueryWithAI(query, deepseekApiKey) {
-    console.log(`Enviando consulta a DeepSeek para análisis: "${query}"`);
-    try {
-        const response = await fetch("https://api.deepseek.com/chat/completions", {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${deepseekApiKey}` },
-            body: JSON.stringify({
-                model: "deepseek-reasoner",
-                messages: [
-                    { "role": "system", "content": SYSTEM_PROMPT_ANALYZE_QUERY },
-                    { "role": "user", "content": query }
-                ],
-                temperature: 0,
-                stream: false
-            })
+function parseQueryLocally(query, today = getArgentinaDateString()) {
+    // Un texto entre comillas es siempre una búsqueda en la descripción (gastos que digan "cumple").
+    const quoted = (query || '').match(/["“«]([^"”»]+)["”»]/);
+    const rawQuery = quoted ? (query || '').replace(quoted[0], ' ') : (query || '');
+    const quotedSearch = quoted ? { search: quoted[1].trim() } : {};
+
+    // Las comas y los puntos entre dígitos son parte de un monto ("más de 1.500,50").
+    let text = rawQuery.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[¿?¡!;:"'“”«»]|(?<!\d),|,(?!\d)|\.(?!\d)/g, ' ').replace(/\s+/g, ' ').trim();
+
+    const compareMatch = text.match(/^(?:compara(?:r|me)?|comparacion(?: de| entre)?|diferencia entre)\b/);
+    if (compareMatch) text = removeMatch(text, compareMatch);
+    const separator = compareMatch ? / (?:vs|versus|contra|con|y|frente a) / : / (?:vs|versus|contra) /;
+
+    // Comparación: cada lado tiene que tener su período; los demás filtros se comparten.
+    const separatorRegex = new RegExp(separator.source, 'g');
+    let splitMatch;
+    while ((splitMatch = separatorRegex.exec(text))) {
+        const left = parseClause(text.slice(0, splitMatch.index), today);
+        const right = parseClause(text.slice(splitMatch.index + splitMatch[0].length), today);
+        if (!left || !right || !left.period || !right.period) continue;
+        const [recent, previous] = left.period.dateFrom >= right.period.dateFrom ? [left, right] : [right, left];
+        const merged = { ...right, ...left, ...quotedSearch, type: left.type !== 'all' ? left.type : right.type };
+        return normalizeQueryParams({
+            ...merged,
+            date_from: recent.period.dateFrom,
+            date_to: recent.period.dateTo,
+            compare_date_from: previous.period.dateFrom,
+            compare_date_to: previous.period.dateTo
         });
+    }
+    // Una comparación que no pudimos partir en dos períodos se la dejamos al LLM.
+    if (compareMatch || separatorRegex.test(text)) return null;
 
-        if (!response.ok) {
-            console.error("Error en la respuesta de la API de DeepSeek:", response.status, await response.text());
-            return { error: "No pude contactar a la IA para analizar tu pregunta." };
+    const params = parseClause(text, today);
+    if (!params) return null;
+    const period = params.period || resolvePeriodExpression('este mes', today);
+    return normalizeQueryParams({ ...params, ...quotedSearch, date_from: period.dateFrom, date_to: period.dateTo });
+}
+
+function isDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+function positiveNumberOrNull(value) {
+    const number = typeof value === 'string' ? parseArgentineNumber(value) : value;
+    return typeof number === 'number' && isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Completa y valida los parámetros de una consulta, vengan del LLM o de parseQueryLocally.
+ * @param {object} params - Los parámetros crudos.
+ * @returns {object} - { date_from, date_to, type, category, search, min_amount, max_amount, currency,
+ *   group_by, sort_by, sort_order, limit, compare_date_from, compare_date_to }.
+ */
+function normalizeQueryParams(params) {
+    const sortBy = params.sort_by === 'amount' ? 'amount' : 'date';
+    const normalized = {
+        date_from: params.date_from,
+        date_to: params.date_to,
+        type: ['expense', 'income'].includes(params.type) ? params.type : 'all',
+        category: params.category || null,
+        search: typeof params.search === 'string' && params.search.trim() ? params.search.trim() : null,
+        min_amount: positiveNumberOrNull(params.min_amount),
+        max_amount: positiveNumberOrNull(params.max_amount),
+        currency: typeof params.currency === 'string' && /^[a-z]{3}$/i.test(params.currency.trim()) ? params.currency.trim().toUpperCase() : null,
+        group_by: GROUP_LABELS[params.group_by] ? params.group_by : null,
+        sort_by: sortBy,
+        sort_order: ['asc', 'desc'].includes(params.sort_order) ? params.sort_order : (sortBy === 'amount' ? 'desc' : 'asc'),
+        limit: Number.isInteger(params.limit) && params.limit > 0 ? params.limit : null,
+        compare_date_from: null,
+        compare_date_to: null
+    };
+
+    if (isDateString(params.compare_date_from) && isDateString(params.compare_date_to)) {
+        // El período principal es siempre el más reciente; las diferencias se calculan contra el otro.
+        if (params.compare_date_from > normalized.date_from) {
+            normalized.compare_date_from = normalized.date_from;
+            normalized.compare_date_to = normalized.date_to;
+            normalized.date_from = params.compare_date_from;
+            normalized.date_to = params.compare_date_to;
+        } else {
+            normalized.compare_date_from = params.compare_date_from;
+            normalized.compare_date_to = params.compare_date_to;
         }
+    }
+    return normalized;
+}
 
-        const aiResponse = await response.json();
-        let content = aiResponse.choices[0].message.content;
-        content = content.replace(/```json|```/g, '').trim();
-        const parsedContent = JSON.parse(content);
+/**
+ * Llama a la IA para analizar la consulta en lenguaje natural del usuario.
+ * @param {string} query - La consulta del usuario.
+ * @param {object} llm - El cliente de LLM (ver llm.js).
+ * @returns {object} - El objeto JSON con los parámetros de la consulta.
+ */
+async function analyzeQueryWithAI(query, llm) {
+    console.log(`Enviando consulta al LLM para análisis: "${query}"`);
+    try {
+        const parsedContent = await llm.completeJSON({
+            task: 'query',
+            system: buildAnalyzeQueryPrompt(getArgentinaDateString()),
+            user: query,
+            schema: QUERY_RESPONSE_SCHEMA
+        });
         console.log("Respuesta de la IA parseada:", parsedContent);
-        return parsedContent;
+        if (parsedContent.error) {
+            return parsedContent;
+        }
+        if (!isDateString(parsedContent.date_from) || !isDateString(parsedContent.date_to)) {
+            return { error: "No entendí el período de la consulta. Por favor, sé más específico." };
+        }
+        return normalizeQueryParams(parsedContent);
 
     } catch (error) {
-        console.error("Error fatal al procesar con DeepSeek:", error);
+        console.error("Error fatal al procesar con el LLM:", error);
         return { error: "Hubo un error interno al analizar tu pregunta con la IA." };
     }
 }
 
+/**
+ * Convierte una consulta en parámetros de búsqueda. Primero prueba con parseQueryLocally y solo
+ * recurre al LLM si la consulta tiene algo que no se entiende localmente.
+ * @param {string} query - La consulta del usuario.
+ * @param {object} llm - El cliente de LLM (ver llm.js).
+ * @returns {object} - Los parámetros (ver normalizeQueryParams) o { error }.
+ */
+async function analyzeQuery(query, llm) {
+    const local = parseQueryLocally(query);
+    if (local) {
+        console.log(`Consulta "${query}" resuelta sin LLM:`, local);
+        return local;
+    }
+    return analyzeQueryWithAI(query, llm);
+}
+
 /**
  * Obtiene transacciones filtradas desde la API de Gasti.pro.
  * @param {object} params - Los parámetros de la consulta (date_from, date_to).
+ * @param {object} gasti - El cliente de Gasti.pro (ver apiGasti.js).
  * @param {string} accessToken - El token de acceso de Supabase.
- * @param {string} apiUrl - La URL base de la API de Gasti.
- * @param {string} apiKey - La API key de Supabase.
  * @returns {Array<object>} - Un array de objetos de transacción.
  */
-async function getFilteredTransactions(params, accessToken, apiUrl, apiKey) {
-    const rpcUrl = `${apiUrl}/rest/v1/rpc/get_user_transactions_by_period`;
-    console.log(`Obteniendo transacciones filtradas desde: ${rpcUrl} con params:`, params);
-
-    const requestBody = {
-        date_from: `${params.date_from}T00:00:00Z`,
-        date_to: `${params.date_to}T23:59:59Z`
-    };
-
-    const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-            'apikey': apiKey,
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`Error al llamar a la RPC. Status: ${response.status}. Body: ${errorBody}`);
-    }
-
-    const data = await response.json();
+async function getFilteredTransactions(params, gasti, accessToken) {
+    const data = await gasti.getTransactionsByPeriod(accessToken, argentinaDayStartISO(params.date_from), argentinaDayEndISO(params.date_to));
     return data.transactions || [];
 }
 
+function normalizeText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
 /**
- * Formatea las transacciones y genera un resumen.
- * @param {Array<object>} transactions - Las transacciones a formatear.
+ * Aplica los filtros de la consulta: tipo, categoría, texto de la descripción, montos y moneda.
+ * @param {Array<object>} transactions - Las transacciones del período.
  * @param {object} queryParams - Los parámetros de la consulta original.
- * @returns {string} - El mensaje formateado para Telegram.
+ * @returns {Array<object>} - Las transacciones que coinciden.
  */
-function formatResults(transactions, queryParams) {
-    let message = `🔎 *Resultados para tu consulta*
-
-`;
-    message += `*Período:* ${new Date(queryParams.date_from).toLocaleDateString('es-AR')} al ${new Date(queryParams.date_to).toLocaleDateString('es-AR')}
-`;
-    message += `*Tipo:* ${queryParams.type || 'Todos'}
-`;
-    if (queryParams.category) {
-        message += `*Categoría:* ${queryParams.category}
-`;
-    }
-    message += `
-`;
-
+function filterTransactions(transactions, queryParams) {
     let filtered = [...transactions];
 
     // Filtrar por tipo
@@ -146,44 +422,256 @@ function formatResults(transactions, queryParams) {
         filtered = filtered.filter(t => t.category && categoryRegex.test(t.category));
     }
 
-    if (filtered.length === 0) {
-        return message + "No se encontraron transacciones que coincidan con tu búsqueda.";
+    // Filtrar por texto en la descripción, sin importar mayúsculas ni tildes
+    if (queryParams.search) {
+        const wanted = normalizeText(queryParams.search);
+        filtered = filtered.filter(t => normalizeText(t.description).includes(wanted));
     }
 
-    let totalARS = 0;
-    let totalUSD = 0;
+    // Filtrar por monto (en valor absoluto) y moneda
+    if (queryParams.min_amount) {
+        filtered = filtered.filter(t => Math.abs(parseFloat(t.amount)) >= queryParams.min_amount);
+    }
+    if (queryParams.max_amount) {
+        filtered = filtered.filter(t => Math.abs(parseFloat(t.amount)) <= queryParams.max_amount);
+    }
+    if (queryParams.currency) {
+        filtered = filtered.filter(t => getCurrency(t) === queryParams.currency);
+    }
 
-    filtered.forEach(tx => {
-        const date = new Date(tx.date).toLocaleDateString('es-AR', { day: '2-digit', month: '2-digit' });
-        const amount = parseFloat(tx.amount);
-        const currency = tx.currency;
-        const description = tx.description;
-        const category = tx.category || 'Sin categoría';
-        const typeIcon = amount < 0 ? '🔻' : '🔼';
+    return filtered;
+}
 
-        if (currency === 'ARS') totalARS += amount;
-        if (currency === 'USD') totalUSD += amount;
+/**
+ * Ordena las transacciones según la consulta y aplica el límite.
+ * @param {Array<object>} transactions - Las transacciones filtradas.
+ * @param {object} queryParams - Los parámetros de la consulta.
+ * @returns {Array<object>}
+ */
+function sortTransactions(transactions, queryParams) {
+    const direction = queryParams.sort_order === 'desc' ? -1 : 1;
+    const key = queryParams.sort_by === 'amount'
+        ? tx => Math.abs(parseFloat(tx.amount)) || 0
+        : tx => new Date(tx.date).getTime();
+    const sorted = [...transactions].sort((a, b) => (key(a) - key(b)) * direction);
+    return queryParams.limit ? sorted.slice(0, queryParams.limit) : sorted;
+}
 
-        message += `${typeIcon} *${date}* - ${description}
-`;
-        message += `   └ ${category}: *${Math.abs(amount).toLocaleString('es-AR')} ${currency}*
+// Suma con signo si se piden gastos e ingresos juntos (balance), o en valor absoluto si se pide uno solo.
+function sumAmounts(transactions, type) {
+    return transactions.reduce((total, tx) => {
+        const amount = parseFloat(tx.amount) || 0;
+        return total + (type === 'all' ? amount : Math.abs(amount));
+    }, 0);
+}
 
-`;
+/**
+ * Agrupa transacciones por categoría, día, semana o mes.
+ * @returns {Array<object>} - [{ key, label, transactions }], por monto para categorías y por fecha para el resto.
+ */
+function groupTransactions(transactions, groupBy, type) {
+    const groups = {};
+    transactions.forEach(tx => {
+        const date = getArgentinaDateString(new Date(tx.date));
+        let key;
+        let label;
+        if (groupBy === 'category') {
+            key = tx.category || 'Sin categoría';
+            label = key;
+        } else if (groupBy === 'day') {
+            key = date;
+            label = formatArgentinaDate(date);
+        } else if (groupBy === 'week') {
+            key = addDays(date, -((getWeekday(date) + 6) % 7));
+            label = `Semana del ${formatArgentinaDate(key)}`;
+        } else {
+            key = date.slice(0, 7);
+            const monthName = MONTHS[Number(key.slice(5, 7)) - 1];
+            label = `${monthName.charAt(0).toUpperCase()}${monthName.slice(1)} ${key.slice(0, 4)}`;
+        }
+        (groups[key] = groups[key] || { key, label, transactions: [] }).transactions.push(tx);
     });
 
-    message += `*Resumen del Período:*
-`;
-    if (totalUSD !== 0) {
-        message += `*Balance en USD:* ${totalUSD.toLocaleString('en-US', { style: 'currency', currency: 'USD' })}
-`;
+    const list = Object.values(groups);
+    if (groupBy === 'category') {
+        return list.sort((a, b) => Math.abs(sumAmounts(b.transactions, type)) - Math.abs(sumAmounts(a.transactions, type)));
     }
-    if (totalARS !== 0) {
-        message += `*Balance en ARS:* ${totalARS.toLocaleString('es-AR', { style: 'currency', currency: 'ARS' })}
-`;
+    return list.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function formatGroupItem(group, groupBy, type) {
+    const icon = groupBy === 'category' ? '🏷️' : '🗓️';
+    const totals = groupByCurrency(group.transactions)
+        .map(([currency, transactionsInCurrency]) => formatMoney(sumAmounts(transactionsInCurrency, type), currency))
+        .join(' · ');
+    return `${icon} *${escapeMarkdown(group.label)}* (${group.transactions.length})\n   └ ${totals}\n\n`;
+}
+
+function formatTransactionItem(tx) {
+    const date = new Date(tx.date).toLocaleDateString('es-AR', { day: '2-digit', month: '2-digit', timeZone: 'America/Argentina/Buenos_Aires' });
+    const amount = parseFloat(tx.amount);
+    const currency = getCurrency(tx);
+    const description = escapeMarkdown(tx.description);
+    const category = escapeMarkdown(tx.category || 'Sin categoría');
+    const typeIcon = amount < 0 ? '🔻' : '🔼';
+
+    return `${typeIcon} *${date}* - ${description}\n   └ ${category}: *${formatMoney(Math.abs(amount), currency)}*\n\n`;
+}
+
+// Las líneas del encabezado que describen los filtros de la consulta.
+function formatQueryFilters(queryParams) {
+    let lines = `*Tipo:* ${TYPE_LABELS[queryParams.type] || 'Todos'}\n`;
+    if (queryParams.category) lines += `*Categoría:* ${escapeMarkdown(queryParams.category)}\n`;
+    if (queryParams.search) lines += `*Descripción:* contiene "${escapeMarkdown(queryParams.search)}"\n`;
+    if (queryParams.currency) lines += `*Moneda:* ${queryParams.currency}\n`;
+    if (queryParams.min_amount || queryParams.max_amount) {
+        const unit = queryParams.currency ? ` ${queryParams.currency}` : '';
+        const format = amount => `${amount.toLocaleString('es-AR')}${unit}`;
+        if (queryParams.min_amount && queryParams.max_amount) lines += `*Monto:* entre ${format(queryParams.min_amount)} y ${format(queryParams.max_amount)}\n`;
+        else if (queryParams.min_amount) lines += `*Monto:* desde ${format(queryParams.min_amount)}\n`;
+        else lines += `*Monto:* hasta ${format(queryParams.max_amount)}\n`;
     }
-    message += `*Total de transacciones:* ${filtered.length}`;
+    if (queryParams.group_by) lines += `*Agrupado por:* ${GROUP_LABELS[queryParams.group_by]}\n`;
+    return lines;
+}
 
-    return message;
+/**
+ * Formatea las transacciones y genera un resumen.
+ * @param {Array<object>} filtered - Las transacciones ya filtradas (ver filterTransactions).
+ * @param {object} queryParams - Los parámetros de la consulta original.
+ * @param {object} [consolidated] - Totales en la moneda de referencia (ver cotizaciones.js).
+ * @returns {object} - { header, items, footer } en Markdown, para mostrar con showPaginated.
+ */
+function formatResults(filtered, queryParams, consolidated) {
+    let header = `🔎 *Resultados para tu consulta*\n\n`;
+    header += `*Período:* ${formatArgentinaDate(queryParams.date_from)} al ${formatArgentinaDate(queryParams.date_to)}\n`;
+    header += formatQueryFilters(queryParams);
+    header += `\n`;
+
+    if (filtered.length === 0) {
+        return { header, items: [], footer: "No se encontraron transacciones que coincidan con tu búsqueda." };
+    }
+
+    let items;
+    let shownNote = '';
+    if (queryParams.group_by) {
+        let groups = groupTransactions(filtered, queryParams.group_by, queryParams.type);
+        if (queryParams.limit && groups.length > queryParams.limit) {
+            shownNote = `_Mostrando ${queryParams.limit} de ${groups.length} grupos._\n\n`;
+            groups = groups.slice(0, queryParams.limit);
+        }
+        items = groups.map(group => formatGroupItem(group, queryParams.group_by, queryParams.type));
+    } else {
+        const shown = sortTransactions(filtered, queryParams);
+        if (shown.length < filtered.length) {
+            const order = queryParams.sort_order === 'desc' ? 'más grandes' : 'más chicas';
+            shownNote = `_Mostrando las ${shown.length} ${queryParams.sort_by === 'amount' ? order : 'primeras'} de ${filtered.length} transacciones._\n\n`;
+        }
+        items = shown.map(formatTransactionItem);
+    }
+
+    let footer = shownNote;
+    footer += `*Resumen del Período:*\n`;
+    groupByCurrency(filtered).forEach(([currency, transactionsInCurrency]) => {
+        const balance = transactionsInCurrency.reduce((total, tx) => total + (parseFloat(tx.amount) || 0), 0);
+        footer += `*Balance en ${currency}:* ${formatMoney(balance, currency)}\n`;
+    });
+    if (consolidated && consolidated.mixed) {
+        footer += `*Balance consolidado:* ${formatConsolidatedAmount(consolidated.balance, consolidated)}\n`;
+    }
+    footer += `*Total de transacciones:* ${filtered.length}`;
+
+    return { header, items, footer };
+}
+
+// "+20%", "-3,5%", o "nuevo" si antes no había nada.
+function formatChange(current, previous) {
+    if (previous === 0) return current === 0 ? '=' : 'nuevo';
+    const percent = ((current - previous) / Math.abs(previous)) * 100;
+    const sign = percent > 0 ? '+' : '';
+    return `${sign}${percent.toLocaleString('es-AR', { maximumFractionDigits: 1 })}%`;
+}
+
+function formatDelta(current, previous, currency) {
+    const delta = current - previous;
+    return `${delta > 0 ? '+' : ''}${formatMoney(delta, currency)} (${formatChange(current, previous)})`;
+}
+
+// Máximo de categorías en el detalle de una comparación.
+const MAX_COMPARED_CATEGORIES = 10;
+
+/**
+ * Formatea la comparación entre dos períodos: totales por moneda con diferencias y porcentajes,
+ * y el detalle por categoría de los gastos.
+ * @param {Array<object>} current - Transacciones filtradas del período principal (el más reciente).
+ * @param {Array<object>} previous - Transacciones filtradas del período con el que se compara.
+ * @param {object} queryParams - Los parámetros de la consulta.
+ * @returns {object} - { header, items, footer } en Markdown, para mostrar con showPaginated.
+ */
+function formatComparison(current, previous, queryParams) {
+    const currentLabel = `${formatArgentinaDate(queryParams.date_from)} al ${formatArgentinaDate(queryParams.date_to)}`;
+    const previousLabel = `${formatArgentinaDate(queryParams.compare_date_from)} al ${formatArgentinaDate(queryParams.compare_date_to)}`;
+    let header = `📊 *Comparación de períodos*\n\n`;
+    header += `*Actual:* ${currentLabel}\n`;
+    header += `*Anterior:* ${previousLabel}\n`;
+    header += formatQueryFilters(queryParams);
+    header += `\n`;
+
+    if (current.length === 0 && previous.length === 0) {
+        return { header, items: [], footer: "No se encontraron transacciones en ninguno de los dos períodos." };
+    }
+
+    const items = [];
+    const currencies = groupByCurrency([...current, ...previous]).map(([currency]) => currency);
+    const inCurrency = (list, currency) => list.filter(tx => getCurrency(tx) === currency);
+    const expensesOf = list => list.filter(tx => parseFloat(tx.amount) < 0);
+    const incomeOf = list => list.filter(tx => parseFloat(tx.amount) > 0);
+    const total = list => sumAmounts(list, 'expense');
+
+    currencies.forEach(currency => {
+        const now = inCurrency(current, currency);
+        const before = inCurrency(previous, currency);
+        let section = `💱 *${currency}*\n`;
+        if (queryParams.type !== 'income') {
+            section += `🔻 *Gastos:* ${formatMoney(total(expensesOf(now)), currency)} vs ${formatMoney(total(expensesOf(before)), currency)}\n`;
+            section += `   └ ${formatDelta(total(expensesOf(now)), total(expensesOf(before)), currency)}\n`;
+        }
+        if (queryParams.type !== 'expense') {
+            section += `🔼 *Ingresos:* ${formatMoney(total(incomeOf(now)), currency)} vs ${formatMoney(total(incomeOf(before)), currency)}\n`;
+            section += `   └ ${formatDelta(total(incomeOf(now)), total(incomeOf(before)), currency)}\n`;
+        }
+        if (queryParams.type === 'all') {
+            const balanceNow = sumAmounts(now, 'all');
+            const balanceBefore = sumAmounts(before, 'all');
+            section += `⚖️ *Balance:* ${formatMoney(balanceNow, currency)} vs ${formatMoney(balanceBefore, currency)}\n`;
+        }
+        items.push(`${section}\n`);
+
+        // Detalle por categoría de los gastos, empezando por lo que más cambió.
+        if (queryParams.type !== 'income' && !queryParams.category) {
+            const byCategory = {};
+            [[expensesOf(now), 'now'], [expensesOf(before), 'before']].forEach(([list, period]) => {
+                list.forEach(tx => {
+                    const category = tx.category || 'Sin categoría';
+                    byCategory[category] = byCategory[category] || { now: 0, before: 0 };
+                    byCategory[category][period] += Math.abs(parseFloat(tx.amount)) || 0;
+                });
+            });
+            const rows = Object.entries(byCategory)
+                .sort((a, b) => Math.abs(b[1].now - b[1].before) - Math.abs(a[1].now - a[1].before))
+                .slice(0, MAX_COMPARED_CATEGORIES);
+            if (rows.length > 1) {
+                let detail = `*Gastos por categoría en ${currency}:*\n`;
+                rows.forEach(([category, amounts]) => {
+                    detail += `• ${escapeMarkdown(category)}: ${formatMoney(amounts.before, currency)} → ${formatMoney(amounts.now, currency)} (${formatChange(amounts.now, amounts.before)})\n`;
+                });
+                items.push(`${detail}\n`);
+            }
+        }
+    });
+
+    const footer = `*Transacciones:* ${current.length} en el actual, ${previous.length} en el anterior.`;
+    return { header, items, footer };
 }
 
 
@@ -191,18 +679,17 @@ function formatResults(transactions, queryParams) {
  * Maneja el flujo completo de una consulta de información.
  * @param {TelegramBot} bot - La instancia del bot.
  * @param {object} msg - El objeto del mensaje de Telegram con la consulta.
- * @param {function} getNewAccessToken - La función para obtener un nuevo token de acceso.
  * @param {object} config - Un objeto con la configuración necesaria.
  */
-async function handleInfoQuery(bot, msg, getNewAccessToken, config) {
+async function handleInfoQuery(bot, msg, config) {
     const chatId = msg.chat.id;
     const query = msg.text;
 
-    const thinkingMessage = await bot.sendMessage(chatId, "🤔 Entendido. Analizando tu pregunta con IA...");
+    const thinkingMessage = await bot.sendMessage(chatId, "🤔 Entendido. Analizando tu pregunta...");
 
     try {
-        // 1. Analizar la consulta del usuario con IA
-        const queryParams = await analyzeQueryWithAI(query, config.DEEPSEEK_API_KEY);
+        // 1. Analizar la consulta del usuario (localmente o con IA)
+        const queryParams = await analyzeQuery(query, config.llm);
 
         if (queryParams.error) {
             await bot.editMessageText(queryParams.error, { chat_id: chatId, message_id: thinkingMessage.message_id });
@@ -212,31 +699,23 @@ async function handleInfoQuery(bot, msg, getNewAccessToken, config) {
         await bot.editMessageText("✅ Análisis completo. Buscando transacciones en Gasti.pro...", { chat_id: chatId, message_id: thinkingMessage.message_id });
 
         // 2. Obtener token de Gasti.pro
-        const currentRefreshToken = await config.readRefreshToken();
-        const tokenData = await getNewAccessToken(currentRefreshToken);
-        if (!tokenData || !tokenData.accessToken) {
-            throw new Error("Fallo al obtener token de Gasti.pro.");
-        }
-        if (tokenData.newRefreshToken && tokenData.newRefreshToken !== currentRefreshToken) {
-            await config.writeRefreshToken(tokenData.newRefreshToken);
-        }
+        const accessToken = await config.getAccessToken();
 
         // 3. Obtener transacciones de la API
-        const transactions = await getFilteredTransactions(
-            queryParams,
-            tokenData.accessToken,
-            config.GASTI_API_URL,
-            config.SUPABASE_APIKEY
-        );
-
-        // 4. Formatear y enviar resultados
-        const finalMessage = formatResults(transactions, queryParams);
+        const transactions = await getFilteredTransactions(queryParams, config.gasti, accessToken);
+        const filtered = filterTransactions(transactions, queryParams);
+
+        // 4a. Comparación entre dos períodos
+        if (queryParams.compare_date_from) {
+            const previousParams = { ...queryParams, date_from: queryParams.compare_date_from, date_to: queryParams.compare_date_to };
+            const previous = filterTransactions(await getFilteredTransactions(previousParams, config.gasti, accessToken), queryParams);
+            await showPaginated(bot, chatId, thinkingMessage.message_id, formatComparison(filtered, previous, queryParams));
+            return;
+        }
 
-        await bot.editMessageText(finalMessage, {
-            chat_id: chatId,
-            message_id: thinkingMessage.message_id,
-            parse_mode: 'Markdown'
-        });
+        // 4b. Consolidar monedas y enviar resultados
+        const consolidated = await config.exchangeRates.consolidate(filtered, msg.from.id);
+        await showPaginated(bot, chatId, thinkingMessage.message_id, formatResults(filtered, queryParams, consolidated));
 
     } catch (error) {
         console.error("Error procesando la consulta de info:", error.message);
@@ -248,4 +727,4 @@ async function handleInfoQuery(bot, msg, getNewAccessToken, config) {
     }
 }
 
-module.exports = { handleInfoQuery };
+module.exports = { handleInfoQuery, analyzeQuery, parseQueryLocally, getFilteredTransactions, filterTransactions };
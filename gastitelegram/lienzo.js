@@ -0,0 +1,215 @@
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+/*
+ * Lienzo mínimo para dibujar gráficos y exportarlos como PNG, sin dependencias nativas.
+ * Alcanza con rectángulos, líneas, sectores circulares y texto con una fuente de mapa de bits 5x7.
+ * Se dibuja internamente a una escala mayor y se promedia al exportar, para que los bordes no queden serruchados.
+ */
+
+// Fuente 5x7 para ASCII 0x20-0x7E: 5 columnas por carácter, un byte por columna (bit 0 = fila de arriba).
+const FONT = (
+    '0000000000' + '00005f0000' + '0007000700' + '147f147f14' + '242a7f2a12' + '2313086462' + '3649552250' + '0005030000' +
+    '001c224100' + '0041221c00' + '082a1c2a08' + '08083e0808' + '0050300000' + '0808080808' + '0060600000' + '2010080402' +
+    '3e5149453e' + '00427f4000' + '4261514946' + '2141454b31' + '1814127f10' + '2745454539' + '3c4a494930' + '0171090503' +
+    '3649494936' + '064949291e' + '0036360000' + '0056360000' + '0008142241' + '1414141414' + '4122140800' + '0201510906' +
+    '3249794136' + '7e1111117e' + '7f49494936' + '3e41414122' + '7f4141221c' + '7f49494941' + '7f09090101' + '3e41415132' +
+    '7f0808087f' + '00417f4100' + '2040413f01' + '7f08142241' + '7f40404040' + '7f0204027f' + '7f0408107f' + '3e4141413e' +
+    '7f09090906' + '3e4151215e' + '7f09192946' + '4649494931' + '01017f0101' + '3f4040403f' + '1f2040201f' + '7f2018207f' +
+    '6314081463' + '0304780403' + '6151494543' + '00007f4141' + '0204081020' + '41417f0000' + '0402010204' + '4040404040' +
+    '0001020400' + '2054545478' + '7f48444438' + '3844444420' + '384444487f' + '3854545418' + '087e090102' + '081454543c' +
+    '7f08040478' + '00447d4000' + '2040443d00' + '007f102844' + '00417f4000' + '7c04180478' + '7c08040478' + '3844444438' +
+    '7c14141408' + '081414187c' + '7c08040408' + '4854545420' + '043f444020' + '3c4040207c' + '1c2040201c' + '3c4030403c' +
+    '4428102844' + '0c5050503c' + '4464544c44' + '0008364100' + '00007f0000' + '0041360800' + '0201020402'
+);
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+// Ancho que ocupa cada carácter, con la separación.
+const GLYPH_ADVANCE = 6;
+
+function parseColor(color) {
+    if (Array.isArray(color)) return color;
+    const hex = color.replace('#', '');
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Deja el texto en lo que la fuente puede dibujar: sin tildes, sin emojis ni otros símbolos fuera de ASCII.
+ * @param {string} text
+ * @returns {string}
+ */
+function toDrawableText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Mide el ancho de un texto dibujado con drawText.
+ * @param {string} text
+ * @param {number} [size] - Tamaño de cada punto de la fuente, en píxeles.
+ * @returns {number}
+ */
+function measureText(text, size = 1) {
+    const drawable = toDrawableText(text);
+    return drawable.length === 0 ? 0 : (drawable.length * GLYPH_ADVANCE - 1) * size;
+}
+
+/**
+ * Arma un bloque de PNG: largo, tipo, datos y CRC.
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Crea un lienzo RGB. Todas las coordenadas son en píxeles de la imagen final.
+ * @param {number} width - Ancho de la imagen.
+ * @param {number} height - Alto de la imagen.
+ * @param {object} [options] - { background: '#rrggbb', supersample: factor de escala interno }.
+ * @returns {object} - { width, height, fillRect, fillCircle, fillWedge, drawLine, drawText, toPNG }.
+ */
+function createCanvas(width, height, { background = '#ffffff', supersample = 2 } = {}) {
+    const scale = supersample;
+    const deviceWidth = width * scale;
+    const deviceHeight = height * scale;
+    const pixels = new Uint8Array(deviceWidth * deviceHeight * 3);
+    const [bgR, bgG, bgB] = parseColor(background);
+    for (let i = 0; i < pixels.length; i += 3) {
+        pixels[i] = bgR;
+        pixels[i + 1] = bgG;
+        pixels[i + 2] = bgB;
+    }
+
+    function setPixel(x, y, rgb) {
+        if (x < 0 || y < 0 || x >= deviceWidth || y >= deviceHeight) return;
+        const offset = (y * deviceWidth + x) * 3;
+        pixels[offset] = rgb[0];
+        pixels[offset + 1] = rgb[1];
+        pixels[offset + 2] = rgb[2];
+    }
+
+    // Recorre los píxeles internos del rectángulo (en coordenadas finales) y pinta los que cumplan `inside`.
+    function fillWhere(x0, y0, x1, y1, rgb, inside) {
+        const fromX = Math.max(0, Math.floor(x0 * scale));
+        const fromY = Math.max(0, Math.floor(y0 * scale));
+        const toX = Math.min(deviceWidth, Math.ceil(x1 * scale));
+        const toY = Math.min(deviceHeight, Math.ceil(y1 * scale));
+        for (let y = fromY; y < toY; y++) {
+            for (let x = fromX; x < toX; x++) {
+                if (!inside || inside((x + 0.5) / scale, (y + 0.5) / scale)) setPixel(x, y, rgb);
+            }
+        }
+    }
+
+    function fillRect(x, y, w, h, color) {
+        fillWhere(x, y, x + w, y + h, parseColor(color));
+    }
+
+    function fillCircle(cx, cy, radius, color) {
+        fillWhere(cx - radius, cy - radius, cx + radius, cy + radius, parseColor(color),
+            (px, py) => (px - cx) ** 2 + (py - cy) ** 2 <= radius * radius);
+    }
+
+    /**
+     * Pinta un sector de anillo (o de círculo, con innerRadius 0).
+     * Los ángulos van en radianes, en sentido horario desde las 12.
+     */
+    function fillWedge(cx, cy, outerRadius, innerRadius, startAngle, endAngle, color) {
+        fillWhere(cx - outerRadius, cy - outerRadius, cx + outerRadius, cy + outerRadius, parseColor(color), (px, py) => {
+            const dx = px - cx;
+            const dy = py - cy;
+            const distance = dx * dx + dy * dy;
+            if (distance > outerRadius * outerRadius || distance < innerRadius * innerRadius) return false;
+            let angle = Math.atan2(dx, -dy);
+            if (angle < 0) angle += 2 * Math.PI;
+            return angle >= startAngle && angle < endAngle;
+        });
+    }
+
+    function drawLine(x1, y1, x2, y2, color, lineWidth = 1) {
+        const rgb = parseColor(color);
+        const radius = lineWidth / 2;
+        const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) * scale * 2));
+        for (let i = 0; i <= steps; i++) {
+            const x = x1 + ((x2 - x1) * i) / steps;
+            const y = y1 + ((y2 - y1) * i) / steps;
+            fillWhere(x - radius, y - radius, x + radius, y + radius, rgb);
+        }
+    }
+
+    /**
+     * Escribe texto con la fuente 5x7.
+     * @param {string} text - El texto (tildes y emojis se descartan, ver toDrawableText).
+     * @param {number} x - Posición horizontal según `align`.
+     * @param {number} y - Borde superior.
+     * @param {object} [options] - { color, size: píxeles por punto de la fuente, align: 'left' | 'center' | 'right' }.
+     * @returns {number} - El ancho dibujado.
+     */
+    function drawText(text, x, y, { color = '#333333', size = 1, align = 'left' } = {}) {
+        const drawable = toDrawableText(text);
+        const textWidth = measureText(drawable, size);
+        const rgb = parseColor(color);
+        let left = align === 'center' ? x - textWidth / 2 : align === 'right' ? x - textWidth : x;
+        left = Math.round(left);
+        for (const char of drawable) {
+            const glyphOffset = (char.charCodeAt(0) - 0x20) * GLYPH_WIDTH * 2;
+            for (let column = 0; column < GLYPH_WIDTH; column++) {
+                const bits = parseInt(FONT.slice(glyphOffset + column * 2, glyphOffset + column * 2 + 2), 16);
+                for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                    if (bits & (1 << row)) fillWhere(left + column * size, y + row * size, left + (column + 1) * size, y + (row + 1) * size, rgb);
+                }
+            }
+            left += GLYPH_ADVANCE * size;
+        }
+        return textWidth;
+    }
+
+    /**
+     * Exporta el lienzo como PNG (RGB de 8 bits), promediando los píxeles internos.
+     * @returns {Buffer}
+     */
+    function toPNG() {
+        const rowLength = width * 3 + 1;
+        const raw = Buffer.alloc(rowLength * height);
+        const samples = scale * scale;
+        for (let y = 0; y < height; y++) {
+            raw[y * rowLength] = 0; // Sin filtro
+            for (let x = 0; x < width; x++) {
+                for (let channel = 0; channel < 3; channel++) {
+                    let sum = 0;
+                    for (let sy = 0; sy < scale; sy++) {
+                        for (let sx = 0; sx < scale; sx++) {
+                            sum += pixels[(((y * scale + sy) * deviceWidth) + x * scale + sx) * 3 + channel];
+                        }
+                    }
+                    raw[y * rowLength + 1 + x * 3 + channel] = Math.round(sum / samples);
+                }
+            }
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;  // bits por canal
+        header[9] = 2;  // RGB
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(raw)),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    return { width, height, fillRect, fillCircle, fillWedge, drawLine, drawText, toPNG };
+}
+
+module.exports = { createCanvas, measureText, toDrawableText };
@@ -0,0 +1,204 @@
+const fetch = require('node-fetch');
+
+/*
+ * Cliente único para los modelos de lenguaje. Reemplaza las llamadas a DeepSeek que estaban
+ * copiadas en index.js, resumen.js e info.js.
+ *
+ * Backends soportados (LLM_PROVIDER):
+ *   - deepseek: la API de DeepSeek (por defecto).
+ *   - openai:   cualquier endpoint compatible con /chat/completions de OpenAI
+ *               (OpenAI, OpenRouter, Groq, llama.cpp server, vLLM, LM Studio...).
+ *   - ollama:   la API nativa de Ollama (/api/chat), para correr todo local.
+ *
+ * Cada tarea puede usar un modelo distinto: `parse` (interpretar gastos), `query` (consultas de /info)
+ * y `summary` (informe de /resumen). Variables: LLM_MODEL, LLM_MODEL_PARSE, LLM_MODEL_QUERY, LLM_MODEL_SUMMARY.
+ */
+
+const PROVIDER_DEFAULTS = {
+    deepseek: { baseUrl: 'https://api.deepseek.com', model: 'deepseek-reasoner' },
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1' }
+};
+
+const TASKS = ['parse', 'query', 'summary'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Extrae el primer objeto o array JSON de la respuesta de un modelo. Tolera bloques ```json,
+ * razonamientos <think>...</think> y texto antes o después del JSON.
+ * @param {string} content - El texto devuelto por el modelo.
+ * @returns {any} - El JSON parseado.
+ * @throws {Error} Si no hay un JSON válido.
+ */
+function extractJSON(content) {
+    const cleaned = String(content)
+        .replace(/<think>[\s\S]*?<\/think>/gi, '')
+        .replace(/```(?:json)?/gi, '')
+        .trim();
+
+    try {
+        return JSON.parse(cleaned);
+    } catch (error) {
+        // Buscamos el primer bloque balanceado de llaves o corchetes.
+        const start = cleaned.search(/[[{]/);
+        if (start !== -1) {
+            const open = cleaned[start];
+            const close = open === '{' ? '}' : ']';
+            let depth = 0;
+            let inString = false;
+            for (let i = start; i < cleaned.length; i++) {
+                const char = cleaned[i];
+                if (inString) {
+                    if (char === '\\') i++;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === open) {
+                    depth++;
+                } else if (char === close && --depth === 0) {
+                    return JSON.parse(cleaned.slice(start, i + 1));
+                }
+            }
+        }
+        throw new Error(`La respuesta del modelo no contiene un JSON válido: ${cleaned.slice(0, 200)}`);
+    }
+}
+
+/**
+ * Valida un valor contra un esquema simple al estilo JSON Schema.
+ * Soporta `type` (string o array de tipos), `enum`, `properties`, `required` e `items`.
+ * @param {any} value - El valor a validar.
+ * @param {object} schema - El esquema.
+ * @param {string} [pathName] - Ruta usada en los mensajes de error.
+ * @returns {Array<string>} - Los errores encontrados (vacío si es válido).
+ */
+function validateSchema(value, schema, pathName = '$') {
+    const errors = [];
+    const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowed.includes(actualType)) {
+            return [`${pathName} debería ser ${allowed.join(' o ')} y es ${actualType}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${pathName} debería ser uno de ${schema.enum.join(', ')}`);
+    }
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${pathName}.${key} es obligatorio`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${pathName}.${key}`));
+        });
+    }
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${pathName}[${index}]`)));
+    }
+    return errors;
+}
+
+function isRetryable(error) {
+    return error.retryable || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code) || error.type === 'request-timeout';
+}
+
+/**
+ * Crea el cliente de LLM a partir de las variables de entorno.
+ * @param {object} env - Normalmente `process.env`.
+ * @returns {object} - { provider, modelFor(task), complete(options), completeJSON(options) }.
+ */
+function createLLMClient(env) {
+    const provider = (env.LLM_PROVIDER || 'deepseek').toLowerCase();
+    const defaults = PROVIDER_DEFAULTS[provider];
+    if (!defaults) {
+        throw new Error(`LLM_PROVIDER desconocido: "${provider}". Usá deepseek, openai u ollama.`);
+    }
+
+    const baseUrl = (env.LLM_BASE_URL || defaults.baseUrl).replace(/\/$/, '');
+    const apiKey = env.LLM_API_KEY || (provider === 'deepseek' ? env.DEEPSEEK_API_KEY : undefined);
+    const timeout = parseInt(env.LLM_TIMEOUT_MS, 10) || 60000;
+    const retries = env.LLM_RETRIES !== undefined ? parseInt(env.LLM_RETRIES, 10) : 2;
+    const defaultModel = env.LLM_MODEL || defaults.model;
+    const models = {};
+    TASKS.forEach(task => {
+        models[task] = env[`LLM_MODEL_${task.toUpperCase()}`] || defaultModel;
+    });
+
+    function modelFor(task) {
+        return models[task] || defaultModel;
+    }
+
+    async function requestOnce({ model, messages, temperature, json }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+        const isOllama = provider === 'ollama';
+        const url = isOllama ? `${baseUrl}/api/chat` : `${baseUrl}/chat/completions`;
+        const body = isOllama
+            ? { model, messages, stream: false, options: { temperature }, ...(json ? { format: 'json' } : {}) }
+            : { model, messages, temperature, stream: false };
+
+        const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), timeout });
+
+        if (!response.ok) {
+            const errorBody = await response.text();
+            const error = new Error(`Error del LLM (${provider}/${model}). Status: ${response.status}. Body: ${errorBody}`);
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+
+        const data = await response.json();
+        const content = isOllama ? data.message && data.message.content : data.choices && data.choices[0].message.content;
+        if (typeof content !== 'string') {
+            throw new Error(`Respuesta inesperada del LLM (${provider}/${model}).`);
+        }
+        return content.trim();
+    }
+
+    /**
+     * Envía un prompt al modelo de la tarea y devuelve el texto de la respuesta.
+     * Reintenta con backoff exponencial ante errores de red, timeouts, 429 y 5xx.
+     * @param {object} options - { task, system, user, temperature }.
+     * @returns {string}
+     */
+    async function complete({ task, system, user, temperature = 0, json = false }) {
+        const model = modelFor(task);
+        const messages = [{ role: 'system', content: system }, { role: 'user', content: user }];
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                console.log(`Consultando LLM ${provider}/${model} (tarea: ${task}, intento ${attempt + 1})...`);
+                return await requestOnce({ model, messages, temperature, json });
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) throw error;
+                const delay = 1000 * 2 ** attempt;
+                console.warn(`Fallo transitorio del LLM, reintentando en ${delay} ms:`, error.message);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Como `complete`, pero extrae el JSON de la respuesta y lo valida contra un esquema.
+     * @param {object} options - { task, system, user, temperature, schema }.
+     * @returns {any} - El JSON validado.
+     * @throws {Error} Si la respuesta no es JSON o no cumple el esquema.
+     */
+    async function completeJSON({ schema, ...options }) {
+        const content = await complete({ ...options, json: true });
+        const parsed = extractJSON(content);
+        if (schema) {
+            const errors = validateSchema(parsed, schema);
+            if (errors.length > 0) {
+                throw new Error(`La respuesta del LLM no cumple el formato esperado: ${errors.join('; ')}`);
+            }
+        }
+        return parsed;
+    }
+
+    return { provider, modelFor, complete, completeJSON };
+}
+
+module.exports = { createLLMClient, extractJSON, validateSchema };
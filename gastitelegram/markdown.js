@@ -0,0 +1,15 @@
+/*
+ * Utilidades para el Markdown (legacy) de Telegram.
+ */
+
+/**
+ * Escapa los caracteres especiales del Markdown de Telegram en textos que escribió el usuario
+ * (descripciones, categorías, nombres como @juan_perez), para que un "_" o un "*" no rompan el mensaje.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`[])/g, '\\$1');
+}
+
+module.exports = { escapeMarkdown };
@@ -0,0 +1,69 @@
+/*
+ * Agrupación y formato de montos por moneda.
+ * Las transacciones pueden venir en cualquier código ISO (USD, ARS, EUR, BRL, CLP...), así que
+ * nada acá asume una lista fija: se agrupa por las monedas que aparezcan.
+ */
+
+// Moneda que se muestra cuando una transacción no trae ninguna.
+const UNKNOWN_CURRENCY = 'S/M';
+
+/**
+ * Normaliza el código de moneda de una transacción.
+ * @param {object} tx - La transacción.
+ * @returns {string} - Ej. 'USD', o UNKNOWN_CURRENCY si no tiene.
+ */
+function getCurrency(tx) {
+    return (tx.currency || '').trim().toUpperCase() || UNKNOWN_CURRENCY;
+}
+
+/**
+ * Cantidad de decimales que se usan para una moneda (CLP y JPY no tienen centavos).
+ * @param {string} currency - Código ISO de 3 letras.
+ * @returns {number}
+ */
+function getCurrencyDecimals(currency) {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+        // Códigos que Intl no acepta (ej. UNKNOWN_CURRENCY): usamos centavos.
+        return 2;
+    }
+}
+
+/**
+ * Formatea un número con los decimales de su moneda.
+ * @param {number} amount - El monto.
+ * @param {string} currency - Código ISO de 3 letras.
+ * @param {string} [locale] - 'es-AR' para mostrar al usuario, 'en-US' para el texto que se le pasa al LLM.
+ * @returns {string} - Ej. "1.234,50" o "15.000" para CLP.
+ */
+function formatNumber(amount, currency, locale = 'es-AR') {
+    const decimals = getCurrencyDecimals(currency);
+    return amount.toLocaleString(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Formatea un monto con su moneda, como se muestra en Telegram.
+ * @param {number} amount - El monto.
+ * @param {string} currency - Código ISO de 3 letras.
+ * @returns {string} - Ej. "1.234,50 USD".
+ */
+function formatMoney(amount, currency) {
+    return `${formatNumber(amount, currency)} ${currency}`;
+}
+
+/**
+ * Agrupa transacciones por moneda, empezando por la que tiene más movimientos.
+ * @param {Array<object>} transactions - Las transacciones.
+ * @returns {Array<Array>} - [[moneda, transacciones], ...].
+ */
+function groupByCurrency(transactions) {
+    const groups = {};
+    transactions.forEach(tx => {
+        const currency = getCurrency(tx);
+        (groups[currency] = groups[currency] || []).push(tx);
+    });
+    return Object.entries(groups).sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+}
+
+module.exports = { UNKNOWN_CURRENCY, getCurrency, getCurrencyDecimals, formatNumber, formatMoney, groupByCurrency };
@@ -0,0 +1,107 @@
+/*
+ * Mensajes con listas largas (resultados de /info, /gastos): se parten en páginas que entran en un
+ * mensaje de Telegram y se navegan con botones ◀️ ▶️. El encabezado y el pie (los totales) se repiten
+ * en todas las páginas.
+ */
+
+// Telegram corta en 4096 caracteres; dejamos margen para el indicador de página.
+const MAX_MESSAGE_LENGTH = 3900;
+const MAX_ITEMS_PER_PAGE = 15;
+// Cuánto tiempo se pueden seguir navegando unos resultados.
+const VIEW_TTL_MS = 60 * 60 * 1000;
+
+// Resultados paginados, indexados por "chatId:messageId" del mensaje que los muestra.
+const views = {};
+
+function viewKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+}
+
+/**
+ * Reparte los ítems en páginas que respeten el largo máximo del mensaje.
+ * @returns {Array<Array<string>>}
+ */
+function splitIntoPages(header, items, footer) {
+    const budget = MAX_MESSAGE_LENGTH - header.length - footer.length;
+    const pages = [];
+    let current = [];
+    let length = 0;
+    items.forEach(item => {
+        if (current.length > 0 && (length + item.length > budget || current.length >= MAX_ITEMS_PER_PAGE)) {
+            pages.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(item);
+        length += item.length;
+    });
+    if (current.length > 0 || pages.length === 0) pages.push(current);
+    return pages;
+}
+
+function renderPage(view, pageIndex) {
+    const indicator = view.pages.length > 1 ? `_Página ${pageIndex + 1} de ${view.pages.length}_\n\n` : '';
+    return `${view.header}${view.pages[pageIndex].join('')}${indicator}${view.footer}`;
+}
+
+function buildPageKeyboard(view, pageIndex) {
+    if (view.pages.length <= 1) return undefined;
+    const buttons = [];
+    if (pageIndex > 0) buttons.push({ text: '◀️', callback_data: `pg:${pageIndex - 1}` });
+    if (pageIndex < view.pages.length - 1) buttons.push({ text: '▶️', callback_data: `pg:${pageIndex + 1}` });
+    return { inline_keyboard: [buttons] };
+}
+
+function purgeExpired() {
+    const now = Date.now();
+    Object.keys(views).forEach(key => { if (views[key].expiresAt < now) delete views[key]; });
+}
+
+/**
+ * Muestra una lista paginada reemplazando el texto de un mensaje existente (el de "Buscando...").
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {number} chatId - El chat.
+ * @param {number} messageId - El mensaje a editar.
+ * @param {object} content - { header, items, footer } en Markdown; cada ítem trae sus propios saltos de línea.
+ */
+async function showPaginated(bot, chatId, messageId, { header, items, footer }) {
+    purgeExpired();
+    const view = { header, footer, pages: splitIntoPages(header, items, footer), expiresAt: Date.now() + VIEW_TTL_MS };
+    if (view.pages.length > 1) views[viewKey(chatId, messageId)] = view;
+
+    await bot.editMessageText(renderPage(view, 0), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildPageKeyboard(view, 0)
+    });
+}
+
+/**
+ * Maneja los botones de página (callback_data "pg:<página>").
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ */
+async function handlePageCallback(bot, query) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const view = views[viewKey(chatId, messageId)];
+
+    if (!view || view.expiresAt < Date.now()) {
+        delete views[viewKey(chatId, messageId)];
+        await bot.answerCallbackQuery(query.id, { text: 'Estos resultados expiraron. Repetí la consulta.' });
+        await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId }).catch(() => {});
+        return;
+    }
+
+    const pageIndex = Math.min(Math.max(parseInt(query.data.split(':')[1], 10) || 0, 0), view.pages.length - 1);
+    await bot.answerCallbackQuery(query.id);
+    await bot.editMessageText(renderPage(view, pageIndex), {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        reply_markup: buildPageKeyboard(view, pageIndex)
+    });
+}
+
+module.exports = { showPaginated, handlePageCallback };
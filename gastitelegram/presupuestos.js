@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { findCategoryByName } = require('./categorias');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { sumarGastosPorCategoria } = require('./resumen');
+const { MONTHS, getArgentinaDateString, argentinaDayStartISO, addDays } = require('./fechas');
+const { formatNumber, formatMoney, groupByCurrency } = require('./monedas');
+
+/*
+ * Presupuestos mensuales por categoría y moneda, guardados por usuario de Telegram.
+ * Después de cada transacción registrada se avisa al cruzar el 80% y el 100% del presupuesto.
+ */
+
+// Umbrales de aviso, en porcentaje del presupuesto, de menor a mayor.
+const ALERT_THRESHOLDS = [80, 100];
+const PROGRESS_BAR_LENGTH = 10;
+// Meses de avisos que se recuerdan por presupuesto.
+const MAX_ALERTED_MONTHS = 3;
+
+async function readBudgets(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return {};
+    }
+}
+
+async function writeBudgets(filePath, budgets) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(budgets, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// Los comandos y los avisos de cada transacción modifican el mismo archivo: encadenamos las escrituras.
+let pendingWrite = Promise.resolve();
+
+function updateBudgets(filePath, mutator) {
+    const result = pendingWrite.then(async () => {
+        const budgets = await readBudgets(filePath);
+        const outcome = await mutator(budgets);
+        await writeBudgets(filePath, budgets);
+        return outcome;
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+// Niveles ya avisados de un presupuesto: { 'YYYY-MM': nivel }. Antes se guardaba un solo { month, level }.
+function getAlertedLevels(budget) {
+    const alerted = budget.alerted || {};
+    return alerted.month !== undefined ? { [alerted.month]: alerted.level } : alerted;
+}
+
+function buildProgressBar(ratio) {
+    const filled = Math.min(PROGRESS_BAR_LENGTH, Math.round(ratio * PROGRESS_BAR_LENGTH));
+    return '▓'.repeat(filled) + '░'.repeat(PROGRESS_BAR_LENGTH - filled);
+}
+
+/**
+ * Calcula lo gastado en un mes (en Argentina), por moneda y categoría.
+ * @param {object} config - Configuración con getAccessToken y el cliente `gasti`.
+ * @param {string} [month] - El mes 'YYYY-MM' (por defecto, el actual, hasta este momento).
+ * @returns {object} - { moneda: { categoria: total } }.
+ */
+async function getMonthSpending(config, month = getArgentinaDateString().slice(0, 7)) {
+    const firstDay = `${month}-01`;
+    const dateTo = month === getArgentinaDateString().slice(0, 7)
+        ? new Date().toISOString()
+        : argentinaDayStartISO(`${addDays(firstDay, 31).slice(0, 7)}-01`);
+    const accessToken = await config.getAccessToken();
+    const data = await config.gasti.getTransactionsByPeriod(accessToken, argentinaDayStartISO(firstDay), dateTo);
+
+    const spending = {};
+    groupByCurrency((data.transactions || []).filter(tx => parseFloat(tx.amount) < 0)).forEach(([currency, gastos]) => {
+        spending[currency] = sumarGastosPorCategoria(gastos);
+    });
+    return spending;
+}
+
+/**
+ * Interpreta los argumentos de /presupuesto: "<categoría> <monto> [moneda]".
+ * @param {string} args - El texto después del comando.
+ * @param {string} defaultCurrency - Moneda si no se indica ninguna.
+ * @returns {object|null} - { category, amount, currency } o null si no se entendió.
+ */
+function parseBudgetArgs(args, defaultCurrency) {
+    const tokens = args.trim().split(/\s+/);
+    let currency = defaultCurrency;
+    if (tokens.length > 2 && /^[a-z]{3}$/i.test(tokens[tokens.length - 1])) {
+        currency = tokens.pop().toUpperCase();
+    }
+    const amount = parseArgentineNumber(tokens.pop() || '');
+    const category = findCategoryByName(tokens.join(' '));
+    if (!category || !isFinite(amount) || amount <= 0) return null;
+    return { category, amount, currency };
+}
+
+async function showBudgets(bot, chatId, budgets, config) {
+    if (budgets.length === 0) {
+        await bot.sendMessage(chatId, "No tenés presupuestos configurados.\n\nUsá `/presupuesto <categoría> <monto> [moneda]`, por ejemplo: `/presupuesto 🍽️ Comida 300000 ARS`", { parse_mode: 'Markdown' });
+        return;
+    }
+
+    const spending = await getMonthSpending(config);
+    let message = "📊 *Presupuestos del mes*\n\n";
+    budgets.forEach(budget => {
+        const spent = (spending[budget.currency] || {})[budget.category] || 0;
+        const ratio = spent / budget.amount;
+        const icon = ratio >= 1 ? '🚨' : ratio >= 0.8 ? '⚠️' : '✅';
+        message += `${icon} *${budget.category}* (${budget.currency})\n`;
+        message += `\`${buildProgressBar(ratio)}\` ${Math.round(ratio * 100)}%\n`;
+        message += `   └ ${formatNumber(spent, budget.currency)} de ${formatMoney(budget.amount, budget.currency)}\n\n`;
+    });
+    await bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown' });
+}
+
+/**
+ * Maneja el comando /presupuesto.
+ *   /presupuesto                                  -> tabla con el avance de cada presupuesto.
+ *   /presupuesto <categoría> <monto> [moneda]     -> crea o reemplaza un presupuesto.
+ *   /presupuesto borrar <categoría> [moneda]      -> elimina un presupuesto.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con BUDGETS_FILE_PATH, DEFAULT_CURRENCY, getAccessToken y `gasti`.
+ */
+async function handlePresupuestoCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const args = msg.text.replace(/^\/presupuesto(@\w+)?/, '').trim();
+    if (!args) {
+        const allBudgets = await readBudgets(config.BUDGETS_FILE_PATH);
+        await showBudgets(bot, chatId, allBudgets[userId] || [], config);
+        return;
+    }
+
+    const deleteMatch = args.match(/^(?:borrar|eliminar)\s+(.+)$/i);
+    if (deleteMatch) {
+        const tokens = deleteMatch[1].trim().split(/\s+/);
+        const currency = tokens.length > 1 && /^[a-z]{3}$/i.test(tokens[tokens.length - 1]) ? tokens.pop().toUpperCase() : null;
+        const category = findCategoryByName(tokens.join(' '));
+        const deleted = category && await updateBudgets(config.BUDGETS_FILE_PATH, allBudgets => {
+            const budgets = allBudgets[userId] || [];
+            const remaining = budgets.filter(b => !(b.category === category && (!currency || b.currency === currency)));
+            allBudgets[userId] = remaining;
+            return remaining.length < budgets.length;
+        });
+        if (!deleted) {
+            await bot.sendMessage(chatId, "🤷 No encontré ese presupuesto. Usá /presupuesto para ver la lista.");
+            return;
+        }
+        await bot.sendMessage(chatId, `🗑️ Presupuesto de ${category} eliminado.`);
+        return;
+    }
+
+    const parsed = parseBudgetArgs(args, config.DEFAULT_CURRENCY);
+    if (!parsed) {
+        await bot.sendMessage(chatId, "😕 No entendí el presupuesto. Usá `/presupuesto <categoría> <monto> [moneda]`, por ejemplo: `/presupuesto 🍽️ Comida 300000 ARS`", { parse_mode: 'Markdown' });
+        return;
+    }
+
+    await updateBudgets(config.BUDGETS_FILE_PATH, allBudgets => {
+        const others = (allBudgets[userId] || []).filter(b => !(b.category === parsed.category && b.currency === parsed.currency));
+        allBudgets[userId] = [...others, { ...parsed, createdAt: new Date().toISOString() }];
+    });
+    await bot.sendMessage(chatId, `✅ Presupuesto mensual de *${parsed.category}*: ${formatMoney(parsed.amount, parsed.currency)}.`, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Revisa el presupuesto de la categoría de una transacción recién registrada y avisa al cruzar el 80% o el 100%.
+ * Cada umbral se avisa una sola vez por mes, contando el mes de la transacción (puede tener una fecha pasada).
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {number} chatId - El chat donde se registró la transacción.
+ * @param {number} telegramUserId - El dueño de la transacción.
+ * @param {object} transaction - La fila creada en Gasti.pro.
+ * @param {object} config - Configuración con BUDGETS_FILE_PATH, getAccessToken y `gasti`.
+ */
+async function checkBudgetAlerts(bot, chatId, telegramUserId, transaction, config) {
+    if (!transaction || parseFloat(transaction.amount) >= 0) return;
+
+    const allBudgets = await readBudgets(config.BUDGETS_FILE_PATH);
+    const currency = (transaction.currency || '').toUpperCase();
+    const budget = (allBudgets[telegramUserId] || []).find(b => b.category === transaction.category && b.currency === currency);
+    if (!budget) return;
+
+    const month = getArgentinaDateString(new Date(transaction.date)).slice(0, 7);
+    const spending = await getMonthSpending(config, month);
+    const spent = (spending[currency] || {})[budget.category] || 0;
+    const percentage = (spent / budget.amount) * 100;
+    const level = ALERT_THRESHOLDS.filter(threshold => percentage >= threshold).pop();
+    if (!level) return;
+
+    // Marcamos el aviso dentro de la escritura encadenada, así dos transacciones seguidas no lo repiten.
+    const shouldAlert = await updateBudgets(config.BUDGETS_FILE_PATH, allBudgets => {
+        const current = (allBudgets[telegramUserId] || []).find(b => b.category === budget.category && b.currency === currency);
+        if (!current) return false;
+        const levels = getAlertedLevels(current);
+        if (level <= (levels[month] || 0)) return false;
+        // Guardamos solo los últimos meses: los avisos viejos ya no se van a repetir.
+        const recent = Object.keys(levels).filter(key => key !== month).sort().slice(-(MAX_ALERTED_MONTHS - 1));
+        current.alerted = Object.fromEntries([...recent.map(key => [key, levels[key]]), [month, level]]);
+        return true;
+    });
+    if (!shouldAlert) return;
+
+    const period = month === getArgentinaDateString().slice(0, 7)
+        ? 'este mes'
+        : `en ${MONTHS[Number(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+    const detail = `${formatNumber(spent, currency)} de ${formatMoney(budget.amount, currency)}`;
+    const message = level >= 100
+        ? `🚨 Superaste el presupuesto de *${budget.category}* ${period}: ${detail} (${Math.round(percentage)}%).`
+        : `⚠️ Ya usaste el ${Math.round(percentage)}% del presupuesto de *${budget.category}* ${period}: ${detail}.`;
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+}
+
+module.exports = { handlePresupuestoCommand, checkBudgetAlerts };
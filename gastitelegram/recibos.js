@@ -0,0 +1,92 @@
+const { EXPENSE_CATEGORIES } = require('./categorias');
+const { presentDraft } = require('./borradores');
+const { parseArgentineNumber } = require('./analizadorLocal');
+const { downloadTelegramFile } = require('./archivos');
+const { getArgentinaDateString, argentinaDateToISO } = require('./fechas');
+
+/**
+ * Devuelve el file_id de la imagen de un mensaje (foto o documento de imagen), o null si no tiene.
+ * @param {object} msg - El mensaje de Telegram.
+ * @returns {object|null} - { fileId, mimeType } o null.
+ */
+function getImageFromMessage(msg) {
+    if (msg.photo && msg.photo.length > 0) {
+        // Telegram manda varias resoluciones; la última es la más grande.
+        return { fileId: msg.photo[msg.photo.length - 1].file_id, mimeType: 'image/jpeg' };
+    }
+    if (msg.document && msg.document.mime_type && msg.document.mime_type.startsWith('image/')) {
+        return { fileId: msg.document.file_id, mimeType: msg.document.mime_type };
+    }
+    return null;
+}
+
+/**
+ * Lee el total del comprobante. Si el proveedor lo devuelve como texto puede venir con formato
+ * argentino ("$ 12.345,67"), así que se interpreta igual que los montos escritos a mano.
+ * @param {number|string} total - El total según el proveedor de visión.
+ * @returns {number} - El monto, o NaN si no se puede leer.
+ */
+function parseReceiptTotal(total) {
+    if (typeof total === 'number') return total;
+    if (typeof total !== 'string') return NaN;
+    return parseArgentineNumber(total.replace(/[^\d.,-]/g, ''));
+}
+
+/**
+ * Convierte la respuesta del proveedor de visión en un borrador de gasto.
+ * @param {object} receipt - { total, merchant, date, currency, category }.
+ * @returns {object|null} - El borrador, o null si los datos no alcanzan.
+ */
+function receiptToDraft(receipt) {
+    const amount = Math.abs(parseReceiptTotal(receipt && receipt.total));
+    if (!isFinite(amount) || amount === 0) return null;
+
+    const draft = {
+        type: 'expense',
+        amount,
+        description: (receipt.merchant || 'Compra con ticket').trim(),
+        currency: (receipt.currency || 'ARS').toUpperCase(),
+        category: EXPENSE_CATEGORIES.includes(receipt.category) ? receipt.category : '📦 Otros'
+    };
+    // Una fecha futura en un ticket es casi siempre un error de lectura: en ese caso usamos hoy.
+    if (receipt.date && /^\d{4}-\d{2}-\d{2}$/.test(receipt.date) && receipt.date <= getArgentinaDateString()) {
+        draft.date = argentinaDateToISO(receipt.date);
+    }
+    return draft;
+}
+
+/**
+ * Maneja una foto o imagen de un ticket: la lee con el proveedor de visión y muestra el borrador para confirmar.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con la imagen.
+ * @param {object} visionProvider - El proveedor de visión (ver vision.js), o null si no hay uno configurado.
+ * @param {string} defaultCurrency - Moneda por defecto del bot, para el borrador.
+ */
+async function handleReceiptMessage(bot, msg, visionProvider, defaultCurrency) {
+    const chatId = msg.chat.id;
+    const image = getImageFromMessage(msg);
+
+    if (!visionProvider) {
+        await bot.sendMessage(chatId, "📷 Todavía no puedo leer tickets: no hay un proveedor de visión configurado.");
+        return;
+    }
+
+    const thinkingMessage = await bot.sendMessage(chatId, "🧾 Leyendo tu comprobante...");
+
+    const imageBuffer = await downloadTelegramFile(bot, image.fileId);
+    const receipt = await visionProvider.extractReceipt(imageBuffer, image.mimeType, msg.caption);
+    console.log(`[${chatId}] Comprobante leído con ${visionProvider.name}:`, receipt);
+
+    const draft = receiptToDraft(receipt);
+    if (!draft) {
+        await bot.editMessageText("😕 No pude encontrar el total en esa imagen. Probá con una foto más nítida o escribime el gasto.", {
+            chat_id: chatId, message_id: thinkingMessage.message_id
+        });
+        return;
+    }
+
+    await bot.editMessageText("✅ Comprobante leído.", { chat_id: chatId, message_id: thinkingMessage.message_id });
+    await presentDraft(bot, chatId, msg.from.id, [draft], defaultCurrency);
+}
+
+module.exports = { getImageFromMessage, handleReceiptMessage };
@@ -0,0 +1,364 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { findCategoryByName, INCOME_CATEGORIES, EXPENSE_CATEGORIES } = require('./categorias');
+const { parseArgentineNumber, parseTransactionLocally } = require('./analizadorLocal');
+const { removeRecordedTransaction } = require('./historial');
+const { escapeMarkdown } = require('./markdown');
+const { WEEKDAYS, getArgentinaDateString, argentinaDateToISO, addDays, getWeekday, formatArgentinaDate } = require('./fechas');
+
+/*
+ * Transacciones recurrentes (alquiler, suscripciones, gimnasio, expensas...).
+ *
+ * Cada regla guarda `lastRunDate`, la última fecha de vencimiento ya procesada. El scheduler recorre
+ * los días entre esa fecha y hoy (en Argentina), así que después de un reinicio se ponen al día las
+ * ejecuciones perdidas. `lastRunDate` se guarda ANTES de crear la transacción: si Gasti.pro está caído
+ * la transacción queda en la bandeja de salida, y si el proceso muere nunca se duplica.
+ */
+
+// Cada cuánto revisa el scheduler si hay recurrentes vencidas.
+const SCHEDULER_INTERVAL_MS = 10 * 60 * 1000;
+// Tope de días a recuperar después de un reinicio largo.
+const MAX_CATCH_UP_DAYS = 366;
+
+const USAGE = `🔁 *Transacciones recurrentes*
+
+• \`/recurrente\` — lista tus recurrentes
+• \`/recurrente agregar <descripción> | <monto> [moneda] | <regla> [| <categoría>]\`
+• \`/recurrente pausar <id>\` / \`/recurrente reanudar <id>\`
+• \`/recurrente borrar <id>\`
+
+La regla puede ser un día del mes (\`día 5\`) o un día de la semana (\`lunes\`).
+Ejemplos:
+\`/recurrente agregar Alquiler | 350000 ARS | día 5 | Vivienda\`
+\`/recurrente agregar Netflix | 8999 ARS | día 12\`
+\`/recurrente agregar Clase de tenis | 20000 ARS | jueves\``;
+
+async function readRecurring(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+async function writeRecurring(filePath, items) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(items, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// El scheduler y los comandos modifican el mismo archivo: encadenamos las escrituras.
+let pendingWrite = Promise.resolve();
+
+function updateRecurring(filePath, mutator) {
+    const result = pendingWrite.then(async () => {
+        const items = await readRecurring(filePath);
+        const outcome = await mutator(items);
+        await writeRecurring(filePath, items);
+        return outcome;
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+function normalize(text) {
+    return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function daysInMonth(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Interpreta la regla de repetición: "día 5", "5", "el 5", "lunes", "todos los lunes", "cada viernes".
+ * @param {string} text - La regla escrita por el usuario.
+ * @returns {object|null} - { kind: 'monthly', day } o { kind: 'weekly', weekday }, o null.
+ */
+function parseRule(text) {
+    const rule = normalize(text);
+    const monthly = rule.match(/^(?:todos los |cada )?(?:el )?(?:dia )?(\d{1,2})(?: de cada mes)?$/);
+    if (monthly) {
+        const day = Number(monthly[1]);
+        return day >= 1 && day <= 31 ? { kind: 'monthly', day } : null;
+    }
+    const weekly = rule.match(/^(?:todos los |cada |los )?(domingo|lunes|martes|miercoles|jueves|viernes|sabado)s?$/);
+    if (weekly) {
+        return { kind: 'weekly', weekday: WEEKDAYS.indexOf(weekly[1]) };
+    }
+    return null;
+}
+
+function describeRule(rule) {
+    return rule.kind === 'monthly'
+        ? `todos los meses, el día ${rule.day}`
+        : `todos los ${WEEKDAYS[rule.weekday]}`;
+}
+
+/**
+ * Indica si una regla vence en una fecha. Los días que no existen en el mes (ej. 31 en abril)
+ * se corren al último día del mes.
+ * @param {object} rule - La regla de repetición.
+ * @param {string} dateString - 'YYYY-MM-DD'.
+ * @returns {boolean}
+ */
+function isDueOn(rule, dateString) {
+    if (rule.kind === 'weekly') return getWeekday(dateString) === rule.weekday;
+    const day = Number(dateString.slice(8, 10));
+    return day === Math.min(rule.day, daysInMonth(dateString));
+}
+
+function nextDueDate(rule, fromDate) {
+    for (let i = 0; i <= 31; i++) {
+        const date = addDays(fromDate, i);
+        if (isDueOn(rule, date)) return date;
+    }
+    return null;
+}
+
+function formatAmount(amount) {
+    return Math.abs(amount).toLocaleString('es-AR', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Describe una recurrente en una línea. Con markdown, escapa la descripción y la categoría.
+ */
+function formatRecurringLine(item, markdown = false) {
+    const icon = item.type === 'income' ? '🔼' : '🔻';
+    const escape = markdown ? escapeMarkdown : text => text;
+    return `${icon} ${escape(item.description)}: ${formatAmount(item.amount)} ${item.currency} (${escape(item.category)})`;
+}
+
+/**
+ * Arma una recurrente a partir de "<descripción> | <monto> [moneda] | <regla> [| <categoría>]".
+ * Si no se indica categoría, se adivina con el parser local.
+ * @param {string} args - El texto después de "agregar".
+ * @param {string} defaultCurrency - Moneda si no se indica ninguna.
+ * @returns {object} - { item } o { error } con el motivo para el usuario.
+ */
+function parseRecurringArgs(args, defaultCurrency) {
+    const parts = args.split('|').map(part => part.trim());
+    if (parts.length < 3 || !parts[0]) return { error: "Faltan datos." };
+
+    const [description, amountText, ruleText, categoryText] = parts;
+    const [rawAmount, rawCurrency] = amountText.split(/\s+/);
+    const amount = parseArgentineNumber(rawAmount || '');
+    if (!isFinite(amount) || amount <= 0) return { error: `No entendí el monto "${amountText}".` };
+    const currency = rawCurrency && /^[a-z]{3}$/i.test(rawCurrency) ? rawCurrency.toUpperCase() : defaultCurrency;
+
+    const rule = parseRule(ruleText);
+    if (!rule) return { error: `No entendí la regla "${ruleText}". Usá "día 5" o un día de la semana.` };
+
+    let type, category;
+    if (categoryText) {
+        category = findCategoryByName(categoryText, 'expense');
+        type = 'expense';
+        if (!category) {
+            category = findCategoryByName(categoryText, 'income');
+            type = 'income';
+        }
+        if (!category) return { error: `No conozco la categoría "${categoryText}".` };
+    } else {
+        const [guess] = parseTransactionLocally(`${description} ${amount}`, currency).transactions;
+        type = guess ? guess.type : 'expense';
+        category = guess && guess.category ? guess.category : '📦 Otros';
+        if (!(type === 'income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES).includes(category)) category = '📦 Otros';
+    }
+
+    return { item: { description, amount, currency, category, type, rule } };
+}
+
+/**
+ * Maneja el comando /recurrente y sus subcomandos (agregar, pausar, reanudar, borrar).
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con RECURRING_FILE_PATH y DEFAULT_CURRENCY.
+ */
+async function handleRecurrenteCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const args = msg.text.replace(/^\/recurrentes?(@\w+)?/, '').trim();
+    const [subcommand = 'lista', ...rest] = args ? args.split(/\s+/) : [];
+    const restText = args.slice(subcommand.length).trim();
+
+    switch (normalize(subcommand)) {
+        case 'lista':
+        case 'listar': {
+            const items = (await readRecurring(config.RECURRING_FILE_PATH)).filter(item => item.telegramUserId === userId);
+            if (items.length === 0) {
+                await bot.sendMessage(chatId, `No tenés transacciones recurrentes.\n\n${USAGE}`, { parse_mode: 'Markdown' });
+                return;
+            }
+            const today = getArgentinaDateString();
+            let message = "🔁 *Tus transacciones recurrentes*\n\n";
+            items.forEach(item => {
+                const afterLastRun = addDays(item.lastRunDate, 1);
+                const next = nextDueDate(item.rule, afterLastRun > today ? afterLastRun : today);
+                message += `\`${item.id}\` ${item.paused ? '⏸️ ' : ''}${formatRecurringLine(item, true)}\n`;
+                message += `   └ ${describeRule(item.rule)}${item.paused ? ' · pausada' : ` · próxima: ${formatArgentinaDate(next)}`}\n\n`;
+            });
+            await bot.sendMessage(chatId, message.trim(), { parse_mode: 'Markdown' });
+            return;
+        }
+        case 'agregar':
+        case 'nueva':
+        case 'nuevo': {
+            const { item, error } = parseRecurringArgs(restText, config.DEFAULT_CURRENCY);
+            if (error) {
+                await bot.sendMessage(chatId, `😕 ${error}\n\n${USAGE}`, { parse_mode: 'Markdown' });
+                return;
+            }
+            const created = {
+                id: crypto.randomBytes(3).toString('hex'),
+                telegramUserId: userId,
+                chatId,
+                ...item,
+                paused: false,
+                // Si vence hoy, se registra en la próxima pasada del scheduler.
+                lastRunDate: addDays(getArgentinaDateString(), -1),
+                createdAt: new Date().toISOString()
+            };
+            await updateRecurring(config.RECURRING_FILE_PATH, items => { items.push(created); });
+            await bot.sendMessage(chatId, `✅ Recurrente \`${created.id}\` creada:\n${formatRecurringLine(created, true)}\n${describeRule(created.rule)}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        case 'pausar':
+        case 'reanudar':
+        case 'borrar':
+        case 'eliminar': {
+            const [id] = rest;
+            const action = normalize(subcommand);
+            const found = await updateRecurring(config.RECURRING_FILE_PATH, items => {
+                const index = items.findIndex(item => item.id === id && item.telegramUserId === userId);
+                if (index === -1) return null;
+                const item = items[index];
+                if (action === 'borrar' || action === 'eliminar') {
+                    items.splice(index, 1);
+                } else if (action === 'pausar') {
+                    item.paused = true;
+                } else {
+                    item.paused = false;
+                    // Al reanudar no se recuperan los vencimientos del período en pausa.
+                    item.lastRunDate = addDays(getArgentinaDateString(), -1);
+                }
+                return item;
+            });
+            if (!found) {
+                await bot.sendMessage(chatId, "🤷 No encontré esa recurrente. Usá /recurrente para ver los IDs.");
+                return;
+            }
+            const verb = action === 'pausar' ? '⏸️ Pausada' : action === 'reanudar' ? '▶️ Reanudada' : '🗑️ Eliminada';
+            await bot.sendMessage(chatId, `${verb}: ${formatRecurringLine(found)}`);
+            return;
+        }
+        default:
+            await bot.sendMessage(chatId, USAGE, { parse_mode: 'Markdown' });
+    }
+}
+
+/**
+ * Registra las recurrentes vencidas desde la última ejecución (incluidas las perdidas por un reinicio).
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} config - { RECURRING_FILE_PATH, registerTransaction(telegramUserId, chatId, transaction) }.
+ */
+async function runDueRecurring(bot, config) {
+    const today = getArgentinaDateString();
+
+    // Reservamos los vencimientos y avanzamos lastRunDate en un solo paso, antes de crear nada.
+    const dueRuns = await updateRecurring(config.RECURRING_FILE_PATH, items => {
+        const runs = [];
+        items.filter(item => !item.paused && item.lastRunDate < today).forEach(item => {
+            const earliest = addDays(today, -MAX_CATCH_UP_DAYS);
+            let date = addDays(item.lastRunDate > earliest ? item.lastRunDate : earliest, 1);
+            for (; date <= today; date = addDays(date, 1)) {
+                if (isDueOn(item.rule, date)) runs.push({ item: { ...item }, date });
+            }
+            item.lastRunDate = today;
+        });
+        return runs;
+    });
+
+    for (const { item, date } of dueRuns) {
+        const transaction = {
+            description: item.description,
+            amount: item.amount,
+            currency: item.currency,
+            category: item.category,
+            type: item.type,
+            date: argentinaDateToISO(date)
+        };
+        try {
+            const created = await config.registerTransaction(item.telegramUserId, item.chatId, transaction);
+            const period = item.rule.kind === 'monthly' ? 'este mes' : 'esta semana';
+            const options = { parse_mode: 'Markdown' };
+            if (created && created.id !== undefined) {
+                options.reply_markup = {
+                    inline_keyboard: [[{ text: `⏭️ Omitir ${period}`, callback_data: `rec:skip:${item.id}:${created.id}` }]]
+                };
+            }
+            const status = created ? 'Registré' : 'Gasti.pro no responde; dejé en cola';
+            await bot.sendMessage(item.chatId, `🔁 ${status} la recurrente del ${formatArgentinaDate(date)}:\n${formatRecurringLine(item, true)}`, options);
+        } catch (error) {
+            console.error(`[${item.chatId}] No se pudo registrar la recurrente ${item.id}:`, error.message);
+            await bot.sendMessage(item.chatId, `❌ No pude registrar la recurrente del ${formatArgentinaDate(date)}: ${formatRecurringLine(item)}. Cargala a mano si corresponde.`).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Arranca el scheduler de recurrentes: una pasada inmediata (para ponerse al día) y luego periódicas.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} config - { RECURRING_FILE_PATH, registerTransaction }.
+ */
+function startRecurringScheduler(bot, config) {
+    const run = () => runDueRecurring(bot, config).catch(error => console.error("Error en el scheduler de recurrentes:", error));
+    setInterval(run, SCHEDULER_INTERVAL_MS);
+    run();
+}
+
+/**
+ * Maneja el botón "Omitir este mes" (callback_data "rec:skip:<id recurrente>:<id transacción>"):
+ * borra de Gasti.pro la transacción recién creada por la recurrente.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} query - El callback_query de Telegram.
+ * @param {object} config - Configuración con RECURRING_FILE_PATH, HISTORY_FILE_PATH, getAccessToken y `gasti`.
+ */
+async function handleRecurringCallback(bot, query, config) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
+    const [, action, recurringId, transactionId] = query.data.split(':');
+
+    if (action !== 'skip') {
+        await bot.answerCallbackQuery(query.id);
+        return;
+    }
+
+    // Sin la recurrente no sabemos de quién es la transacción: no dejamos que cualquiera del chat la borre.
+    const item = (await readRecurring(config.RECURRING_FILE_PATH)).find(i => i.id === recurringId);
+    if (!item) {
+        await bot.answerCallbackQuery(query.id, { text: 'Esa recurrente ya no existe. Para borrar la transacción usá /deshacer o /editar.' });
+        return;
+    }
+    if (item.telegramUserId !== query.from.id) {
+        await bot.answerCallbackQuery(query.id, { text: 'Solo quien creó la recurrente puede omitirla.' });
+        return;
+    }
+
+    try {
+        const accessToken = await config.getAccessToken();
+        await config.gasti.deleteTransaction(accessToken, transactionId);
+    } catch (error) {
+        console.error(`[${chatId}] No se pudo omitir la recurrente ${recurringId}:`, error.message);
+        await bot.answerCallbackQuery(query.id, { text: 'No pude borrar la transacción de Gasti.pro. Probá de nuevo en un rato.' });
+        return;
+    }
+    await removeRecordedTransaction(config.HISTORY_FILE_PATH, chatId, transactionId);
+
+    await bot.answerCallbackQuery(query.id, { text: 'Omitida' });
+    await bot.editMessageText(`⏭️ Omitida esta vez: ${formatRecurringLine(item)}`, { chat_id: chatId, message_id: messageId });
+}
+
+module.exports = { handleRecurrenteCommand, handleRecurringCallback, startRecurringScheduler };
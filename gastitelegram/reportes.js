@@ -0,0 +1,261 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { analizarTransacciones, analyzeDataWithAI, getTransactionsForPeriod } = require('./resumen');
+const {
+    MONTHS,
+    getArgentinaDateString,
+    getArgentinaTimeString,
+    argentinaDayStartISO,
+    argentinaDayEndISO,
+    addDays,
+    getWeekday,
+    formatArgentinaDate
+} = require('./fechas');
+
+/*
+ * Reportes automáticos por chat: resumen diario, semanal (lunes a la mañana) y mensual (el día 1).
+ * Todo se calcula en la hora de Argentina. Cada suscripción guarda la última ocurrencia enviada,
+ * así que después de un reinicio se manda solo el reporte pendiente más reciente, una única vez.
+ */
+
+// Cada cuánto revisa el scheduler si hay reportes por enviar.
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+const FREQUENCIES = {
+    diario: { label: 'Resumen diario', defaultHour: '21:00', description: 'todos los días' },
+    semanal: { label: 'Resumen semanal', defaultHour: '09:00', description: 'los lunes' },
+    mensual: { label: 'Cierre del mes', defaultHour: '09:00', description: 'el día 1 de cada mes' }
+};
+
+const USAGE = `📬 *Reportes automáticos*
+
+• \`/suscribir diario [hora]\` — lo gastado en el día (por defecto 21:00)
+• \`/suscribir semanal [hora]\` — la semana anterior, los lunes (por defecto 09:00)
+• \`/suscribir mensual [hora]\` — el mes anterior, el día 1 (por defecto 09:00)
+• \`/desuscribir diario|semanal|mensual|todo\`
+
+La hora es de Argentina, por ejemplo \`/suscribir diario 22:30\`.`;
+
+async function readSubscriptions(filePath) {
+    try {
+        const data = await fs.readFile(filePath, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return [];
+    }
+}
+
+async function writeSubscriptions(filePath, subscriptions) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(subscriptions, null, 2), 'utf-8');
+    await fs.rename(tempPath, filePath);
+}
+
+// El scheduler y los comandos modifican el mismo archivo: encadenamos las escrituras.
+let pendingWrite = Promise.resolve();
+
+function updateSubscriptions(filePath, mutator) {
+    const result = pendingWrite.then(async () => {
+        const subscriptions = await readSubscriptions(filePath);
+        const outcome = await mutator(subscriptions);
+        await writeSubscriptions(filePath, subscriptions);
+        return outcome;
+    });
+    pendingWrite = result.catch(() => {});
+    return result;
+}
+
+function parseHour(text) {
+    const match = (text || '').match(/^(\d{1,2})(?::(\d{2}))?(?:\s*(?:h|hs))?$/i);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2] || 0);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Devuelve la fecha de la ocurrencia más reciente que ya debería haberse enviado.
+ * @param {string} frequency - 'diario', 'semanal' o 'mensual'.
+ * @param {string} hour - 'HH:MM'.
+ * @param {string} today - 'YYYY-MM-DD' en Argentina.
+ * @param {string} now - 'HH:MM' en Argentina.
+ * @returns {string} - 'YYYY-MM-DD'.
+ */
+function getLatestOccurrence(frequency, hour, today, now) {
+    const isScheduledDay = (date) => {
+        if (frequency === 'semanal') return getWeekday(date) === 1;
+        if (frequency === 'mensual') return date.endsWith('-01');
+        return true;
+    };
+    let date = now >= hour ? today : addDays(today, -1);
+    while (!isScheduledDay(date)) date = addDays(date, -1);
+    return date;
+}
+
+/**
+ * Calcula el período que cubre un reporte enviado en una fecha.
+ * @param {string} frequency - 'diario', 'semanal' o 'mensual'.
+ * @param {string} occurrence - La fecha de envío 'YYYY-MM-DD'.
+ * @returns {object} - { from, to, title } con fechas 'YYYY-MM-DD'.
+ */
+function getReportPeriod(frequency, occurrence) {
+    if (frequency === 'semanal') {
+        const from = addDays(occurrence, -7);
+        const to = addDays(occurrence, -1);
+        return { from, to, title: `del ${formatArgentinaDate(from)} al ${formatArgentinaDate(to)}` };
+    }
+    if (frequency === 'mensual') {
+        const to = addDays(occurrence, -1);
+        const from = `${to.slice(0, 7)}-01`;
+        return { from, to, title: `de ${MONTHS[Number(to.slice(5, 7)) - 1]} ${to.slice(0, 4)}` };
+    }
+    return { from: occurrence, to: occurrence, title: `del ${formatArgentinaDate(occurrence)}` };
+}
+
+/**
+ * Arma y envía un reporte para el período indicado.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} subscription - La suscripción ({ chatId, frequency }).
+ * @param {object} period - { from, to, title }.
+ * @param {object} config - Configuración del usuario con getAccessToken, `gasti`, `llm` y `exchangeRates`.
+ */
+async function sendReport(bot, subscription, period, config) {
+    const accessToken = await config.getAccessToken();
+    const transactions = await getTransactionsForPeriod(config.gasti, accessToken, argentinaDayStartISO(period.from), argentinaDayEndISO(period.to));
+    const header = `📬 *${FREQUENCIES[subscription.frequency].label} ${period.title}*\n\n`;
+
+    if (transactions.length === 0) {
+        await bot.sendMessage(subscription.chatId, `${header}No hubo movimientos en este período. 🙌`, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    const consolidated = await config.exchangeRates.consolidate(transactions, subscription.telegramUserId);
+    const dataSummary = analizarTransacciones(transactions, consolidated);
+    let report;
+    try {
+        report = await analyzeDataWithAI(dataSummary, config.llm);
+    } catch (error) {
+        // Sin IA mandamos igual los números, que es lo importante.
+        console.error(`[${subscription.chatId}] No se pudo generar el análisis del reporte:`, error.message);
+        report = dataSummary;
+    }
+
+    await bot.sendMessage(subscription.chatId, header + report, { parse_mode: 'Markdown' }).catch(() =>
+        // El texto de la IA puede traer Markdown inválido; en ese caso lo mandamos plano.
+        bot.sendMessage(subscription.chatId, `${FREQUENCIES[subscription.frequency].label} ${period.title}\n\n${report}`)
+    );
+}
+
+/**
+ * Maneja /suscribir y /desuscribir.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El objeto del mensaje de Telegram.
+ * @param {object} config - Configuración con REPORTS_FILE_PATH.
+ */
+async function handleSuscribirCommand(bot, msg, config) {
+    const chatId = msg.chat.id;
+    const [command, rawFrequency, rawHour] = msg.text.trim().split(/\s+/);
+    const frequency = (rawFrequency || '').toLowerCase();
+    const unsubscribe = command.startsWith('/desuscribir');
+
+    if (!rawFrequency) {
+        const subscriptions = (await readSubscriptions(config.REPORTS_FILE_PATH)).filter(s => s.chatId === chatId);
+        let message = USAGE;
+        if (subscriptions.length > 0) {
+            message += "\n\n*Suscripciones de este chat:*\n";
+            subscriptions.forEach(s => { message += `• ${FREQUENCIES[s.frequency].label}: ${FREQUENCIES[s.frequency].description} a las ${s.hour}\n`; });
+        }
+        await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+        return;
+    }
+
+    if (unsubscribe) {
+        if (frequency !== 'todo' && !FREQUENCIES[frequency]) {
+            await bot.sendMessage(chatId, USAGE, { parse_mode: 'Markdown' });
+            return;
+        }
+        const removed = await updateSubscriptions(config.REPORTS_FILE_PATH, subscriptions => {
+            const before = subscriptions.length;
+            const kept = subscriptions.filter(s => !(s.chatId === chatId && (frequency === 'todo' || s.frequency === frequency)));
+            subscriptions.splice(0, subscriptions.length, ...kept);
+            return before - kept.length;
+        });
+        await bot.sendMessage(chatId, removed > 0 ? "🔕 Listo, no te voy a mandar más esos reportes." : "No había ninguna suscripción así en este chat.");
+        return;
+    }
+
+    if (!FREQUENCIES[frequency]) {
+        await bot.sendMessage(chatId, USAGE, { parse_mode: 'Markdown' });
+        return;
+    }
+    const hour = rawHour ? parseHour(rawHour) : FREQUENCIES[frequency].defaultHour;
+    if (!hour) {
+        await bot.sendMessage(chatId, "😕 No entendí la hora. Usá el formato HH:MM, por ejemplo 21:00.");
+        return;
+    }
+
+    const today = getArgentinaDateString();
+    const subscription = {
+        chatId,
+        telegramUserId: msg.from.id,
+        frequency,
+        hour,
+        // Arrancamos desde la ocurrencia actual para no mandar de entrada un reporte viejo.
+        lastSentOccurrence: getLatestOccurrence(frequency, hour, today, getArgentinaTimeString()),
+        createdAt: new Date().toISOString()
+    };
+    await updateSubscriptions(config.REPORTS_FILE_PATH, subscriptions => {
+        const index = subscriptions.findIndex(s => s.chatId === chatId && s.frequency === frequency);
+        if (index === -1) subscriptions.push(subscription);
+        else subscriptions[index] = subscription;
+    });
+    await bot.sendMessage(chatId, `✅ Te voy a mandar el *${FREQUENCIES[frequency].label.toLowerCase()}* ${FREQUENCIES[frequency].description} a las ${hour} (hora de Argentina).`, { parse_mode: 'Markdown' });
+}
+
+/**
+ * Envía los reportes cuya ocurrencia más reciente todavía no se mandó.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} config - { REPORTS_FILE_PATH, buildUserConfig(telegramUserId) }.
+ */
+async function runDueReports(bot, config) {
+    const today = getArgentinaDateString();
+    const now = getArgentinaTimeString();
+
+    // Marcamos como enviados antes de mandarlos, para que un reinicio a mitad no los repita.
+    const due = await updateSubscriptions(config.REPORTS_FILE_PATH, subscriptions => {
+        const pending = [];
+        subscriptions.forEach(subscription => {
+            const occurrence = getLatestOccurrence(subscription.frequency, subscription.hour, today, now);
+            if (occurrence > subscription.lastSentOccurrence) {
+                subscription.lastSentOccurrence = occurrence;
+                pending.push({ subscription: { ...subscription }, occurrence });
+            }
+        });
+        return pending;
+    });
+
+    for (const { subscription, occurrence } of due) {
+        const period = getReportPeriod(subscription.frequency, occurrence);
+        try {
+            await sendReport(bot, subscription, period, config.buildUserConfig(subscription.telegramUserId));
+            console.log(`[${subscription.chatId}] Reporte ${subscription.frequency} ${period.from}..${period.to} enviado.`);
+        } catch (error) {
+            console.error(`[${subscription.chatId}] No se pudo enviar el reporte ${subscription.frequency}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Arranca el scheduler de reportes: una pasada inmediata (por si se perdió alguno durante un reinicio) y luego periódicas.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} config - { REPORTS_FILE_PATH, buildUserConfig(telegramUserId) }.
+ */
+function startReportScheduler(bot, config) {
+    const run = () => runDueReports(bot, config).catch(error => console.error("Error en el scheduler de reportes:", error));
+    setInterval(run, SCHEDULER_INTERVAL_MS);
+    run();
+}
+
+module.exports = { handleSuscribirCommand, startReportScheduler };
@@ -1,11 +1,12 @@
-const fetch = require('node-fetch');
+const { RATE_TYPES } = require('./cotizaciones');
+const { formatNumber, groupByCurrency } = require('./monedas');
 
 const SYSTEM_PROMPT_RESUMEN = `
 Eres un analista financiero y asesor personal. Tu tarea es tomar un resumen de datos financieros y convertirlo en un informe narrativo, amigable y fácil de entender.
 
 **Instrucciones:**
-1.  **Visión General:** Comienza con un párrafo corto que resuma la salud financiera general del usuario basándote en los balances netos. Sé alentador pero honesto.
-2.  **Análisis de Gastos:** Comenta sobre los gastos totales en cada moneda. Luego, analiza las "Top 5 Categorías" de gasto. Señala dónde se está yendo la mayor parte del dinero y si alguna categoría parece particularmente alta.
+1.  **Visión General:** Comienza con un párrafo corto que resuma la salud financiera general del usuario basándote en los balances netos. Si hay "Totales consolidados", úsalos para dar la foto completa en una sola moneda. Sé alentador pero honesto.
+2.  **Análisis de Gastos:** Comenta sobre los gastos totales en cada moneda que aparezca (puede haber más de dos, por ejemplo de viajes). Luego, analiza las "Top 5 Categorías" de gasto. Señala dónde se está yendo la mayor parte del dinero y si alguna categoría parece particularmente alta.
 3.  **Análisis de Ingresos:** Si hay datos de ingresos, coméntalos. Menciona las fuentes de ingresos y cómo se comparan con los gastos.
 4.  **Consejos Prácticos y Oportunidades de Ahorro:** Esta es la parte más importante. Basándote en las categorías de gasto principales, ofrece de 2 a 4 consejos específicos, prácticos y accionables para que el usuario pueda reducir gastos. Por ejemplo, si "🍽️ Comida" es alto, sugiere planificar comidas o cocinar más en casa. Si "📱 Subscripciones" es alto, sugiere revisar los servicios que realmente usa.
 5.  **Balance Final:** Termina con una nota positiva, resumiendo el balance neto y animando al usuario a seguir llevando un control de sus finanzas.
@@ -18,103 +19,101 @@ Eres un analista financiero y asesor personal. Tu tarea es tomar un resumen de d
 **IMPORTANTE:** No inventes datos. Basa tu análisis estrictamente en el resumen de texto que te proporciono. No incluyas ninguna introducción o despedida, solo el informe.
 `;
 
+/**
+ * Suma los montos de una lista de gastos agrupados por categoría.
+ * @param {Array<object>} listaGastos - Los gastos (los montos pueden venir negativos).
+ * @returns {object} - { categoria: total }.
+ */
+function sumarGastosPorCategoria(listaGastos) {
+    const categorias = {};
+    listaGastos.forEach(gasto => {
+        const categoria = gasto.category || "Sin Categoría";
+        const monto = Math.abs(parseFloat(gasto.amount)) || 0;
+        categorias[categoria] = (categorias[categoria] || 0) + monto;
+    });
+    return categorias;
+}
+
 /**
  * Procesa las transacciones para generar un resumen numérico y estadístico.
  * @param {Array<object>} transacciones - El array de transacciones desde la API.
+ * @param {object} [consolidado] - Totales en la moneda de referencia (ver `consolidate` en cotizaciones.js).
  * @returns {string} - Un string formateado con el resumen de datos.
  */
-function analizarTransacciones(transacciones) {
+function analizarTransacciones(transacciones, consolidado) {
     if (!transacciones || transacciones.length === 0) {
         return "No se encontraron transacciones para analizar.";
     }
 
     const gastos = transacciones.filter(t => t.type === 'expense');
     const ingresos = transacciones.filter(t => t.type === 'income');
+    const monedas = groupByCurrency(transacciones);
+    const formatear = (monto, moneda) => formatNumber(monto, moneda, 'en-US');
 
-    let totalGastosUSD = 0, totalGastosARS = 0;
-    let gastosUSD = [], gastosARS = [];
-    gastos.forEach(gasto => {
-        const monto = Math.abs(parseFloat(gasto.amount)) || 0;
-        if (gasto.currency === 'USD') {
-            totalGastosUSD += monto;
-            gastosUSD.push(gasto);
-        } else if (gasto.currency === 'ARS') {
-            totalGastosARS += monto;
-            gastosARS.push(gasto);
-        } 
+    let resumen = `=== RESUMEN FINANCIERO ===\n`;
+    monedas.forEach(([moneda, transaccionesMoneda]) => {
+        const totalGastos = transaccionesMoneda.filter(t => t.type === 'expense').reduce((total, t) => total + (Math.abs(parseFloat(t.amount)) || 0), 0);
+        const totalIngresos = transaccionesMoneda.filter(t => t.type === 'income').reduce((total, t) => total + (parseFloat(t.amount) || 0), 0);
+        resumen += `Total gastado en ${moneda}: ${formatear(totalGastos, moneda)}\n`;
+        resumen += `Total ingresos en ${moneda}: ${formatear(totalIngresos, moneda)}\n`;
+        resumen += `Balance neto en ${moneda}: ${formatear(totalIngresos - totalGastos, moneda)}\n\n`;
     });
 
-    let totalIngresosUSD = 0, totalIngresosARS = 0;
-    let ingresosUSD = [], ingresosARS = [];
-    ingresos.forEach(ingreso => {
-        const monto = parseFloat(ingreso.amount) || 0;
-        if (ingreso.currency === 'USD') {
-            totalIngresosUSD += monto;
-            ingresosUSD.push(ingreso);
-        } else if (ingreso.currency === 'ARS') {
-            totalIngresosARS += monto;
-            ingresosARS.push(ingreso);
+    if (consolidado && consolidado.mixed) {
+        resumen += `=== TOTALES CONSOLIDADOS EN ${consolidado.currency} (cotización ${RATE_TYPES[consolidado.type] || consolidado.type} a la fecha de cada transacción) ===\n`;
+        resumen += `Total gastado: ${formatear(consolidado.expenses, consolidado.currency)}\n`;
+        resumen += `Total ingresos: ${formatear(consolidado.income, consolidado.currency)}\n`;
+        resumen += `Balance neto: ${formatear(consolidado.balance, consolidado.currency)}\n`;
+        if (consolidado.missing.length > 0) {
+            resumen += `(No incluye ${consolidado.missing.join(', ')}: no hay cotización cargada)\n`;
         }
-    });
-
-    const balanceNetoUSD = totalIngresosUSD - totalGastosUSD;
-    const balanceNetoARS = totalIngresosARS - totalGastosARS;
-
-    let resumen = `=== RESUMEN FINANCIERO ===\n`;
-    resumen += `Total gastado en USD: ${totalGastosUSD.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n`;
-    resumen += `Total ingresos en USD: ${totalIngresosUSD.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n`;
-    resumen += `Balance neto en USD: ${balanceNetoUSD.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n\n`;
-    resumen += `Total gastado en ARS: ${totalGastosARS.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n`;
-    resumen += `Total ingresos en ARS: ${totalIngresosARS.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n`;
-    resumen += `Balance neto en ARS: ${balanceNetoARS.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n\n`;
+        resumen += `\n`;
+    }
 
     resumen += `=== ESTADÍSTICAS ADICIONALES ===\n`;
     resumen += `Número total de transacciones: ${transacciones.length}\n`;
     resumen += `Transacciones de gasto: ${gastos.length}\n`;
-    resumen += `Transacciones de ingreso: ${ingresos.length}\n\n`;
-
-    const getTopCategorias = (listaGastos) => {
-        const categorias = {};
-        listaGastos.forEach(gasto => {
-            const categoria = gasto.category || "Sin Categoría";
-            const monto = Math.abs(parseFloat(gasto.amount)) || 0;
-            categorias[categoria] = (categorias[categoria] || 0) + monto;
-        });
-        return Object.entries(categorias).sort((a, b) => b[1] - a[1]).slice(0, 5);
-    };
-
-    const topCategoriasUSD = getTopCategorias(gastosUSD);
-    if (topCategoriasUSD.length > 0) {
-        resumen += `=== TOP 5 CATEGORÍAS DE GASTO EN USD ===\n`;
-        topCategoriasUSD.forEach(([categoria, monto]) => {
-            resumen += `${categoria}: ${monto.toFixed(2)}\n`;
-        });
-    }
+    resumen += `Transacciones de ingreso: ${ingresos.length}\n`;
 
-    const topCategoriasARS = getTopCategorias(gastosARS);
-    if (topCategoriasARS.length > 0) {
-        resumen += `\n=== TOP 5 CATEGORÍAS DE GASTO EN ARS ===\n`;
-        topCategoriasARS.forEach(([categoria, monto]) => {
-            resumen += `${categoria}: ${monto.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}\n`;
+    groupByCurrency(gastos).forEach(([moneda, gastosMoneda]) => {
+        const topCategorias = Object.entries(sumarGastosPorCategoria(gastosMoneda)).sort((a, b) => b[1] - a[1]).slice(0, 5);
+        resumen += `\n=== TOP 5 CATEGORÍAS DE GASTO EN ${moneda} ===\n`;
+        topCategorias.forEach(([categoria, monto]) => {
+            resumen += `${categoria}: ${formatear(monto, moneda)}\n`;
         });
-    }
+    });
     
     return resumen;
 }
 
 
 /**
- * Obtiene todas las transacciones de un usuario desde la API de Gasti.pro.
+ * Obtiene las transacciones de un período desde la API de Gasti.pro, con `type` y `amount` normalizados.
+ * @param {object} gasti - El cliente de Gasti.pro (ver apiGasti.js).
  * @param {string} accessToken - El token de acceso de Supabase.
- * @param {string} apiUrl - La URL base de la API de Gasti.
- * @param {string} apiKey - La API key de Supabase.
+ * @param {string} dateFrom - Inicio del período (ISO).
+ * @param {string} dateTo - Fin del período (ISO).
  * @returns {Array<object>} - Un array de objetos de transacción.
- * @throws {Error} Si la petición a la API falla.
+ * @throws {GastiApiError} Si la petición a la API falla.
  */
-async function getAllTransactions(accessToken, apiUrl, apiKey) {
-    const rpcUrl = `${apiUrl}/rest/v1/rpc/get_user_transactions_by_period`;
-    console.log(`Obteniendo todas las transacciones desde: ${rpcUrl}`);
+async function getTransactionsForPeriod(gasti, accessToken, dateFrom, dateTo) {
+    const data = await gasti.getTransactionsByPeriod(accessToken, dateFrom, dateTo);
+    // Aseguramos que 'type' y 'amount' existan y sean correctos
+    return (data.transactions || []).map(tx => ({
+        ...tx,
+        type: tx.amount < 0 ? 'expense' : 'income',
+        amount: parseFloat(tx.amount) || 0
+    }));
+}
 
+/**
+ * Obtiene todas las transacciones de un usuario desde la API de Gasti.pro.
+ * @param {object} gasti - El cliente de Gasti.pro (ver apiGasti.js).
+ * @param {string} accessToken - El token de acceso de Supabase.
+ * @returns {Array<object>} - Un array de objetos de transacción.
+ * @throws {GastiApiError} Si la petición a la API falla.
+ */
+async function getAllTransactions(gasti, accessToken) {
     const today = new Date();
     const year = today.getFullYear();
     const month = String(today.getMonth() + 1).padStart(2, '0');
@@ -126,112 +125,54 @@ async function getAllTransactions(accessToken, apiUrl, apiKey) {
     const dateTo = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
     const dateFrom = `2020-01-01T00:00:00Z`; 
 
-    const requestBody = {
-        date_from: dateFrom,
-        date_to: dateTo
-    };
-
-    const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-            'apikey': apiKey,
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        const detailedError = `Error al llamar a la RPC para obtener todas las transacciones. Status: ${response.status}. Body: ${errorBody}`;
-        console.error(detailedError);
-        throw new Error(detailedError);
-    }
-
-    const data = await response.json();
-    // Aseguramos que 'type' y 'amount' existan y sean correctos
-    return (data.transactions || []).map(tx => ({
-        ...tx,
-        type: tx.amount < 0 ? 'expense' : 'income',
-        amount: parseFloat(tx.amount) || 0
-    }));
+    return getTransactionsForPeriod(gasti, accessToken, dateFrom, dateTo);
 }
 
 /**
- * Envía el resumen de datos a DeepSeek AI para que genere un informe narrativo.
+ * Envía el resumen de datos al LLM para que genere un informe narrativo.
  * @param {string} dataSummary - El resumen de datos generado por `analizarTransacciones`.
- * @param {string} deepseekApiKey - La API Key de DeepSeek.
+ * @param {object} llm - El cliente de LLM (ver llm.js).
  * @returns {string} - El informe narrativo generado por la IA.
- * @throws {Error} Si la llamada a la API de DeepSeek falla.
+ * @throws {Error} Si la llamada al LLM falla.
  */
-async function analyzeDataWithAI(dataSummary, deepseekApiKey) {
+async function analyzeDataWithAI(dataSummary, llm) {
     if (!dataSummary || dataSummary.startsWith("No se encontraron")) {
         return dataSummary;
     }
 
-    console.log("Enviando resumen de datos a DeepSeek para análisis narrativo...");
-
-    const response = await fetch("https://api.deepseek.com/chat/completions", {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${deepseekApiKey}` },
-        body: JSON.stringify({
-            model: "deepseek-reasoner",
-            messages: [
-                { "role": "system", "content": SYSTEM_PROMPT_RESUMEN },
-                { "role": "user", "content": dataSummary }
-            ],
-            temperature: 0.7,
-            stream: false
-        })
-    });
-
-    if (!response.ok) {
-        const errorBody = await response.text();
-        const detailedError = `Error en la respuesta de la API de DeepSeek para el resumen. Status: ${response.status}. Body: ${errorBody}`;
-        console.error(detailedError);
-        throw new Error(detailedError);
-    }
+    console.log("Enviando resumen de datos al LLM para análisis narrativo...");
 
-    const aiResponse = await response.json();
-    return aiResponse.choices[0].message.content.trim();
+    return llm.complete({
+        task: 'summary',
+        system: SYSTEM_PROMPT_RESUMEN,
+        user: dataSummary,
+        temperature: 0.7
+    });
 }
 
 /**
  * Maneja el comando /resumen del bot.
  * @param {TelegramBot} bot - La instancia del bot.
  * @param {object} msg - El objeto del mensaje de Telegram.
- * @param {function} getNewAccessToken - La función para obtener un nuevo token de acceso.
  * @param {object} config - Un objeto con la configuración necesaria (tokens, URLs, etc.).
  */
-async function handleResumenCommand(bot, msg, getNewAccessToken, config) {
+async function handleResumenCommand(bot, msg, config) {
     const chatId = msg.chat.id;
     const thinkingMessage = await bot.sendMessage(chatId, "🔍 Recopilando datos... Un momento.");
 
     try {
-        const currentRefreshToken = await config.readRefreshToken();
-        const tokenData = await getNewAccessToken(currentRefreshToken);
-
-        if (!tokenData || !tokenData.accessToken) {
-            throw new Error("Fallo al obtener token de Gasti.pro para generar el resumen.");
-        }
+        const accessToken = await config.getAccessToken();
 
-        if (tokenData.newRefreshToken && tokenData.newRefreshToken !== currentRefreshToken) {
-            await config.writeRefreshToken(tokenData.newRefreshToken);
-        }
-
-        const allTransactions = await getAllTransactions(
-            tokenData.accessToken,
-            config.GASTI_API_URL,
-            config.SUPABASE_APIKEY
-        );
+        const allTransactions = await getAllTransactions(config.gasti, accessToken);
         
         await bot.editMessageText("⚙️ Procesando y calculando totales...", { chat_id: chatId, message_id: thinkingMessage.message_id });
 
-        const dataSummary = analizarTransacciones(allTransactions);
+        const consolidado = await config.exchangeRates.consolidate(allTransactions, msg.from.id);
+        const dataSummary = analizarTransacciones(allTransactions, consolidado);
         
         await bot.editMessageText("🧠 Generando análisis y consejos con IA...", { chat_id: chatId, message_id: thinkingMessage.message_id });
 
-        const aiSummary = await analyzeDataWithAI(dataSummary, config.DEEPSEEK_API_KEY);
+        const aiSummary = await analyzeDataWithAI(dataSummary, config.llm);
 
         await bot.editMessageText(aiSummary, {
             chat_id: chatId,
@@ -249,4 +190,4 @@ async function handleResumenCommand(bot, msg, getNewAccessToken, config) {
     }
 }
 
-module.exports = { handleResumenCommand };
\ No newline at end of file
+module.exports = { handleResumenCommand, analizarTransacciones, sumarGastosPorCategoria, analyzeDataWithAI, getTransactionsForPeriod };
\ No newline at end of file
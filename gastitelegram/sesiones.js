@@ -0,0 +1,95 @@
+const { GastiAuthError } = require('./apiGasti');
+
+/*
+ * Sesiones de Gasti.pro por usuario de Telegram.
+ *
+ * Antes cada comando hacía readRefreshToken -> refresco -> writeRefreshToken, con un viaje
+ * a Supabase por mensaje. Dos mensajes simultáneos podían rotar el refresh token dos veces y dejar
+ * guardado uno ya invalidado. Acá el access token se cachea hasta poco antes de vencer y los
+ * refrescos concurrentes del mismo usuario comparten una única petición.
+ */
+
+// Renovamos el access token este tiempo antes de que venza.
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Duración asumida si Supabase no informa `expires_in`.
+const DEFAULT_EXPIRES_IN_SECONDS = 3600;
+
+/**
+ * Crea el administrador de sesiones.
+ * @param {object} options
+ * @param {function} options.refreshSession - (refreshToken) => { accessToken, newRefreshToken, expiresIn }; lanza GastiAuthError si el token es rechazado.
+ * @param {function} options.readRefreshToken - (telegramUserId) => refresh token guardado.
+ * @param {function} options.writeRefreshToken - (telegramUserId, newToken) => guarda el token rotado.
+ * @param {function} [options.onRefreshRejected] - (telegramUserId) => se llama una vez cuando Supabase rechaza el refresh token.
+ * @returns {object} - { getAccessToken(telegramUserId), invalidate(telegramUserId) }.
+ */
+function createSessionManager({ refreshSession, readRefreshToken, writeRefreshToken, onRefreshRejected }) {
+    const sessions = {};
+    const inflight = {};
+    // Último refresh token rechazado por usuario, para no reintentar ni volver a avisar con el mismo.
+    const rejectedTokens = {};
+
+    async function refresh(telegramUserId) {
+        const currentRefreshToken = await readRefreshToken(telegramUserId);
+        if (rejectedTokens[telegramUserId] === currentRefreshToken) {
+            throw new GastiAuthError("El refresh token de Gasti.pro fue rechazado. Hay que volver a vincular la cuenta con /vincular.");
+        }
+
+        let tokenData;
+        try {
+            tokenData = await refreshSession(currentRefreshToken);
+        } catch (error) {
+            if (error instanceof GastiAuthError) {
+                rejectedTokens[telegramUserId] = currentRefreshToken;
+                delete sessions[telegramUserId];
+                if (onRefreshRejected) {
+                    await Promise.resolve(onRefreshRejected(telegramUserId)).catch(notifyError => console.error("No se pudo avisar del token rechazado:", notifyError.message));
+                }
+            }
+            throw error;
+        }
+
+        if (tokenData.newRefreshToken && tokenData.newRefreshToken !== currentRefreshToken) {
+            await writeRefreshToken(telegramUserId, tokenData.newRefreshToken);
+        }
+
+        const expiresIn = tokenData.expiresIn || DEFAULT_EXPIRES_IN_SECONDS;
+        sessions[telegramUserId] = {
+            accessToken: tokenData.accessToken,
+            expiresAt: Date.now() + expiresIn * 1000 - REFRESH_MARGIN_MS
+        };
+        return tokenData.accessToken;
+    }
+
+    /**
+     * Devuelve un access token válido para el usuario, refrescándolo solo si hace falta.
+     * @param {number} telegramUserId - El ID del usuario de Telegram.
+     * @returns {string} - El access token.
+     * @throws {Error} Si no hay cuenta vinculada, o GastiAuthError / GastiUnavailableError si Gasti.pro no entrega un token.
+     */
+    async function getAccessToken(telegramUserId) {
+        const session = sessions[telegramUserId];
+        if (session && session.expiresAt > Date.now()) {
+            return session.accessToken;
+        }
+        if (!inflight[telegramUserId]) {
+            inflight[telegramUserId] = refresh(telegramUserId).finally(() => {
+                delete inflight[telegramUserId];
+            });
+        }
+        return inflight[telegramUserId];
+    }
+
+    /**
+     * Olvida la sesión cacheada de un usuario (ej. al vincular o desvincular su cuenta).
+     * @param {number} telegramUserId - El ID del usuario de Telegram.
+     */
+    function invalidate(telegramUserId) {
+        delete sessions[telegramUserId];
+        delete rejectedTokens[telegramUserId];
+    }
+
+    return { getAccessToken, invalidate };
+}
+
+module.exports = { createSessionManager };
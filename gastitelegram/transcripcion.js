@@ -0,0 +1,137 @@
+const fetch = require('node-fetch');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+
+/*
+ * Proveedores de transcripción para notas de voz.
+ *
+ * Un proveedor es un objeto con:
+ *   - name: string
+ *   - transcribe(audioBuffer, fileName) => Promise<string>
+ *
+ * Se elige con la variable de entorno TRANSCRIPTION_PROVIDER.
+ */
+
+// Tiempo máximo para una transcripción, tanto local como remota.
+const TRANSCRIPTION_TIMEOUT_MS = 120000;
+// Extensiones de audio que se conservan del archivo original; cualquier otra se trata como .ogg (las notas de voz de Telegram).
+const AUDIO_EXTENSIONS = ['ogg', 'oga', 'opus', 'mp3', 'mpeg', 'mpga', 'm4a', 'mp4', 'aac', 'wav', 'webm', 'flac'];
+
+/**
+ * Arma un nombre de archivo propio para el audio. El nombre original lo elige quien lo envía
+ * (puede traer "../" o comillas), así que de él solo se toma la extensión, si es una conocida.
+ * @param {string} [fileName] - El nombre original del archivo.
+ * @returns {string} - Ej. "audio-3f9a1c2b4d5e6f70.mp3".
+ */
+function safeAudioFileName(fileName) {
+    const extension = path.extname(path.basename(fileName || '')).slice(1).toLowerCase();
+    return `audio-${crypto.randomBytes(8).toString('hex')}.${AUDIO_EXTENSIONS.includes(extension) ? extension : 'ogg'}`;
+}
+
+/**
+ * Proveedor que ejecuta un binario local (whisper.cpp, faster-whisper, etc.).
+ * El comando recibe la ruta del audio en lugar de `{input}` y debe imprimir la transcripción por stdout.
+ * Ejemplo: TRANSCRIPTION_COMMAND="/opt/whisper/transcribir.sh {input}"
+ * @param {object} options - { command }.
+ * @returns {object} - El proveedor de transcripción.
+ */
+function createCommandTranscriptionProvider({ command }) {
+    const [binary, ...argTemplate] = command.split(/\s+/).filter(Boolean);
+
+    return {
+        name: `command:${path.basename(binary)}`,
+        async transcribe(audioBuffer, fileName) {
+            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gasti-voz-'));
+            const inputPath = path.join(tempDir, safeAudioFileName(fileName));
+            try {
+                await fs.writeFile(inputPath, audioBuffer);
+                const args = argTemplate.map(arg => arg.replace('{input}', inputPath));
+                const stdout = await new Promise((resolve, reject) => {
+                    execFile(binary, args, { timeout: TRANSCRIPTION_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, out, stderr) => {
+                        if (error) {
+                            reject(new Error(`Falló el comando de transcripción: ${error.message}. ${stderr}`));
+                            return;
+                        }
+                        resolve(out);
+                    });
+                });
+                return stdout.trim();
+            } finally {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Proveedor para un endpoint HTTP compatible con `/audio/transcriptions` de OpenAI
+ * (OpenAI, Groq, un servidor whisper local, etc.).
+ * @param {object} options - { apiUrl, apiKey, model, language }.
+ * @returns {object} - El proveedor de transcripción.
+ */
+function createHttpTranscriptionProvider({ apiUrl, apiKey, model, language }) {
+    return {
+        name: `http:${model}`,
+        async transcribe(audioBuffer, fileName) {
+            // Armamos el multipart a mano para no sumar dependencias.
+            const boundary = `----gasti${Date.now().toString(16)}`;
+            const field = (name, value) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+            const body = Buffer.concat([
+                field('model', model),
+                field('language', language),
+                field('response_format', 'json'),
+                Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safeAudioFileName(fileName)}"\r\nContent-Type: application/octet-stream\r\n\r\n`),
+                audioBuffer,
+                Buffer.from(`\r\n--${boundary}--\r\n`)
+            ]);
+
+            const headers = { 'Content-Type': `multipart/form-data; boundary=${boundary}` };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await fetch(`${apiUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+                method: 'POST',
+                headers,
+                body,
+                timeout: TRANSCRIPTION_TIMEOUT_MS
+            });
+
+            if (!response.ok) {
+                const errorBody = await response.text();
+                throw new Error(`Error del proveedor de transcripción. Status: ${response.status}. Body: ${errorBody}`);
+            }
+
+            const data = await response.json();
+            return (data.text || '').trim();
+        }
+    };
+}
+
+/**
+ * Crea el proveedor de transcripción configurado en las variables de entorno.
+ * @param {object} env - Normalmente `process.env`.
+ * @returns {object|null} - El proveedor, o null si no hay ninguno configurado.
+ */
+function createTranscriptionProvider(env) {
+    switch ((env.TRANSCRIPTION_PROVIDER || '').toLowerCase()) {
+        case 'command':
+            if (!env.TRANSCRIPTION_COMMAND) {
+                console.warn("TRANSCRIPTION_PROVIDER=command pero falta TRANSCRIPTION_COMMAND. Las notas de voz quedan deshabilitadas.");
+                return null;
+            }
+            return createCommandTranscriptionProvider({ command: env.TRANSCRIPTION_COMMAND });
+        case 'http':
+            return createHttpTranscriptionProvider({
+                apiUrl: env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1',
+                apiKey: env.TRANSCRIPTION_API_KEY,
+                model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+                language: env.TRANSCRIPTION_LANGUAGE || 'es'
+            });
+        default:
+            return null;
+    }
+}
+
+module.exports = { createTranscriptionProvider, createCommandTranscriptionProvider, createHttpTranscriptionProvider };
@@ -0,0 +1,118 @@
+const fetch = require('node-fetch');
+const fs = require('fs').promises;
+const { EXPENSE_CATEGORIES } = require('./categorias');
+const { extractJSON } = require('./llm');
+
+/*
+ * Proveedores de visión/OCR para leer tickets y comprobantes.
+ *
+ * Un proveedor es un objeto con:
+ *   - name: string
+ *   - extractReceipt(imageBuffer, mimeType, hint) => Promise<{ total, merchant, date, currency, category } | null>
+ *
+ * `date` es 'YYYY-MM-DD' o null, `category` es una de EXPENSE_CATEGORIES o null.
+ * Se elige con la variable de entorno VISION_PROVIDER.
+ */
+
+// Tiempo máximo para leer un comprobante con un proveedor remoto.
+const VISION_TIMEOUT_MS = 60000;
+
+const SYSTEM_PROMPT_RECEIPT = `
+Eres una API que lee tickets de compra y comprobantes de pago (Mercado Pago, transferencias, facturas) de Argentina.
+Tu respuesta DEBE SER ÚNICAMENTE un objeto JSON con esta estructura:
+{
+  "total": <número, el total pagado>,
+  "merchant": "<nombre del comercio o destinatario>",
+  "date": "<fecha de la operación en formato YYYY-MM-DD, o null si no aparece>",
+  "currency": "<código ISO de 3 letras; si ves '$' sin más contexto asume 'ARS'>",
+  "category": "<una de las siguientes categorías, incluyendo el emoji>"
+}
+Las categorías permitidas son ESTRICTAMENTE las siguientes: ${EXPENSE_CATEGORIES.map(c => `"${c}"`).join(', ')}.
+Los números argentinos usan punto para miles y coma para decimales: "$ 12.345,67" es 12345.67.
+Si la imagen no es un ticket ni un comprobante de pago, devuelve: {"error": "La imagen no parece un comprobante."}
+`;
+
+/**
+ * Proveedor para cualquier endpoint compatible con la API de chat de OpenAI que acepte imágenes.
+ * @param {object} options - { apiUrl, apiKey, model }.
+ * @returns {object} - El proveedor de visión.
+ */
+function createOpenAIVisionProvider({ apiUrl, apiKey, model }) {
+    return {
+        name: `openai:${model}`,
+        async extractReceipt(imageBuffer, mimeType, hint) {
+            const dataUrl = `data:${mimeType};base64,${imageBuffer.toString('base64')}`;
+            const response = await fetch(`${apiUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+                body: JSON.stringify({
+                    model,
+                    messages: [
+                        { role: 'system', content: SYSTEM_PROMPT_RECEIPT },
+                        {
+                            role: 'user',
+                            content: [
+                                { type: 'text', text: hint ? `Comentario del usuario: ${hint}` : 'Extraé los datos de este comprobante.' },
+                                { type: 'image_url', image_url: { url: dataUrl } }
+                            ]
+                        }
+                    ],
+                    temperature: 0
+                }),
+                timeout: VISION_TIMEOUT_MS
+            });
+
+            if (!response.ok) {
+                const errorBody = await response.text();
+                throw new Error(`Error del proveedor de visión. Status: ${response.status}. Body: ${errorBody}`);
+            }
+
+            const aiResponse = await response.json();
+            const parsed = extractJSON(aiResponse.choices[0].message.content);
+            return parsed.error ? null : parsed;
+        }
+    };
+}
+
+/**
+ * Proveedor local para pruebas: devuelve siempre el contenido de un archivo JSON, sin llamar a ninguna API.
+ * @param {object} options - { stubFile }.
+ * @returns {object} - El proveedor de visión.
+ */
+function createStubVisionProvider({ stubFile }) {
+    return {
+        name: 'stub',
+        async extractReceipt() {
+            if (!stubFile) {
+                return { total: 1234.5, merchant: 'Comercio de prueba', date: null, currency: 'ARS', category: '🛒 Supermercado' };
+            }
+            return JSON.parse(await fs.readFile(stubFile, 'utf-8'));
+        }
+    };
+}
+
+/**
+ * Crea el proveedor de visión configurado en las variables de entorno.
+ * @param {object} env - Normalmente `process.env`.
+ * @returns {object|null} - El proveedor, o null si no hay ninguno configurado.
+ */
+function createVisionProvider(env) {
+    switch ((env.VISION_PROVIDER || '').toLowerCase()) {
+        case 'openai':
+            if (!env.VISION_API_KEY) {
+                console.warn("VISION_PROVIDER=openai pero falta VISION_API_KEY. La lectura de tickets queda deshabilitada.");
+                return null;
+            }
+            return createOpenAIVisionProvider({
+                apiUrl: env.VISION_API_URL || 'https://api.openai.com/v1',
+                apiKey: env.VISION_API_KEY,
+                model: env.VISION_MODEL || 'gpt-4o-mini'
+            });
+        case 'stub':
+            return createStubVisionProvider({ stubFile: env.VISION_STUB_FILE });
+        default:
+            return null;
+    }
+}
+
+module.exports = { createVisionProvider, createOpenAIVisionProvider, createStubVisionProvider };
@@ -0,0 +1,52 @@
+const { downloadTelegramFile } = require('./archivos');
+
+/**
+ * Devuelve los datos del audio de un mensaje (nota de voz o archivo de audio), o null si no tiene.
+ * @param {object} msg - El mensaje de Telegram.
+ * @returns {object|null} - { fileId, fileName } o null.
+ */
+function getAudioFromMessage(msg) {
+    if (msg.voice) {
+        return { fileId: msg.voice.file_id, fileName: 'nota.ogg' };
+    }
+    if (msg.audio) {
+        return { fileId: msg.audio.file_id, fileName: msg.audio.file_name || 'audio.mp3' };
+    }
+    return null;
+}
+
+/**
+ * Maneja una nota de voz: la transcribe y procesa el texto como si el usuario lo hubiera escrito.
+ * @param {TelegramBot} bot - La instancia del bot.
+ * @param {object} msg - El mensaje de Telegram con el audio.
+ * @param {object} transcriptionProvider - El proveedor de transcripción (ver transcripcion.js), o null.
+ * @param {function} processTransactionText - Función (chatId, telegramUserId, text) que procesa el texto de una transacción.
+ */
+async function handleVoiceMessage(bot, msg, transcriptionProvider, processTransactionText) {
+    const chatId = msg.chat.id;
+    const audio = getAudioFromMessage(msg);
+
+    if (!transcriptionProvider) {
+        await bot.sendMessage(chatId, "🎙️ Todavía no puedo escuchar notas de voz: no hay un proveedor de transcripción configurado.");
+        return;
+    }
+
+    const thinkingMessage = await bot.sendMessage(chatId, "🎧 Escuchando tu nota de voz...");
+
+    const audioBuffer = await downloadTelegramFile(bot, audio.fileId);
+    const transcript = await transcriptionProvider.transcribe(audioBuffer, audio.fileName);
+    console.log(`[${chatId}] Transcripción con ${transcriptionProvider.name}: "${transcript}"`);
+
+    if (!transcript) {
+        await bot.editMessageText("😕 No pude entender el audio. ¿Probás de nuevo o me lo escribís?", {
+            chat_id: chatId, message_id: thinkingMessage.message_id
+        });
+        return;
+    }
+
+    // Mostramos la transcripción para que el usuario pueda detectar errores antes de confirmar.
+    await bot.editMessageText(`🗣️ Entendí: "${transcript}"`, { chat_id: chatId, message_id: thinkingMessage.message_id });
+    await processTransactionText(chatId, msg.from.id, transcript);
+}
+
+module.exports = { getAudioFromMessage, handleVoiceMessage };
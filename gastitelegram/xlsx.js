@@ -0,0 +1,151 @@
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+/*
+ * Escritor mínimo de planillas .xlsx, sin dependencias.
+ * Un .xlsx es un ZIP con unos pocos XML; para exportar una tabla alcanza con una hoja,
+ * textos inline y números, así que armamos el ZIP a mano con zlib.
+ */
+
+/**
+ * Arma un archivo ZIP con compresión deflate.
+ * @param {Array<object>} files - [{ name, content }] con content string o Buffer.
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBuffer = Buffer.from(name, 'utf-8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // versión necesaria
+        local.writeUInt16LE(0x0800, 6);      // nombres en UTF-8
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt16LE(0, 10);          // hora
+        local.writeUInt16LE(0x21, 12);       // fecha (1980-01-01)
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Caracteres de control que XML no admite
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function buildCell(value, ref) {
+    if (typeof value === 'number' && isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Arma un .xlsx de una sola hoja.
+ * @param {string} sheetName - Nombre de la hoja (máx. 31 caracteres).
+ * @param {Array<Array>} rows - Filas de celdas; los números quedan como números y el resto como texto.
+ * @returns {Buffer}
+ */
+function buildXlsx(sheetName, rows) {
+    const sheetRows = rows.map((row, rowIndex) => {
+        const cells = row.map((value, colIndex) => buildCell(value, `${columnName(colIndex)}${rowIndex + 1}`)).join('');
+        return `<row r="${rowIndex + 1}">${cells}</row>`;
+    }).join('');
+
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+                + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+                + `<sheetData>${sheetRows}</sheetData>`
+                + '</worksheet>'
+        }
+    ]);
+}
+
+module.exports = { buildXlsx };
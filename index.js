@@ -5,165 +5,420 @@ require('dotenv').config();
 // IMPORTACIONES
 // ===================================================================================
 const TelegramBot = require('node-telegram-bot-api');
-const fetch = require('node-fetch');
 const fs = require('fs').promises; // Usamos fs.promises para código asíncrono limpio
 const path = require('path');     // Para construir rutas de archivo de forma segura
 const { handleGastosCommand } = require('./gastitelegram/gastos');
 const { handleResumenCommand } = require('./gastitelegram/resumen');
 const { handleInfoQuery } = require('./gastitelegram/info');
+const { EXPENSE_CATEGORIES, INCOME_CATEGORIES } = require('./gastitelegram/categorias');
+const { presentDraft, handleDraftCallback, isAwaitingDraftAmount, handleDraftAmountReply } = require('./gastitelegram/borradores');
+const { handleDeshacerCommand, handleEditarCommand, handleEditCallback, isAwaitingEditValue, handleEditValueReply } = require('./gastitelegram/edicion');
+const { recordTransaction } = require('./gastitelegram/historial');
+const { parseIdList, isAuthorized, handleUnauthorized, handleAdminCommand, handleAuthCallback } = require('./gastitelegram/autorizacion');
+const { createVisionProvider } = require('./gastitelegram/vision');
+const { getImageFromMessage, handleReceiptMessage } = require('./gastitelegram/recibos');
+const { createTranscriptionProvider } = require('./gastitelegram/transcripcion');
+const { getAudioFromMessage, handleVoiceMessage } = require('./gastitelegram/voz');
+const { getArgentinaDateString, argentinaDateToISO, resolveDateExpression, formatArgentinaDate } = require('./gastitelegram/fechas');
+const { parseTransactionLocally } = require('./gastitelegram/analizadorLocal');
+const { getAccount, saveAccount, handleVincularCommand, handleVincularToken, handleDesvincularCommand } = require('./gastitelegram/cuentas');
+const { createLLMClient } = require('./gastitelegram/llm');
+const { createSessionManager } = require('./gastitelegram/sesiones');
+const { createGastiClient, GastiAuthError, GastiValidationError, GastiUnavailableError } = require('./gastitelegram/apiGasti');
+const { createOutbox } = require('./gastitelegram/bandejaSalida');
+const { handlePresupuestoCommand, checkBudgetAlerts } = require('./gastitelegram/presupuestos');
+const { handleRecurrenteCommand, handleRecurringCallback, startRecurringScheduler } = require('./gastitelegram/recurrentes');
+const { handleSuscribirCommand, startReportScheduler } = require('./gastitelegram/reportes');
+const { createExchangeRates, createRateFetchers, handleCotizacionCommand } = require('./gastitelegram/cotizaciones');
+const { handleExportarCommand } = require('./gastitelegram/exportar');
+const { handleImportarCommand, isAwaitingImportFile, handleImportFile, handleImportCallback } = require('./gastitelegram/importar');
+const { handleGraficoCommand } = require('./gastitelegram/graficos');
+const { handlePageCallback } = require('./gastitelegram/paginacion');
 
 // ===================================================================================
 // CONFIGURACIÓN DE SECRETOS (Leídos desde el archivo .env)
 // ===================================================================================
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-const GASTI_INITIAL_REFRESH_TOKEN = process.env.GASTI_REFRESH_TOKEN; // El token para el primer arranque
+// Credenciales de la instalación anterior (una sola cuenta). Solo se usan para migrar al dueño del bot.
+const GASTI_INITIAL_REFRESH_TOKEN = process.env.GASTI_REFRESH_TOKEN;
+const GASTI_OWNER_TELEGRAM_ID = process.env.GASTI_OWNER_TELEGRAM_ID;
 const GASTI_API_URL = process.env.GASTI_API_URL || 'https://api.gasti.pro';
 const SUPABASE_URL = process.env.SUPABASE_URL || 'https://db.gasti.pro';
 const SUPABASE_APIKEY = process.env.SUPABASE_APIKEY;
 const GASTI_USER_EMAIL = process.env.GASTI_USER_EMAIL;
 const GASTI_USER_ID = process.env.GASTI_USER_ID;
-
-if (!TELEGRAM_TOKEN || !DEEPSEEK_API_KEY || !GASTI_INITIAL_REFRESH_TOKEN || !SUPABASE_APIKEY) {
+// Control de acceso: IDs de Telegram (usuarios o chats) separados por comas.
+const ADMIN_IDS = parseIdList(process.env.ADMIN_TELEGRAM_IDS || GASTI_OWNER_TELEGRAM_ID);
+const ALLOWED_IDS = parseIdList(process.env.ALLOWED_TELEGRAM_IDS);
+// Permite registrar transacciones con fecha futura (ej. pagos programados). Por defecto se rechazan.
+const ALLOW_FUTURE_DATES = process.env.ALLOW_FUTURE_DATES === 'true';
+// Moneda que se asume cuando el mensaje no menciona ninguna.
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+// Moneda y tipo de cambio por defecto de los totales consolidados; cada usuario puede cambiarlos con /cotizacion usar.
+const REFERENCE_CURRENCY = (process.env.REFERENCE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+const EXCHANGE_RATE_TYPE = (process.env.EXCHANGE_RATE_TYPE || 'oficial').toLowerCase();
+
+// Modelo de lenguaje para interpretar mensajes, /info y /resumen (ver gastitelegram/llm.js).
+const llm = createLLMClient(process.env);
+// Solo DeepSeek exige una API key; un Ollama o llama.cpp local puede funcionar sin ella.
+const LLM_NEEDS_KEY = llm.provider === 'deepseek' && !process.env.LLM_API_KEY && !DEEPSEEK_API_KEY;
+
+if (!TELEGRAM_TOKEN || LLM_NEEDS_KEY || !SUPABASE_APIKEY) {
     console.error("FATAL ERROR: Faltan variables de entorno. Asegúrate de que todas las claves están en el archivo .env o en las variables de entorno de Railway.");
     process.exit(1);
 }
 
+if (ADMIN_IDS.length === 0) {
+    console.warn("ADVERTENCIA: No hay administradores configurados (ADMIN_TELEGRAM_IDS). Nadie podrá aprobar solicitudes de acceso.");
+}
+
 // ===================================================================================
 // LÓGICA DE ALMACENAMIENTO PERSISTENTE (CLAVE PARA RAILWAY)
 // ===================================================================================
 
 const DATA_DIR = process.env.RAILWAY_ENVIRONMENT ? '/data' : path.join(__dirname, 'local_data');
 const TOKEN_FILE_PATH = path.join(DATA_DIR, 'gasti_token.json');
-
-async function readRefreshToken() {
+const HISTORY_FILE_PATH = path.join(DATA_DIR, 'historial_transacciones.json');
+
+const ACCOUNTS_FILE_PATH = path.join(DATA_DIR, 'cuentas.json');
+const ACCESS_FILE_PATH = path.join(DATA_DIR, 'usuarios_autorizados.json');
+const ACCESS_CONFIG = { ADMIN_IDS, ALLOWED_IDS, ACCESS_FILE_PATH };
+const OUTBOX_FILE_PATH = path.join(DATA_DIR, 'bandeja_salida.json');
+const BUDGETS_FILE_PATH = path.join(DATA_DIR, 'presupuestos.json');
+const RECURRING_FILE_PATH = path.join(DATA_DIR, 'recurrentes.json');
+const REPORTS_FILE_PATH = path.join(DATA_DIR, 'suscripciones_reportes.json');
+const EXCHANGE_RATES_FILE_PATH = path.join(DATA_DIR, 'cotizaciones.json');
+
+async function readLegacyRefreshToken() {
     try {
-        await fs.access(TOKEN_FILE_PATH);
         const data = await fs.readFile(TOKEN_FILE_PATH, 'utf-8');
-        const tokenData = JSON.parse(data);
-        console.log("Refresh token leído desde el almacenamiento persistente:", TOKEN_FILE_PATH);
-        return tokenData.refreshToken;
+        return JSON.parse(data).refreshToken;
     } catch (error) {
-        console.log("Archivo de token no encontrado. Usando el token inicial de las variables de entorno.");
         return GASTI_INITIAL_REFRESH_TOKEN;
     }
 }
 
-async function writeRefreshToken(newToken) {
+/**
+ * Devuelve la cuenta de Gasti.pro vinculada a un usuario de Telegram.
+ * Si el usuario es el dueño configurado en GASTI_OWNER_TELEGRAM_ID y todavía no se vinculó,
+ * se migran las credenciales globales de la instalación anterior.
+ * @param {number} telegramUserId - El ID del usuario de Telegram.
+ * @returns {object|null} - { refreshToken, email, userId } o null si no está vinculado.
+ */
+async function getLinkedAccount(telegramUserId) {
+    const account = await getAccount(ACCOUNTS_FILE_PATH, telegramUserId);
+    if (account) return account;
+
+    if (GASTI_OWNER_TELEGRAM_ID && String(telegramUserId) === GASTI_OWNER_TELEGRAM_ID && GASTI_USER_ID) {
+        const legacyAccount = { refreshToken: await readLegacyRefreshToken(), email: GASTI_USER_EMAIL, userId: GASTI_USER_ID };
+        if (legacyAccount.refreshToken) {
+            await saveAccount(ACCOUNTS_FILE_PATH, telegramUserId, legacyAccount);
+            console.log(`Credenciales globales migradas a la cuenta del usuario ${telegramUserId}.`);
+            return legacyAccount;
+        }
+    }
+    return null;
+}
+
+async function readRefreshToken(telegramUserId) {
+    const account = await getLinkedAccount(telegramUserId);
+    if (!account) {
+        throw new Error(`El usuario ${telegramUserId} no tiene una cuenta de Gasti.pro vinculada.`);
+    }
+    return account.refreshToken;
+}
+
+async function writeRefreshToken(telegramUserId, newToken) {
     try {
-        await fs.mkdir(path.dirname(TOKEN_FILE_PATH), { recursive: true });
-        const tokenData = { refreshToken: newToken, lastUpdated: new Date().toISOString() };
-        await fs.writeFile(TOKEN_FILE_PATH, JSON.stringify(tokenData, null, 2), 'utf-8');
-        console.log("Nuevo refresh token guardado exitosamente en:", TOKEN_FILE_PATH);
+        await saveAccount(ACCOUNTS_FILE_PATH, telegramUserId, { refreshToken: newToken });
+        console.log(`Nuevo refresh token guardado para el usuario ${telegramUserId} en:`, ACCOUNTS_FILE_PATH);
     } catch (error) {
         console.error("Error fatal: No se pudo escribir el nuevo refresh token en el archivo:", error);
     }
 }
 
+// Cliente único de la API de Gasti.pro (ver gastitelegram/apiGasti.js).
+const gasti = createGastiClient({ apiUrl: GASTI_API_URL, authUrl: SUPABASE_URL, apiKey: SUPABASE_APIKEY });
+
+// Access tokens cacheados por usuario, con refresco único aunque lleguen varios mensajes a la vez.
+const sessions = createSessionManager({
+    refreshSession: gasti.refreshSession,
+    readRefreshToken,
+    writeRefreshToken,
+    onRefreshRejected: notifyRefreshRejected
+});
+
+// Historial de cotizaciones para los totales consolidados (ver gastitelegram/cotizaciones.js).
+const exchangeRates = createExchangeRates({
+    filePath: EXCHANGE_RATES_FILE_PATH,
+    fetchers: createRateFetchers(process.env),
+    defaultType: EXCHANGE_RATE_TYPE,
+    defaultReferenceCurrency: REFERENCE_CURRENCY
+});
+
+/**
+ * Avisa a los administradores que Gasti.pro rechazó el refresh token de un usuario,
+ * para que no quede bloqueado sin que nadie se entere.
+ * @param {number} telegramUserId - El usuario cuyo token fue rechazado.
+ */
+async function notifyRefreshRejected(telegramUserId) {
+    const account = await getAccount(ACCOUNTS_FILE_PATH, telegramUserId);
+    const who = account && account.email ? `${telegramUserId} (${account.email})` : `${telegramUserId}`;
+    console.error(`Gasti.pro rechazó el refresh token del usuario ${who}.`);
+    const text = `⚠️ Gasti.pro rechazó el refresh token del usuario ${who}. Tiene que volver a vincular su cuenta con /vincular.`;
+    await Promise.all(ADMIN_IDS.map(adminId => bot.sendMessage(adminId, text).catch(error => {
+        console.error(`No se pudo avisar al administrador ${adminId}:`, error.message);
+    })));
+}
+
+/**
+ * Arma la configuración que reciben los módulos de comandos, con las credenciales
+ * del usuario de Telegram que hizo la petición.
+ * @param {number} telegramUserId - El ID del usuario de Telegram.
+ * @returns {object}
+ */
+function buildUserConfig(telegramUserId) {
+    return {
+        getAccessToken: () => sessions.getAccessToken(telegramUserId),
+        gasti,
+        llm,
+        exchangeRates,
+        HISTORY_FILE_PATH,
+        BUDGETS_FILE_PATH,
+        RECURRING_FILE_PATH,
+        DEFAULT_CURRENCY,
+        ALLOW_FUTURE_DATES
+    };
+}
+
 // ===================================================================================
 // PARTE 1: LÓGICA DE LA API DE GASTI.PRO
 // ===================================================================================
 
-async function getNewAccessToken(refreshToken) {
-    console.log('Solicitando un nuevo token de acceso para Gasti.pro...');
-    const url = `${SUPABASE_URL}/auth/v1/token?grant_type=refresh_token`;
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'apikey': SUPABASE_APIKEY, 'Content-Type': 'application/json' },
-            body: JSON.stringify({ refresh_token: refreshToken })
-        });
-        if (!response.ok) {
-            const errorBody = await response.text();
-            console.error(`Error de la API de Gasti/Supabase. Status: ${response.status}. Body: ${errorBody}`);
-            throw new Error('No se pudo refrescar el token de Gasti.pro.');
+/**
+ * Arma el cuerpo que espera Gasti.pro para una transacción.
+ * @param {object} expenseData - La transacción ({ description, amount, category, type, date, currency }).
+ * @param {object} account - La cuenta vinculada del usuario ({ email, userId }).
+ * @returns {object}
+ */
+function buildTransactionPayload(expenseData, account) {
+    // Los ingresos se guardan con monto positivo y los gastos con monto negativo.
+    const type = expenseData.type === 'income' ? 'income' : 'expense';
+    const absoluteAmount = Math.abs(parseFloat(expenseData.amount));
+    return {
+        description: expenseData.description,
+        amount: type === 'income' ? absoluteAmount : -absoluteAmount,
+        category: expenseData.category,
+        type,
+        date: expenseData.date || new Date().toISOString(),
+        currency: (expenseData.currency || DEFAULT_CURRENCY).toUpperCase(),
+        user_email: account.email,
+        user_id: account.userId
+    };
+}
+
+/**
+ * Crea una transacción en Gasti.pro.
+ * @param {string} accessToken - El token de acceso del usuario.
+ * @param {object} expenseData - La transacción a crear.
+ * @param {object} account - La cuenta vinculada del usuario ({ email, userId }).
+ * @returns {object} - La fila creada (con su `id`).
+ * @throws {GastiApiError} Si Gasti.pro no la guardó.
+ */
+async function sendTransaction(accessToken, expenseData, account) {
+    console.log('Enviando transacción a Gasti.pro:', expenseData);
+    const created = await gasti.createTransaction(accessToken, buildTransactionPayload(expenseData, account));
+    console.log('¡Transacción creada con éxito en Gasti.pro!');
+    return created;
+}
+
+/**
+ * Busca en Gasti.pro una transacción ya guardada con exactamente los mismos datos y fecha.
+ * Se usa antes de reenviar un alta que se quedó sin respuesta, que pudo haberse guardado igual.
+ * @param {string} accessToken - El token de acceso del usuario.
+ * @param {object} payload - El cuerpo enviado (ver buildTransactionPayload).
+ * @returns {object|null} - La fila existente, o null.
+ */
+async function findSavedTransaction(accessToken, payload) {
+    const instant = new Date(payload.date).getTime();
+    const data = await gasti.getTransactionsByPeriod(accessToken, new Date(instant - 60000).toISOString(), new Date(instant + 60000).toISOString());
+    return (data.transactions || []).find(tx => new Date(tx.date).getTime() === instant
+        && tx.description === payload.description
+        && parseFloat(tx.amount) === payload.amount
+        && (tx.currency || '').toUpperCase() === payload.currency) || null;
+}
+
+/**
+ * Obtiene un token de acceso válido, guarda la transacción en Gasti.pro y la anota
+ * en el historial del chat para poder deshacerla o editarla después.
+ * @param {number} telegramUserId - El usuario de Telegram dueño de la transacción.
+ * @param {number} chatId - El chat que originó la transacción.
+ * @param {object} transaction - La transacción confirmada por el usuario.
+ * @param {object} [options] - { verifyBeforeSending: buscarla primero en Gasti.pro, porque un envío anterior quedó sin respuesta }.
+ * @returns {object} - La fila creada en Gasti.pro.
+ * @throws {Error} Si no hay cuenta vinculada, o un GastiApiError si Gasti.pro falló.
+ */
+async function saveTransaction(telegramUserId, chatId, transaction, { verifyBeforeSending = false } = {}) {
+    const account = await getLinkedAccount(telegramUserId);
+    if (!account) {
+        throw new Error(`El usuario ${telegramUserId} no tiene una cuenta de Gasti.pro vinculada.`);
+    }
+
+    const send = async (accessToken) => {
+        if (verifyBeforeSending) {
+            const existing = await findSavedTransaction(accessToken, buildTransactionPayload(transaction, account));
+            if (existing) {
+                console.log(`[${chatId}] "${transaction.description}" ya estaba guardada en Gasti.pro; no se reenvía.`);
+                return existing;
+            }
         }
-        const data = await response.json();
-        return {
-            accessToken: data.access_token,
-            newRefreshToken: data.refresh_token
-        };
+        return sendTransaction(accessToken, transaction, account);
+    };
+
+    let created;
+    try {
+        created = await send(await sessions.getAccessToken(telegramUserId));
     } catch (error) {
-        console.error('Error al obtener el access_token:', error.message);
-        return null;
+        if (!(error instanceof GastiAuthError)) throw error;
+        // El access token cacheado pudo haber sido revocado: pedimos uno nuevo y probamos una vez más.
+        sessions.invalidate(telegramUserId);
+        created = await send(await sessions.getAccessToken(telegramUserId));
     }
+    await recordTransaction(HISTORY_FILE_PATH, chatId, telegramUserId, created);
+    // El aviso de presupuesto no debe demorar ni hacer fallar el registro.
+    checkBudgetAlerts(bot, chatId, telegramUserId, created, buildUserConfig(telegramUserId)).catch(error => {
+        console.error(`[${chatId}] No se pudo revisar el presupuesto:`, error.message);
+    });
+    return created;
 }
 
-async function sendTransaction(accessToken, expenseData) {
-    console.log('Enviando transacción a Gasti.pro:', expenseData);
-    const url = `${GASTI_API_URL}/rest/v1/transactions?select=*`;
-    const transactionPayload = {
-        description: expenseData.description,
-        amount: -Math.abs(parseFloat(expenseData.amount)),
-        category: expenseData.category,
-        type: "expense",
-        date: new Date().toISOString(),
-        currency: (expenseData.currency || 'USD').toUpperCase(),
-        user_email: GASTI_USER_EMAIL,
-        user_id: GASTI_USER_ID
-    };
+/**
+ * Guarda de una vez un lote de transacciones importadas de un archivo.
+ * No se anotan en el historial (no tiene sentido deshacerlas de a una) ni disparan avisos de presupuesto.
+ * @param {number} telegramUserId - El usuario de Telegram dueño de las transacciones.
+ * @param {Array<object>} transactions - Las transacciones a crear.
+ * @returns {Array<object>} - Las filas creadas en Gasti.pro.
+ * @throws {Error} Si no hay cuenta vinculada, o un GastiApiError si Gasti.pro falló.
+ */
+async function importTransactions(telegramUserId, transactions) {
+    const account = await getLinkedAccount(telegramUserId);
+    if (!account) {
+        throw new Error(`El usuario ${telegramUserId} no tiene una cuenta de Gasti.pro vinculada.`);
+    }
+
+    const payloads = transactions.map(transaction => buildTransactionPayload(transaction, account));
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'apikey': SUPABASE_APIKEY, 'Authorization': `Bearer ${accessToken}`, 'Prefer': 'return=representation' },
-            body: JSON.stringify(transactionPayload)
-        });
-        if (!response.ok) {
-            console.error('Error de Gasti.pro:', await response.text());
-            return false;
-        }
-        console.log('¡Transacción creada con éxito en Gasti.pro!');
-        return true;
+        return await gasti.createTransactions(await sessions.getAccessToken(telegramUserId), payloads);
     } catch (error) {
-        console.error('Error al enviar la transacción:', error);
-        return false;
+        if (!(error instanceof GastiAuthError)) throw error;
+        sessions.invalidate(telegramUserId);
+        return gasti.createTransactions(await sessions.getAccessToken(telegramUserId), payloads);
+    }
+}
+
+// Transacciones que no se pudieron guardar por una caída de Gasti.pro; se reintentan en segundo plano.
+const outbox = createOutbox({
+    filePath: OUTBOX_FILE_PATH,
+    deliver: (entry) => saveTransaction(entry.telegramUserId, entry.chatId, entry.transaction, { verifyBeforeSending: entry.maybeDelivered }),
+    onDelivered: (entry) => bot.sendMessage(entry.chatId, `✅ Gasti.pro volvió: ya quedó guardado "${entry.transaction.description}" (${entry.transaction.amount} ${entry.transaction.currency}).`),
+    onDropped: (entry, error) => {
+        const pending = `"${entry.transaction.description}" (${entry.transaction.amount} ${entry.transaction.currency})`;
+        const message = error instanceof GastiValidationError
+            ? `❌ Gasti.pro rechazó ${pending}, que estaba pendiente. Registralo de nuevo si todavía lo necesitás.`
+            : `❌ No pude guardar ${pending}, que estaba pendiente: tu cuenta de Gasti.pro ya no está vinculada o la sesión venció. Vinculala con /vincular y registralo de nuevo.`;
+        return bot.sendMessage(entry.chatId, message);
+    }
+});
+
+/**
+ * Registra una transacción confirmada. Si Gasti.pro está caído, la deja en la bandeja de salida
+ * para reintentarla en segundo plano en lugar de perderla.
+ * @param {number} telegramUserId - El usuario de Telegram dueño de la transacción.
+ * @param {number} chatId - El chat que originó la transacción.
+ * @param {object} transaction - La transacción confirmada por el usuario.
+ * @returns {object|null} - La fila creada, o null si quedó encolada.
+ * @throws {Error} Si falló por un motivo que reintentar no arregla (auth, datos inválidos, sin cuenta).
+ */
+async function registerTransaction(telegramUserId, chatId, transaction) {
+    // Fijamos la fecha antes del primer envío: si queda en cola, se reenvía igual y no con la del momento
+    // en que Gasti.pro vuelva, y así se puede reconocer si el primer envío se guardó.
+    const dated = { ...transaction, date: transaction.date || new Date().toISOString() };
+    try {
+        return await saveTransaction(telegramUserId, chatId, dated);
+    } catch (error) {
+        if (!(error instanceof GastiUnavailableError)) throw error;
+        await outbox.add({ telegramUserId, chatId, transaction: dated, maybeDelivered: Boolean(error.maybeDelivered) });
+        return null;
     }
 }
 
 // ===================================================================================
-// PARTE 2: LÓGICA DE IA CON DEEPSEEK
+// PARTE 2: LÓGICA DE IA (PROVEEDOR CONFIGURABLE)
 // ===================================================================================
 
 const SYSTEM_PROMPT = `
-Eres una API asistente de finanzas. Tu única tarea es analizar el texto de un usuario que describe un gasto y devolver un objeto JSON.
+Eres una API asistente de finanzas. Tu única tarea es analizar el texto de un usuario que describe uno o varios gastos o ingresos y devolver un objeto JSON.
 Tu respuesta DEBE SER ÚNICAMENTE el objeto JSON, sin explicaciones ni texto adicional.
 El JSON debe tener la siguiente estructura:
 {
-  "amount": <número>,
-  "description": "<descripción limpia del gasto>",
-  "currency": "<código ISO de 3 letras, ej. USD, ARS, EUR>",
-  "category": "<una de las siguientes categorías, incluyendo el emoji>"
+  "transactions": [
+    {
+      "type": "'expense' | 'income'",
+      "amount": <número>,
+      "description": "<descripción limpia de la transacción>",
+      "currency": "<código ISO de 3 letras, ej. USD, ARS, EUR>",
+      "category": "<una de las categorías permitidas para ese tipo, incluyendo el emoji>",
+      "date_text": "<la expresión de fecha tal como la escribió el usuario, ej. 'ayer', 'el viernes', '15/07', '3 de julio', o null>"
+    }
+  ]
 }
-Las categorías permitidas son ESTRICTAMENTE las siguientes: "💰 Ahorros", "🚗 Auto", "⛽ Combustible", "🍽️ Comida", "🎨 Decoración", "⚽ Deportes", "🤝 Donaciones", "📚 Educación", "💼 Emprendimiento", "🎮 Entretenimiento", "🅿️ Estacionamiento", "💊 Farmacia", "🏋️ Gimnasio", "👼 Hijos", "🎨 Hobbies", "📈 Inversiones", "🔧 Mantenimiento", "🐶 Mascotas", "📦 Otros", "💑 Pareja", "🏦 Prestamos", "🔄 Reconciliación de cuenta", "🎁 Regalos", "👕 Ropa", "🏥 Salud", "🔒 Seguros", "🚰 Servicios", "📱 Subscripciones", "🛒 Supermercado", "💳 Tarjetas", "💼 Trabajo", "🚌 Transporte", "🌴 Vacaciones", "🏠 Vivienda".
+Las categorías de GASTO (type 'expense') permitidas son ESTRICTAMENTE las siguientes: ${EXPENSE_CATEGORIES.map(c => `"${c}"`).join(', ')}.
+Las categorías de INGRESO (type 'income') permitidas son ESTRICTAMENTE las siguientes: ${INCOME_CATEGORIES.map(c => `"${c}"`).join(', ')}.
 Reglas:
-1. Debes elegir la categoría más apropiada de la lista, incluyendo su emoji. Si ninguna encaja, usa "📦 Otros".
-2. Si no se especifica una moneda, asume 'USD'. El usuario es de Argentina, por lo que si dice 'pesos', asume 'ARS'.
-3. La descripción debe ser concisa y clara.
-4. Si el texto no parece ser un gasto, devuelve un JSON con la clave de error: {"error": "El texto no parece ser un gasto."}
+1. Si el texto menciona varias transacciones (ej. "café 1500, taxi 4200 y farmacia 8900 pesos"), devuelve un elemento por cada una, en el mismo orden.
+2. El contexto compartido se aplica a todas: si la moneda se menciona una sola vez al final o al principio, vale para todos los montos que no tengan otra moneda explícita.
+3. Determina si cada una es un gasto o un ingreso. Frases como "cobré", "me pagaron", "me depositaron", "vendí" o "me devolvieron" indican un ingreso ('income'). Compras, pagos y consumos son gastos ('expense'). Si no queda claro, asume 'expense'.
+4. Debes elegir la categoría más apropiada de la lista correspondiente al tipo, incluyendo su emoji. Si ninguna encaja, usa "📦 Otros".
+5. Si no se especifica una moneda, asume '${DEFAULT_CURRENCY}'. El usuario es de Argentina, por lo que si dice 'pesos', asume 'ARS'.
+6. La descripción debe ser concisa y clara.
+7. El monto siempre es positivo; el signo lo determina el tipo.
+8. Si el usuario menciona cuándo fue (ej. "ayer", "el viernes", "15/07"), copia esa expresión textual en 'date_text' sin calcular la fecha. Si no menciona ninguna, usa null. Si la fecha aplica a todas, repítela en cada una.
+9. Si el texto no parece ser un gasto ni un ingreso, devuelve un JSON con la clave de error: {"error": "El texto no parece ser una transacción."}
 `;
 
+// Forma mínima que tiene que respetar la respuesta; el resto se filtra en parseExpenseWithAI.
+const PARSE_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        transactions: { type: 'array', items: { type: 'object' } },
+        error: { type: 'string' }
+    }
+};
+
+/**
+ * Interpreta un texto libre con IA y devuelve las transacciones que describe.
+ * @param {string} text - El texto del usuario.
+ * @returns {Array<object>|null} - Las transacciones válidas, o null si no se pudo interpretar.
+ */
 async function parseExpenseWithAI(text) {
-    console.log(`Enviando a DeepSeek para análisis: "${text}"`);
+    console.log(`Enviando al LLM para análisis: "${text}"`);
     try {
-        const response = await fetch("https://api.deepseek.com/chat/completions", {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${DEEPSEEK_API_KEY}` },
-            body: JSON.stringify({
-                model: "deepseek-reasoner",
-                messages: [{ "role": "system", "content": SYSTEM_PROMPT }, { "role": "user", "content": text }],
-                temperature: 0,
-                stream: false
-            })
+        const parsedContent = await llm.completeJSON({
+            task: 'parse',
+            system: SYSTEM_PROMPT,
+            user: text,
+            schema: PARSE_RESPONSE_SCHEMA
         });
-        if (!response.ok) { console.error("Error en la respuesta de la API de DeepSeek:", response.status, await response.text()); return null; }
-        const aiResponse = await response.json();
-        let content = aiResponse.choices[0].message.content;
-        content = content.replace(/```json|```/g, '').trim();
-        const parsedContent = JSON.parse(content);
         console.log("Respuesta de la IA parseada:", parsedContent);
-        if (parsedContent.error) { console.log("La IA determinó que no es un gasto."); return null; }
-        return parsedContent;
-    } catch (error) { console.error("Error fatal al procesar con DeepSeek:", error); return null; }
+        if (parsedContent.error) { console.log("La IA determinó que no es una transacción."); return null; }
+        // Aceptamos también un objeto suelto por si el modelo ignora el formato de lista.
+        const items = Array.isArray(parsedContent.transactions) ? parsedContent.transactions : [parsedContent];
+        const transactions = items
+            .filter(item => item && item.amount && item.description)
+            .map(item => ({ ...item, type: item.type === 'income' ? 'income' : 'expense' }));
+        return transactions.length > 0 ? transactions : null;
+    } catch (error) { console.error("Error fatal al procesar con el LLM:", error); return null; }
 }
 
 // ===================================================================================
@@ -172,34 +427,177 @@ async function parseExpenseWithAI(text) {
 
 const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
 
-// Almacenamiento en memoria para el estado de la conversación
+// Proveedor de visión para leer tickets (ver gastitelegram/vision.js); null si no está configurado
+const visionProvider = createVisionProvider(process.env);
+// Proveedor de transcripción para notas de voz (ver gastitelegram/transcripcion.js); null si no está configurado
+const transcriptionProvider = createTranscriptionProvider(process.env);
+
+// Reintenta en segundo plano las transacciones que quedaron pendientes (también las de antes de un reinicio)
+outbox.start();
+// Registra las transacciones recurrentes cuando vencen, recuperando las que se perdieron por un reinicio
+startRecurringScheduler(bot, { RECURRING_FILE_PATH, registerTransaction });
+// Envía los reportes programados con /suscribir; tras un reinicio manda el último que haya quedado pendiente
+startReportScheduler(bot, { REPORTS_FILE_PATH, buildUserConfig });
+// Trae cotizaciones de las fuentes automáticas configuradas (EXCHANGE_RATE_SOURCES), si hay alguna
+exchangeRates.start();
+
+// Almacenamiento en memoria para el estado de la conversación, por chat y usuario:
+// en un grupo, la respuesta pendiente es solo la de quien mandó el comando.
 const userState = {};
 
+function stateKey(chatId, telegramUserId) {
+    return `${chatId}:${telegramUserId}`;
+}
+
+/**
+ * Resuelve las expresiones de fecha ("ayer", "el viernes", "15/07") de las transacciones parseadas
+ * en la zona horaria de Argentina. Las que no mencionan fecha quedan con el momento actual.
+ * @param {Array<object>} transactions - Las transacciones devueltas por la IA.
+ * @returns {object} - { accepted, rejected }, donde `rejected` lleva un `reason` para el usuario.
+ */
+function resolveTransactionDates(transactions) {
+    const today = getArgentinaDateString();
+    const accepted = [];
+    const rejected = [];
+
+    transactions.forEach(({ date_text: dateText, ...transaction }) => {
+        if (!dateText) {
+            accepted.push({ ...transaction, date: new Date().toISOString() });
+            return;
+        }
+        const date = resolveDateExpression(dateText, today);
+        if (!date) {
+            rejected.push({ ...transaction, reason: `no entendí la fecha "${dateText}"` });
+        } else if (date > today && !ALLOW_FUTURE_DATES) {
+            rejected.push({ ...transaction, reason: `la fecha ${formatArgentinaDate(date)} es futura` });
+        } else {
+            accepted.push({ ...transaction, date: date === today ? new Date().toISOString() : argentinaDateToISO(date) });
+        }
+    });
+
+    return { accepted, rejected };
+}
+
+/**
+ * Interpreta el texto de un gasto o ingreso con IA y muestra el borrador para confirmarlo.
+ * Se usa tanto para mensajes escritos como para transcripciones de notas de voz.
+ * @param {number} chatId - El chat donde se responde.
+ * @param {number} telegramUserId - El usuario que envió el mensaje (el dueño del borrador).
+ * @param {string} text - El texto a interpretar.
+ */
+async function processTransactionText(chatId, telegramUserId, text) {
+    const thinkingMessage = await bot.sendMessage(chatId, "🤔 Analizando tu mensaje...");
+
+    // Primero probamos con el parser local: es instantáneo y no gasta créditos de la IA.
+    const localResult = parseTransactionLocally(text, DEFAULT_CURRENCY);
+    let transactions = null;
+    if (localResult.confident) {
+        console.log(`[${chatId}] Interpretado con el parser local:`, localResult.transactions);
+        transactions = localResult.transactions;
+    } else {
+        transactions = await parseExpenseWithAI(text);
+        if (!transactions && localResult.transactions.length > 0) {
+            // La IA no respondió o devolvió algo inválido: usamos lo que entendió el parser local.
+            console.log(`[${chatId}] La IA falló; usando el resultado del parser local como respaldo.`);
+            transactions = localResult.transactions;
+        }
+    }
+
+    await bot.editMessageText(`Análisis completado.`, { chat_id: chatId, message_id: thinkingMessage.message_id });
+
+    if (!transactions) {
+        await bot.sendMessage(chatId, "😕 No pude entender los detalles de ese gasto o ingreso. ¿Podrías intentarlo de nuevo con otro formato?");
+        return;
+    }
+
+    const { accepted, rejected } = resolveTransactionDates(transactions);
+    if (rejected.length > 0) {
+        const lines = rejected.map(t => `• ${t.description}: ${t.reason}`).join('\n');
+        await bot.sendMessage(chatId, `⚠️ No voy a registrar lo siguiente:\n${lines}\n\nSi querés, mandámelo de nuevo con otra fecha.`);
+    }
+    if (accepted.length === 0) return;
+
+    // Las transacciones quedan como borrador hasta que el usuario las confirme con los botones.
+    await presentDraft(bot, chatId, telegramUserId, accepted, DEFAULT_CURRENCY);
+}
+
 // Un único manejador de mensajes para centralizar la lógica
 bot.on('message', async (msg) => {
     const chatId = msg.chat.id;
-    const text = msg.text;
+    const userId = msg.from.id;
+    const text = msg.text || '';
+    const hasImage = Boolean(getImageFromMessage(msg));
+    const hasAudio = Boolean(getAudioFromMessage(msg));
+    // Solo se procesan documentos después de /importar; los que son imágenes ya los toma getImageFromMessage como comprobantes.
+    const hasDocument = Boolean(msg.document) && !hasImage && isAwaitingImportFile(chatId, userId);
 
-    // Si no hay texto, no hacemos nada.
-    if (!text) return;
+    // Si no hay texto, imagen, audio ni archivo, no hacemos nada.
+    if (!text && !hasImage && !hasAudio && !hasDocument) return;
 
     try {
+        // Antes que nada, verificamos que el chat tenga permiso para usar el bot
+        if (!(await isAuthorized(chatId, userId, ACCESS_CONFIG))) {
+            console.log(`[${chatId}] Mensaje de un chat no autorizado (usuario ${userId}).`);
+            await handleUnauthorized(bot, msg, ACCESS_CONFIG);
+            return;
+        }
+
         // Router de comandos
         if (text.startsWith('/start')) {
             console.log(`[${chatId}] Comando /start recibido.`);
-            await bot.sendMessage(chatId, "¡Hola! Soy tu asistente de gastos con IA. Descríbeme tus gastos de forma natural y yo los registraré.\n\nPor ejemplo: 'Compré zapatillas nuevas por 50000 pesos' o 'Cena con amigos 45.50 usd'");
+            await bot.sendMessage(chatId, "¡Hola! Soy tu asistente de gastos con IA. Si es tu primera vez, vinculá tu cuenta de Gasti.pro con /vincular. Después, descríbeme tus gastos e ingresos de forma natural y yo los registraré.\n\nPor ejemplo: 'Compré zapatillas nuevas por 50000 pesos', 'Cena con amigos 45.50 usd' o 'Cobré el sueldo 900000 pesos'");
+
+        } else if (text.startsWith('/autorizar') || text.startsWith('/revocar') || text.startsWith('/usuarios')) {
+            console.log(`[${chatId}] Comando de administración recibido: ${text}`);
+            await handleAdminCommand(bot, msg, ACCESS_CONFIG);
+
+        } else if (text.startsWith('/vincular')) {
+            console.log(`[${chatId}] Comando /vincular recibido.`);
+            if (await handleVincularCommand(bot, msg)) {
+                userState[stateKey(chatId, userId)] = 'awaiting_link_token';
+            }
+
+        } else if (text.startsWith('/cancelar')) {
+            delete userState[stateKey(chatId, userId)];
+            await bot.sendMessage(chatId, "👌 Operación cancelada.");
+
+        } else if (text && userState[stateKey(chatId, userId)] === 'awaiting_link_token') {
+            // El usuario está pegando su refresh token de Gasti.pro
+            delete userState[stateKey(chatId, userId)];
+            if (await handleVincularToken(bot, msg, gasti.refreshSession, { ACCOUNTS_FILE_PATH })) {
+                sessions.invalidate(userId);
+            }
+
+        } else if (text.startsWith('/desvincular')) {
+            console.log(`[${chatId}] Comando /desvincular recibido.`);
+            await handleDesvincularCommand(bot, msg, { ACCOUNTS_FILE_PATH });
+            sessions.invalidate(userId);
+
+        } else if (!(await getLinkedAccount(userId))) {
+            // A partir de acá todo necesita una cuenta de Gasti.pro vinculada
+            await bot.sendMessage(chatId, "🔗 Antes de empezar necesito que vincules tu cuenta de Gasti.pro. Escribime /vincular por privado.");
+
+        } else if (hasImage) {
+            // Fotos de tickets y capturas de comprobantes
+            console.log(`[${chatId}] Procesando imagen de comprobante.`);
+            await handleReceiptMessage(bot, msg, visionProvider, DEFAULT_CURRENCY);
+
+        } else if (hasAudio) {
+            // Notas de voz: se transcriben y se procesan como texto
+            console.log(`[${chatId}] Procesando nota de voz.`);
+            await handleVoiceMessage(bot, msg, transcriptionProvider, processTransactionText);
+
+        } else if (hasDocument) {
+            // El resumen de tarjeta o del banco que se pidió con /importar
+            console.log(`[${chatId}] Procesando archivo para importar: ${msg.document.file_name}`);
+            await handleImportFile(bot, msg, buildUserConfig(userId));
 
         } else if (text.startsWith('/gastos')) {
             console.log(`[${chatId}] Comando /gastos recibido.`);
-            // Preparamos la configuración para la función externa
-            const config = {
-                readRefreshToken,
-                writeRefreshToken,
-                GASTI_API_URL,
-                SUPABASE_APIKEY
-            };
+            // Preparamos la configuración para la función externa, con las credenciales del usuario
+            const config = buildUserConfig(userId);
             // Llamamos a la lógica del comando /gastos
-            await handleGastosCommand(bot, msg, getNewAccessToken, config);
+            await handleGastosCommand(bot, msg, config);
 
         } else if (text.startsWith('/info')) {
             console.log(`[${chatId}] Comando /info recibido.`);
@@ -207,68 +605,120 @@ bot.on('message', async (msg) => {
 - "Gastos de la última semana"
 - "Ingresos de julio"
 - "Transacciones de la categoría Comida de este mes"`);
-            userState[chatId] = 'awaiting_info_query'; // Marcamos que esperamos la consulta
+            userState[stateKey(chatId, userId)] = 'awaiting_info_query'; // Marcamos que esperamos la consulta
 
         } else if (text.startsWith('/resumen')) {
             console.log(`[${chatId}] Comando /resumen recibido.`);
-            const config = {
-                readRefreshToken,
-                writeRefreshToken,
-                GASTI_API_URL,
-                SUPABASE_APIKEY,
-                DEEPSEEK_API_KEY
-            };
-            await handleResumenCommand(bot, msg, getNewAccessToken, config);
-
-        } else if (userState[chatId] === 'awaiting_info_query') {
+            const config = buildUserConfig(userId);
+            await handleResumenCommand(bot, msg, config);
+
+        } else if (text.startsWith('/exportar')) {
+            console.log(`[${chatId}] Comando /exportar recibido.`);
+            const config = buildUserConfig(userId);
+            await handleExportarCommand(bot, msg, config);
+
+        } else if (text.startsWith('/grafico')) {
+            console.log(`[${chatId}] Comando /grafico recibido.`);
+            const config = buildUserConfig(userId);
+            await handleGraficoCommand(bot, msg, config);
+
+        } else if (text.startsWith('/importar')) {
+            console.log(`[${chatId}] Comando /importar recibido.`);
+            await handleImportarCommand(bot, msg);
+
+        } else if (text.startsWith('/presupuesto')) {
+            console.log(`[${chatId}] Comando /presupuesto recibido.`);
+            const config = buildUserConfig(userId);
+            await handlePresupuestoCommand(bot, msg, config);
+
+        } else if (text.startsWith('/recurrente')) {
+            console.log(`[${chatId}] Comando /recurrente recibido.`);
+            const config = buildUserConfig(userId);
+            await handleRecurrenteCommand(bot, msg, config);
+
+        } else if (text.startsWith('/suscribir') || text.startsWith('/desuscribir')) {
+            console.log(`[${chatId}] Comando de reportes recibido: ${text}`);
+            await handleSuscribirCommand(bot, msg, { REPORTS_FILE_PATH });
+
+        } else if (text.startsWith('/cotizacion')) {
+            console.log(`[${chatId}] Comando /cotizacion recibido.`);
+            await handleCotizacionCommand(bot, msg, { exchangeRates, ADMIN_IDS });
+
+        } else if (text.startsWith('/deshacer')) {
+            console.log(`[${chatId}] Comando /deshacer recibido.`);
+            const config = buildUserConfig(userId);
+            await handleDeshacerCommand(bot, msg, config);
+
+        } else if (text.startsWith('/editar')) {
+            console.log(`[${chatId}] Comando /editar recibido.`);
+            await handleEditarCommand(bot, msg, buildUserConfig(userId));
+
+        } else if (isAwaitingEditValue(chatId, userId)) {
+            // El usuario está escribiendo el nuevo valor de un campo en /editar
+            const config = buildUserConfig(userId);
+            await handleEditValueReply(bot, msg, config);
+
+        } else if (isAwaitingDraftAmount(chatId, userId)) {
+            // El usuario está corrigiendo el monto de un borrador pendiente
+            await handleDraftAmountReply(bot, msg);
+
+        } else if (userState[stateKey(chatId, userId)] === 'awaiting_info_query') {
             // Si el usuario estaba en el flujo de /info, procesamos su consulta
             console.log(`[${chatId}] Procesando consulta de info: "${text}"`);
-            const config = {
-                readRefreshToken,
-                writeRefreshToken,
-                GASTI_API_URL,
-                SUPABASE_APIKEY,
-                DEEPSEEK_API_KEY
-            };
-            await handleInfoQuery(bot, msg, getNewAccessToken, config);
-            delete userState[chatId]; // Limpiamos el estado
+            const config = buildUserConfig(userId);
+            await handleInfoQuery(bot, msg, config);
+            delete userState[stateKey(chatId, userId)]; // Limpiamos el estado
 
         } else {
-            // Si no es un comando, es un gasto para procesar
-            console.log(`[${chatId}] Procesando texto de gasto: \"${text}\"`);
-            const thinkingMessage = await bot.sendMessage(chatId, "🤔 Analizando tu gasto...");
-
-            const expense = await parseExpenseWithAI(text);
-
-            await bot.editMessageText(`Análisis completado.`, { chat_id: chatId, message_id: thinkingMessage.message_id });
-
-            if (!expense || !expense.amount || !expense.description) {
-                await bot.sendMessage(chatId, "😕 No pude entender los detalles de ese gasto. ¿Podrías intentarlo de nuevo con otro formato?");
-                return;
-            }
-
-            await bot.sendMessage(chatId, `✅ ¡Entendido! Registrando en Gasti.pro:\n\n📝 **Descripción:** ${expense.description}\n💰 **Monto:** ${expense.amount} ${(expense.currency || 'USD').toUpperCase()}\n🏷️ **Categoría:** ${expense.category}`, { parse_mode: 'Markdown' });
+            // Si no es un comando, es un gasto o ingreso para procesar
+            console.log(`[${chatId}] Procesando texto de transacción: \"${text}\"`);
+            await processTransactionText(chatId, userId, text);
+        }
+    } catch (error) {
+        console.error(`[ERROR en el chat ${chatId}]`, error);
+        await bot.sendMessage(chatId, "🔥 ¡Ups! Hubo un error en mi sistema. Ya estoy avisado y lo revisaré. Por favor, intenta de nuevo más tarde.");
+    }
+});
 
-            // Lógica de token y envío de transacción
-            const currentRefreshToken = await readRefreshToken();
-            const tokenData = await getNewAccessToken(currentRefreshToken);
-            if (!tokenData || !tokenData.accessToken) {
-                throw new Error("Fallo al obtener token de Gasti.pro. Verifica las credenciales y la conexión.");
-            }
+// Manejador de los botones inline
+bot.on('callback_query', async (query) => {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
 
-            if (tokenData.newRefreshToken && tokenData.newRefreshToken !== currentRefreshToken) {
-                await writeRefreshToken(tokenData.newRefreshToken);
-            }
+    try {
+        // Las solicitudes de acceso se resuelven desde el chat del admin
+        if (query.data.startsWith('auth:')) {
+            await handleAuthCallback(bot, query, ACCESS_CONFIG);
+            return;
+        }
 
-            const success = await sendTransaction(tokenData.accessToken, expense);
-            if (!success) {
-                throw new Error("Fallo al enviar la transacción a Gasti.pro.");
-            }
+        if (!(await isAuthorized(chatId, userId, ACCESS_CONFIG))) {
+            await bot.answerCallbackQuery(query.id, { text: 'No tenés acceso a este bot.' });
+            return;
+        }
 
-            await bot.sendMessage(chatId, "🎉 ¡Gasto registrado con éxito!");
+        if (query.data.startsWith('draft:')) {
+            // Se guarda en la cuenta del autor del borrador (handleDraftCallback rechaza a los demás).
+            await handleDraftCallback(bot, query, { registerTransaction });
+        } else if (query.data.startsWith('edit:')) {
+            const config = buildUserConfig(userId);
+            await handleEditCallback(bot, query, config);
+        } else if (query.data.startsWith('rec:')) {
+            const config = buildUserConfig(userId);
+            await handleRecurringCallback(bot, query, config);
+        } else if (query.data.startsWith('pg:')) {
+            await handlePageCallback(bot, query);
+        } else if (query.data.startsWith('imp:')) {
+            const config = {
+                ...buildUserConfig(userId),
+                importTransactions: (transactions) => importTransactions(userId, transactions)
+            };
+            await handleImportCallback(bot, query, config);
+        } else {
+            await bot.answerCallbackQuery(query.id);
         }
     } catch (error) {
-        console.error(`[ERROR en el chat ${chatId}]`, error);
+        console.error(`[ERROR en el callback del chat ${chatId}]`, error);
         await bot.sendMessage(chatId, "🔥 ¡Ups! Hubo un error en mi sistema. Ya estoy avisado y lo revisaré. Por favor, intenta de nuevo más tarde.");
     }
 });
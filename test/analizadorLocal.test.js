@@ -0,0 +1,74 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgentineNumber, parseTransactionLocally, guessCategory } = require('../gastitelegram/analizadorLocal');
+
+function parse(text) {
+    return parseTransactionLocally(text, 'USD');
+}
+
+describe('parseArgentineNumber', () => {
+    test('formato argentino', () => {
+        assert.equal(parseArgentineNumber('15.000'), 15000);
+        assert.equal(parseArgentineNumber('1.500,50'), 1500.5);
+        assert.equal(parseArgentineNumber('45,5'), 45.5);
+        assert.equal(parseArgentineNumber('1.234.567'), 1234567);
+    });
+
+    test('formato anglosajón', () => {
+        assert.equal(parseArgentineNumber('45.50'), 45.5);
+        assert.equal(parseArgentineNumber('1,500.50'), 1500.5);
+    });
+
+    test('devuelve NaN si no es un número', () => {
+        assert.ok(Number.isNaN(parseArgentineNumber('abc')));
+        assert.ok(Number.isNaN(parseArgentineNumber('')));
+    });
+});
+
+describe('parseTransactionLocally', () => {
+    test('un gasto simple es confiable', () => {
+        const { confident, transactions } = parse('nafta 30000');
+        assert.equal(confident, true);
+        assert.deepEqual(transactions, [{
+            type: 'expense', amount: 30000, description: 'Nafta', currency: 'USD', category: '⛽ Combustible', date_text: null
+        }]);
+    });
+
+    test('varias transacciones comparten la moneda', () => {
+        const { confident, transactions } = parse('café 1500 y taxi 4200 pesos');
+        assert.equal(confident, true);
+        assert.deepEqual(transactions.map(t => [t.description, t.amount, t.currency]), [['Café', 1500, 'ARS'], ['Taxi', 4200, 'ARS']]);
+    });
+
+    test('montos con multiplicadores, decimales y fecha', () => {
+        const [uber] = parse('uber 50 lucas').transactions;
+        assert.deepEqual([uber.amount, uber.currency], [50000, 'ARS']);
+        const [pizza] = parse('pizza 1.500,50 ayer').transactions;
+        assert.deepEqual([pizza.amount, pizza.date_text], [1500.5, 'ayer']);
+    });
+
+    test('ingresos', () => {
+        const [income] = parse('cobré el sueldo 900 mil').transactions;
+        assert.deepEqual([income.type, income.amount, income.category], ['income', 900000, '💵 Sueldo']);
+    });
+
+    test('palabras clave ambiguas no alcanzan para saltearse la IA', () => {
+        assert.equal(parse('resto de la cuota 5000').confident, false);
+        assert.equal(parse('prime rib 8000').confident, false);
+        assert.equal(parse('super 12000').confident, false);
+        assert.equal(parse('compras en el super coto 12000').confident, true);
+    });
+
+    test('sin categoría reconocida queda para la IA', () => {
+        const { confident, transactions } = parse('pan y leche 2000');
+        assert.equal(confident, false);
+        assert.equal(transactions[0].category, '📦 Otros');
+    });
+});
+
+describe('guessCategory', () => {
+    test('usa también las palabras ambiguas', () => {
+        assert.equal(guessCategory('DISCO SUC 123', 'expense'), '🛒 Supermercado');
+        assert.equal(guessCategory('TRANSFERENCIA', 'expense'), null);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePeriodExpression } = require('../gastitelegram/fechas');
+
+// Miércoles 23 de julio de 2025.
+const TODAY = '2025-07-23';
+
+function assertPeriod(expression, dateFrom, dateTo) {
+    assert.deepEqual(resolvePeriodExpression(expression, TODAY), { dateFrom, dateTo }, expression);
+}
+
+describe('resolvePeriodExpression', () => {
+    test('días sueltos', () => {
+        assertPeriod('hoy', '2025-07-23', '2025-07-23');
+        assertPeriod('ayer', '2025-07-22', '2025-07-22');
+        assertPeriod('anteayer', '2025-07-21', '2025-07-21');
+        assertPeriod('el lunes', '2025-07-21', '2025-07-21');
+    });
+
+    test('semanas', () => {
+        assertPeriod('esta semana', '2025-07-21', '2025-07-23');
+        assertPeriod('la semana pasada', '2025-07-14', '2025-07-20');
+        assertPeriod('ultimos 7 dias', '2025-07-17', '2025-07-23');
+        assertPeriod('últimas 2 semanas', '2025-07-10', '2025-07-23');
+    });
+
+    test('meses', () => {
+        assertPeriod('este mes', '2025-07-01', '2025-07-23');
+        assertPeriod('el mes pasado', '2025-06-01', '2025-06-30');
+        assertPeriod('el último mes', '2025-06-24', '2025-07-23');
+        assertPeriod('últimos 3 meses', '2025-04-24', '2025-07-23');
+        assertPeriod('junio', '2025-06-01', '2025-06-30');
+        assertPeriod('diciembre 2024', '2024-12-01', '2024-12-31');
+    });
+
+    test('un mes sin año es el más reciente que no sea futuro', () => {
+        assertPeriod('diciembre', '2024-12-01', '2024-12-31');
+    });
+
+    test('trimestres', () => {
+        assertPeriod('este trimestre', '2025-07-01', '2025-07-23');
+        assertPeriod('el trimestre pasado', '2025-04-01', '2025-06-30');
+        assertPeriod('primer trimestre', '2025-01-01', '2025-03-31');
+        assertPeriod('Q4 2024', '2024-10-01', '2024-12-31');
+    });
+
+    test('años', () => {
+        assertPeriod('este año', '2025-01-01', '2025-07-23');
+        assertPeriod('el año pasado', '2024-01-01', '2024-12-31');
+        assertPeriod('2024', '2024-01-01', '2024-12-31');
+    });
+
+    test('desde / a partir de', () => {
+        assertPeriod('desde el 1/7', '2025-07-01', '2025-07-23');
+        assertPeriod('a partir del 15/7', '2025-07-15', '2025-07-23');
+        assertPeriod('desde junio hasta hoy', '2025-06-01', '2025-07-23');
+    });
+
+    test('del … al …', () => {
+        assertPeriod('del 10/6 al 5/7', '2025-06-10', '2025-07-05');
+        assertPeriod('del 1 al 15 de julio', '2025-07-01', '2025-07-15');
+    });
+
+    test('entre … y …', () => {
+        assertPeriod('entre el 1/6 y el 15/6', '2025-06-01', '2025-06-15');
+        assertPeriod('entre junio y julio', '2025-06-01', '2025-07-23');
+    });
+
+    test('devuelve null si no es un período', () => {
+        assert.equal(resolvePeriodExpression('cualquier cosa', TODAY), null);
+        assert.equal(resolvePeriodExpression('la última quincena', TODAY), null);
+    });
+});
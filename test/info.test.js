@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQueryLocally } = require('../gastitelegram/info');
+
+// Miércoles 23 de julio de 2025.
+const TODAY = '2025-07-23';
+
+function parse(query) {
+    return parseQueryLocally(query, TODAY);
+}
+
+describe('parseQueryLocally', () => {
+    test('tipo y período', () => {
+        const expenses = parse('gastos de la semana pasada');
+        assert.equal(expenses.type, 'expense');
+        assert.equal(expenses.date_from, '2025-07-14');
+        assert.equal(expenses.date_to, '2025-07-20');
+        const income = parse('ingresos de junio');
+        assert.equal(income.type, 'income');
+        assert.equal(income.date_from, '2025-06-01');
+        assert.equal(income.date_to, '2025-06-30');
+    });
+
+    test('sin período es el mes en curso', () => {
+        const result = parse('cuánto gasté en comida');
+        assert.equal(result.date_from, '2025-07-01');
+        assert.equal(result.date_to, '2025-07-23');
+        assert.equal(result.category, 'Comida');
+    });
+
+    test('búsqueda explícita en la descripción', () => {
+        assert.equal(parse('¿cuánto gasté en Uber este año?').search, 'uber');
+        assert.equal(parse('gastos que digan "Cumple Juan" en julio').search, 'Cumple Juan');
+    });
+
+    test('montos, moneda, orden y agrupación', () => {
+        const result = parse('gastos de más de 50000 pesos en junio');
+        assert.equal(result.min_amount, 50000);
+        assert.equal(result.currency, 'ARS');
+        assert.equal(parse('gastos mayores a 1.500,50').min_amount, 1500.5);
+        assert.equal(parse('gastos menores a 2 mil').max_amount, 2000);
+
+        const top = parse('top 5 gastos de julio');
+        assert.deepEqual([top.sort_by, top.sort_order, top.limit], ['amount', 'desc', 5]);
+        assert.equal(parse('ingresos por mes este año').group_by, 'month');
+    });
+
+    test('comparación de períodos: el más reciente es el principal', () => {
+        const result = parse('compará junio con julio');
+        assert.deepEqual(
+            [result.date_from, result.date_to, result.compare_date_from, result.compare_date_to],
+            ['2025-07-01', '2025-07-23', '2025-06-01', '2025-06-30']
+        );
+    });
+
+    test('lo que no entiende queda para el LLM', () => {
+        assert.equal(parse('gastos de la última quincena'), null);
+        assert.equal(parse('gastos hace tres dias'), null);
+        assert.equal(parse('gastos de 2 semanas atras'), null);
+        assert.equal(parse('gastos la semana'), null);
+        assert.equal(parse('gastos uber'), null);
+        assert.equal(parse('gastos en netflix vs el mes pasado'), null);
+        assert.equal(parse('gastos en comida y transporte'), null);
+    });
+});